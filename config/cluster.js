@@ -0,0 +1,18 @@
+const crypto = require('crypto');
+const os = require('os');
+
+// Identifies this server process among the instances sharing the database
+const INSTANCE_ID = process.env.INSTANCE_ID ||
+  `${os.hostname()}-${process.pid}-${crypto.randomBytes(4).toString('hex')}`;
+
+// Instances refresh their heartbeat this often...
+const HEARTBEAT_INTERVAL_MS = 10 * 1000;
+
+// ...and are treated as crashed, their connections dropped, once it is this old
+const INSTANCE_TTL_MS = parseInt(process.env.INSTANCE_TTL_MS) || 45 * 1000;
+
+module.exports = {
+  INSTANCE_ID,
+  HEARTBEAT_INTERVAL_MS,
+  INSTANCE_TTL_MS
+};
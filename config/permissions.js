@@ -0,0 +1,64 @@
+// Named permissions that can be granted to a role
+const PERMISSIONS = {
+  SEND_MESSAGES: 'send_messages',
+  ADD_REACTIONS: 'add_reactions',
+  CREATE_CHANNELS: 'create_channels',
+  MANAGE_CHANNELS: 'manage_channels',
+  DELETE_MESSAGES: 'delete_messages',
+  BROADCAST: 'broadcast',
+  JOIN_VOICE: 'join_voice',
+  MANAGE_VOICE: 'manage_voice',
+  MANAGE_ROLES: 'manage_roles',
+  MODERATE_USERS: 'moderate_users',
+  VIEW_AUDIT_LOG: 'view_audit_log',
+  // Ping @everyone and whole roles
+  MENTION_EVERYONE: 'mention_everyone',
+  MANAGE_WEBHOOKS: 'manage_webhooks',
+  MANAGE_BOTS: 'manage_bots'
+};
+
+const ALL_PERMISSIONS = Object.values(PERMISSIONS);
+
+// Built-in roles seeded at startup. A higher priority outranks a lower one.
+const DEFAULT_ROLES = [
+  {
+    name: 'admin',
+    description: 'Full access to every server feature',
+    priority: 100,
+    permissions: ALL_PERMISSIONS
+  },
+  {
+    name: 'moderator',
+    description: 'Moderates channels, messages and voice rooms',
+    priority: 50,
+    permissions: [
+      PERMISSIONS.SEND_MESSAGES,
+      PERMISSIONS.ADD_REACTIONS,
+      PERMISSIONS.CREATE_CHANNELS,
+      PERMISSIONS.MANAGE_CHANNELS,
+      PERMISSIONS.DELETE_MESSAGES,
+      PERMISSIONS.BROADCAST,
+      PERMISSIONS.JOIN_VOICE,
+      PERMISSIONS.MANAGE_VOICE,
+      PERMISSIONS.MODERATE_USERS,
+      PERMISSIONS.MENTION_EVERYONE
+    ]
+  },
+  {
+    name: 'user',
+    description: 'Default role for wallet users',
+    priority: 10,
+    permissions: [
+      PERMISSIONS.SEND_MESSAGES,
+      PERMISSIONS.ADD_REACTIONS,
+      PERMISSIONS.CREATE_CHANNELS,
+      PERMISSIONS.JOIN_VOICE
+    ]
+  }
+];
+
+module.exports = {
+  PERMISSIONS,
+  ALL_PERMISSIONS,
+  DEFAULT_ROLES
+};
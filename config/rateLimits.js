@@ -0,0 +1,120 @@
+// Rate limits per action, as `points` allowed per `windowMs`. Each action can
+// be limited per user, per IP address or both. Override any of them with an
+// environment variable such as RATE_LIMIT_SENDMESSAGE_USER=5/10000.
+const RATE_LIMITS = {
+  // Socket events
+  sendMessage: {
+    user: { points: 10, windowMs: 10 * 1000 },
+    ip: { points: 30, windowMs: 10 * 1000 }
+  },
+  broadcastMessage: {
+    user: { points: 2, windowMs: 60 * 1000 },
+    ip: { points: 5, windowMs: 60 * 1000 }
+  },
+  typing: {
+    user: { points: 20, windowMs: 10 * 1000 },
+    ip: { points: 60, windowMs: 10 * 1000 },
+    // Dropped typing events are not worth an error
+    silent: true
+  },
+  editMessage: {
+    user: { points: 10, windowMs: 60 * 1000 }
+  },
+  reaction: {
+    user: { points: 30, windowMs: 10 * 1000 }
+  },
+  sendDirectMessage: {
+    user: { points: 10, windowMs: 10 * 1000 },
+    ip: { points: 30, windowMs: 10 * 1000 }
+  },
+  subscription: {
+    user: { points: 30, windowMs: 10 * 1000 },
+    ip: { points: 60, windowMs: 10 * 1000 }
+  },
+  markRead: {
+    user: { points: 30, windowMs: 10 * 1000 }
+  },
+  setPresence: {
+    user: { points: 20, windowMs: 60 * 1000 },
+    errorEvent: 'presenceError'
+  },
+  presenceActivity: {
+    user: { points: 30, windowMs: 10 * 1000 },
+    silent: true
+  },
+  joinVoice: {
+    user: { points: 10, windowMs: 60 * 1000 },
+    errorEvent: 'voiceError'
+  },
+  // ICE candidates arrive in bursts while a call is being set up
+  voiceSignal: {
+    user: { points: 200, windowMs: 10 * 1000 },
+    errorEvent: 'voiceError'
+  },
+
+  // REST routes
+  auth: {
+    ip: { points: 20, windowMs: 60 * 1000 }
+  },
+  write: {
+    user: { points: 30, windowMs: 60 * 1000 },
+    ip: { points: 120, windowMs: 60 * 1000 }
+  },
+  upload: {
+    user: { points: 20, windowMs: 60 * 1000 },
+    ip: { points: 60, windowMs: 60 * 1000 }
+  },
+  // Bot API and incoming webhooks, per bot
+  botMessage: {
+    user: { points: 30, windowMs: 60 * 1000 },
+    ip: { points: 120, windowMs: 60 * 1000 }
+  },
+  botBroadcast: {
+    user: { points: 2, windowMs: 60 * 1000 }
+  }
+};
+
+// Which limit applies to each socket event
+const SOCKET_EVENT_LIMITS = {
+  sendMessage: 'sendMessage',
+  broadcastMessage: 'broadcastMessage',
+  typing: 'typing',
+  editMessage: 'editMessage',
+  addReaction: 'reaction',
+  removeReaction: 'reaction',
+  sendDirectMessage: 'sendDirectMessage',
+  subscribe: 'subscription',
+  unsubscribe: 'subscription',
+  syncSubscriptions: 'subscription',
+  markRead: 'markRead',
+  setPresence: 'setPresence',
+  presenceActivity: 'presenceActivity',
+  joinVoice: 'joinVoice',
+  voiceSignal: 'voiceSignal'
+};
+
+// Identical messages from the same user in the same channel are rejected within this window
+const DUPLICATE_MESSAGE_WINDOW_MS = parseInt(process.env.DUPLICATE_MESSAGE_WINDOW_MS) || 30 * 1000;
+
+// Longest slow-mode interval a channel can be given
+const MAX_SLOW_MODE_SECONDS = 6 * 60 * 60;
+
+const applyEnvOverrides = (limits) => {
+  for (const [name, config] of Object.entries(limits)) {
+    for (const scope of ['user', 'ip']) {
+      const override = process.env[`RATE_LIMIT_${name.toUpperCase()}_${scope.toUpperCase()}`];
+      const match = override && override.match(/^(\d+)\/(\d+)$/);
+      if (match) {
+        config[scope] = { points: Number(match[1]), windowMs: Number(match[2]) };
+      }
+    }
+  }
+  return limits;
+};
+
+module.exports = {
+  RATE_LIMITS: applyEnvOverrides(RATE_LIMITS),
+  SOCKET_EVENT_LIMITS,
+  DUPLICATE_MESSAGE_WINDOW_MS,
+  MAX_SLOW_MODE_SECONDS
+};
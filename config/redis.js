@@ -0,0 +1,32 @@
+const { createClient } = require('redis');
+
+let connection = null;
+
+// Shared Redis connection, or null when REDIS_URL is not configured
+const getRedisClient = async () => {
+  if (!process.env.REDIS_URL) {
+    return null;
+  }
+
+  if (!connection) {
+    const client = createClient({ url: process.env.REDIS_URL });
+    client.on('error', (err) => {
+      console.error('Redis connection error:', err);
+    });
+
+    // A failed connection is not kept, so the next caller tries again
+    connection = client.connect().then(() => {
+      console.log('Redis Connected');
+      return client;
+    }, (error) => {
+      connection = null;
+      throw error;
+    });
+  }
+
+  return connection;
+};
+
+module.exports = {
+  getRedisClient
+};
@@ -0,0 +1,49 @@
+const path = require('path');
+
+const MB = 1024 * 1024;
+
+// Largest file accepted for a message attachment or an avatar
+const MAX_ATTACHMENT_BYTES = parseInt(process.env.MAX_ATTACHMENT_BYTES) || 10 * MB;
+const MAX_AVATAR_BYTES = parseInt(process.env.MAX_AVATAR_BYTES) || 2 * MB;
+
+const MAX_ATTACHMENTS_PER_MESSAGE = 10;
+
+// Images are decoded to check their type and read their dimensions
+const IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
+
+// Other files that can be attached to messages
+const FILE_TYPES = [
+  'application/pdf',
+  'application/zip',
+  'application/json',
+  'text/plain',
+  'text/csv',
+  'text/markdown'
+];
+
+const ATTACHMENT_TYPES = [...IMAGE_TYPES, ...FILE_TYPES];
+
+// Thumbnails fit inside this many pixels on each side
+const THUMBNAIL_SIZE = 320;
+
+// Avatars are cropped to a square of this size
+const AVATAR_SIZE = 256;
+
+// Uploads never attached to a message are removed after this long
+const UNATTACHED_UPLOAD_TTL_MS = 24 * 60 * 60 * 1000;
+
+// Where the local disk storage backend keeps files
+const UPLOAD_DIR = path.resolve(process.env.UPLOAD_DIR || path.join(__dirname, '..', 'uploads'));
+
+module.exports = {
+  MAX_ATTACHMENT_BYTES,
+  MAX_AVATAR_BYTES,
+  MAX_ATTACHMENTS_PER_MESSAGE,
+  IMAGE_TYPES,
+  FILE_TYPES,
+  ATTACHMENT_TYPES,
+  THUMBNAIL_SIZE,
+  AVATAR_SIZE,
+  UNATTACHED_UPLOAD_TTL_MS,
+  UPLOAD_DIR
+};
@@ -0,0 +1,153 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const { findBotForToken } = require('../services/bots');
+const { findBlockingSanction } = require('../services/moderation');
+
+const SESSION_TTL = process.env.SESSION_TTL || '7d';
+
+let sessionSecret = process.env.JWT_SECRET;
+if (!sessionSecret) {
+  // Sessions will not survive a restart or work across instances without a fixed secret
+  console.warn('JWT_SECRET is not set, using a random secret for this process');
+  sessionSecret = crypto.randomBytes(32).toString('hex');
+}
+
+// Issue a session token for a user whose wallet signature has been verified
+const issueSessionToken = (user) => jwt.sign(
+  { sub: user._id.toString(), walletAddress: user.walletAddress },
+  sessionSecret,
+  { expiresIn: SESSION_TTL }
+);
+
+// Returns the token payload, or null if the token is missing, expired or forged
+const verifySessionToken = (token) => {
+  if (!token || typeof token !== 'string') {
+    return null;
+  }
+  try {
+    return jwt.verify(token, sessionSecret);
+  } catch (error) {
+    return null;
+  }
+};
+
+const getBearerToken = (req) => {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+  return scheme === 'Bearer' && token ? token : null;
+};
+
+// Resolve the user behind a session token, checking the wallet still matches
+const findUserForToken = async (token) => {
+  const payload = verifySessionToken(token);
+  if (!payload) {
+    return null;
+  }
+
+  const user = await User.findById(payload.sub);
+  if (!user || user.walletAddress !== payload.walletAddress) {
+    return null;
+  }
+  return user;
+};
+
+// Express middleware: require a valid session and expose the user as req.user
+const authenticate = async (req, res, next) => {
+  try {
+    const token = getBearerToken(req);
+    if (!token) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    const user = await findUserForToken(token);
+    if (!user) {
+      return res.status(401).json({ error: 'Invalid or expired session' });
+    }
+    // Sessions issued before a ban stop working as soon as it is issued
+    if (await findBlockingSanction(user, 'join')) {
+      return res.status(403).json({ error: 'You are banned from this server' });
+    }
+
+    req.user = user;
+    next();
+  } catch (error) {
+    console.error('Error authenticating request:', error);
+    res.status(500).json({ error: 'Failed to authenticate request' });
+  }
+};
+
+// Express middleware: like `authenticate`, but anonymous requests are allowed.
+// req.user is only set when a valid session token is supplied.
+const optionalAuthenticate = async (req, res, next) => {
+  try {
+    const token = getBearerToken(req);
+    if (token) {
+      const user = await findUserForToken(token);
+      // Banned users are treated as anonymous visitors
+      req.user = user && !(await findBlockingSanction(user, 'join')) ? user : null;
+    }
+    next();
+  } catch (error) {
+    console.error('Error authenticating request:', error);
+    res.status(500).json({ error: 'Failed to authenticate request' });
+  }
+};
+
+// Express middleware: require a bot API token and expose the bot as req.user
+// and the token (with its scopes) as req.botToken
+const authenticateBot = async (req, res, next) => {
+  try {
+    const token = getBearerToken(req);
+    if (!token) {
+      return res.status(401).json({ error: 'Bot token required' });
+    }
+
+    const found = await findBotForToken(token);
+    if (!found) {
+      return res.status(401).json({ error: 'Invalid, expired or revoked bot token' });
+    }
+
+    req.user = found.bot;
+    req.botToken = found.botToken;
+    next();
+  } catch (error) {
+    console.error('Error authenticating bot:', error);
+    res.status(500).json({ error: 'Failed to authenticate request' });
+  }
+};
+
+// Socket.io middleware: attach the verified user id when a token is supplied.
+// Connections without a token are allowed so they can authenticate on `join`.
+const authenticateSocket = async (socket, next) => {
+  try {
+    const token = socket.handshake.auth?.token;
+    if (!token) {
+      return next();
+    }
+
+    const user = await findUserForToken(token);
+    if (!user) {
+      return next(new Error('Invalid or expired session'));
+    }
+    if (await findBlockingSanction(user, 'join')) {
+      return next(new Error('You are banned from this server'));
+    }
+
+    socket.data.userId = user._id;
+    next();
+  } catch (error) {
+    console.error('Error authenticating socket:', error);
+    next(new Error('Failed to authenticate connection'));
+  }
+};
+
+module.exports = {
+  issueSessionToken,
+  verifySessionToken,
+  findUserForToken,
+  authenticate,
+  optionalAuthenticate,
+  authenticateBot,
+  authenticateSocket
+};
@@ -0,0 +1,35 @@
+const { getUserRole, roleHasPermission } = require('../utils/permissions');
+
+// Express middleware: require the authenticated user's role to grant a permission.
+// Must run after `authenticate`. Exposes the loaded role as req.userRole.
+const requirePermission = (permission) => async (req, res, next) => {
+  try {
+    const role = await getUserRole(req.user);
+    if (!roleHasPermission(role, permission)) {
+      return res.status(403).json({ error: 'You do not have permission to perform this action' });
+    }
+
+    req.userRole = role;
+    next();
+  } catch (error) {
+    console.error('Error checking permissions:', error);
+    res.status(500).json({ error: 'Failed to check permissions' });
+  }
+};
+
+// Express middleware: load the authenticated user's role without requiring anything.
+// Used by routes that combine ownership checks with permissions.
+const loadUserRole = async (req, res, next) => {
+  try {
+    req.userRole = await getUserRole(req.user);
+    next();
+  } catch (error) {
+    console.error('Error loading user role:', error);
+    res.status(500).json({ error: 'Failed to check permissions' });
+  }
+};
+
+module.exports = {
+  requirePermission,
+  loadUserRole
+};
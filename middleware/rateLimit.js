@@ -0,0 +1,64 @@
+const { consumeRateLimit } = require('../services/floodControl');
+const { RATE_LIMITS, SOCKET_EVENT_LIMITS } = require('../config/rateLimits');
+const { RateLimitError } = require('../utils/errors');
+
+// Client address of a socket, honouring X-Forwarded-For only behind a trusted proxy
+const getSocketIp = (socket) => {
+  const forwardedFor = socket.handshake.headers['x-forwarded-for'];
+  if (process.env.TRUST_PROXY && forwardedFor) {
+    return forwardedFor.split(',')[0].trim();
+  }
+  return socket.handshake.address;
+};
+
+// Express middleware: apply a named rate limit to the request's user (if
+// authenticated) and IP address. Replies 429 with Retry-After when exceeded.
+const rateLimit = (name) => async (req, res, next) => {
+  try {
+    await consumeRateLimit(name, { userId: req.user?._id, ip: req.ip });
+    next();
+  } catch (error) {
+    if (error instanceof RateLimitError) {
+      res.set('Retry-After', String(error.retryAfter));
+      return res.status(429).json({ error: error.message, retryAfter: error.retryAfter });
+    }
+    console.error('Error checking rate limit:', error);
+    res.status(500).json({ error: 'Failed to check rate limit' });
+  }
+};
+
+// Socket.io per-socket middleware: rate limit incoming events by user and IP.
+// Limited events are dropped and the client is told when it can retry.
+const socketRateLimit = (socket, getUserId) => async ([event], next) => {
+  const name = SOCKET_EVENT_LIMITS[event];
+  if (!name) {
+    return next();
+  }
+
+  try {
+    await consumeRateLimit(name, { userId: getUserId(), ip: getSocketIp(socket) });
+    next();
+  } catch (error) {
+    if (!(error instanceof RateLimitError)) {
+      console.error(`Error checking rate limit for ${event}:`, error);
+      return next();
+    }
+
+    const config = RATE_LIMITS[name];
+    if (!config.silent) {
+      socket.emit(config.errorEvent || 'messageError', {
+        error: error.message,
+        code: 'RATE_LIMITED',
+        event,
+        retryAfter: error.retryAfter,
+        retryAfterMs: error.retryAfterMs
+      });
+    }
+  }
+};
+
+module.exports = {
+  getSocketIp,
+  rateLimit,
+  socketRateLimit
+};
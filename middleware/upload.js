@@ -0,0 +1,31 @@
+const multer = require('multer');
+
+// Express middleware: accept a single multipart file in the `file` field,
+// kept in memory so it can be hashed and inspected before it is stored.
+// Exposes it as req.file.
+const uploadSingleFile = (maxBytes) => {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: maxBytes, files: 1 }
+  }).single('file');
+
+  return (req, res, next) => {
+    upload(req, res, (error) => {
+      if (!error) {
+        return next();
+      }
+      if (error instanceof multer.MulterError) {
+        if (error.code === 'LIMIT_FILE_SIZE') {
+          return res.status(413).json({ error: `Files cannot be larger than ${Math.floor(maxBytes / 1024)} KB` });
+        }
+        return res.status(400).json({ error: 'Upload a single file in the "file" field' });
+      }
+      console.error('Error receiving upload:', error);
+      res.status(500).json({ error: 'Failed to receive upload' });
+    });
+  };
+};
+
+module.exports = {
+  uploadSingleFile
+};
@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+
+// An uploaded file. Uploads with identical content share one stored blob,
+// found by `hash`; the blob is removed when its last attachment is.
+const attachmentSchema = new mongoose.Schema({
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  purpose: {
+    type: String,
+    enum: ['message', 'avatar'],
+    default: 'message'
+  },
+  filename: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 255
+  },
+  contentType: {
+    type: String,
+    required: true
+  },
+  size: {
+    type: Number,
+    required: true
+  },
+  kind: {
+    type: String,
+    enum: ['image', 'file'],
+    required: true
+  },
+  // SHA-256 of the stored content
+  hash: {
+    type: String,
+    required: true
+  },
+  storageKey: {
+    type: String,
+    required: true
+  },
+  width: {
+    type: Number,
+    default: null
+  },
+  height: {
+    type: Number,
+    default: null
+  },
+  thumbnail: {
+    storageKey: {
+      type: String,
+      default: null
+    },
+    width: {
+      type: Number,
+      default: null
+    },
+    height: {
+      type: Number,
+      default: null
+    }
+  },
+  // Message the attachment was posted with; null until it is sent
+  message: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message',
+    default: null
+  },
+  channel: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Index for faster queries
+attachmentSchema.index({ hash: 1 });
+attachmentSchema.index({ message: 1 });
+attachmentSchema.index({ channel: 1 });
+attachmentSchema.index({ purpose: 1, message: 1, createdAt: 1 });
+
+module.exports = mongoose.model('Attachment', attachmentSchema);
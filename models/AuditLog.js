@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+const auditLogSchema = new mongoose.Schema({
+  // null for actions taken by the server itself
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Kept so entries stay readable after the actor is renamed or removed
+  actorUsername: {
+    type: String,
+    default: null
+  },
+  action: {
+    type: String,
+    required: true
+  },
+  target: {
+    type: {
+      type: String,
+      required: true
+    },
+    id: {
+      type: String,
+      default: null
+    },
+    name: {
+      type: String,
+      default: null
+    }
+  },
+  before: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  after: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  // Where the action came from: IP, user agent, HTTP route or socket event
+  metadata: {
+    ip: String,
+    userAgent: String,
+    method: String,
+    path: String,
+    socketId: String,
+    event: String
+  },
+  timestamp: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Index for faster queries
+auditLogSchema.index({ timestamp: -1, _id: -1 });
+auditLogSchema.index({ actor: 1, timestamp: -1 });
+auditLogSchema.index({ action: 1, timestamp: -1 });
+auditLogSchema.index({ 'target.type': 1, 'target.id': 1, timestamp: -1 });
+auditLogSchema.index({ 'target.name': 1, timestamp: -1 });
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
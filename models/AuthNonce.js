@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+const authNonceSchema = new mongoose.Schema({
+  walletAddress: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  nonce: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Index for faster queries
+authNonceSchema.index({ walletAddress: 1 });
+
+// Let MongoDB remove challenges that were never redeemed
+authNonceSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('AuthNonce', authNonceSchema);
@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+// An API token a bot posts with. Only a hash of the token is stored.
+const botTokenSchema = new mongoose.Schema({
+  bot: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    trim: true,
+    maxlength: 100,
+    default: ''
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  // First characters of the token, so admins can tell tokens apart
+  prefix: {
+    type: String,
+    required: true
+  },
+  // Channel names the token may post to, unless allChannels is set
+  channels: [{
+    type: String,
+    lowercase: true,
+    trim: true
+  }],
+  allChannels: {
+    type: Boolean,
+    default: false
+  },
+  canBroadcast: {
+    type: Boolean,
+    default: false
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Index for faster queries
+botTokenSchema.index({ bot: 1, createdAt: -1 });
+
+module.exports = mongoose.model('BotToken', botTokenSchema);
@@ -1,5 +1,32 @@
 const mongoose = require('mongoose');
 
+// Holdings a wallet needs to see and post in a token-gated channel
+const tokenGateSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['token', 'nft_collection'],
+    required: true
+  },
+  // SPL token mint, for token gates
+  mint: {
+    type: String,
+    default: null
+  },
+  // Verified collection's mint address, for NFT gates
+  collectionMint: {
+    type: String,
+    default: null
+  },
+  // Token amount in whole units, or number of NFTs from the collection
+  minBalance: {
+    type: Number,
+    required: true,
+    min: 0
+  }
+}, {
+  _id: false
+});
+
 const channelSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -25,10 +52,49 @@ const channelSchema = new mongoose.Schema({
     type: Date,
     default: null
   },
+  // Minimum seconds between posts by the same user (0 disables slow mode)
+  slowModeSeconds: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     required: true
+  },
+  // Private channels are only visible to their creator, members and channel managers
+  isPrivate: {
+    type: Boolean,
+    default: false
+  },
+  // Channel moderators can manage the member list alongside the creator
+  members: [{
+    _id: false,
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    role: {
+      type: String,
+      enum: ['member', 'moderator'],
+      default: 'member'
+    },
+    addedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    addedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Only wallets holding enough of a token or NFT collection can see the channel
+  tokenGate: {
+    type: tokenGateSchema,
+    default: null
   }
 }, {
   timestamps: true
@@ -38,5 +104,6 @@ const channelSchema = new mongoose.Schema({
 channelSchema.index({ name: 1 });
 channelSchema.index({ isActive: 1 });
 channelSchema.index({ lastMessageAt: -1 });
+channelSchema.index({ 'members.user': 1 });
 
 module.exports = mongoose.model('Channel', channelSchema);
@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+// How far a user has read in a text channel
+const channelReadStateSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  channel: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  lastReadMessageId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message',
+    default: null
+  },
+  // Timestamp of the last read message; everything after it is unread
+  lastReadAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Index for faster queries
+channelReadStateSchema.index({ user: 1, channel: 1 }, { unique: true });
+
+module.exports = mongoose.model('ChannelReadState', channelReadStateSchema);
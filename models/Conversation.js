@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+const conversationSchema = new mongoose.Schema({
+  participants: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }],
+  isGroup: {
+    type: Boolean,
+    default: false
+  },
+  name: {
+    type: String,
+    trim: true,
+    maxlength: 100,
+    default: null
+  },
+  // Sorted participant ids of a 1:1 conversation, so each pair has only one
+  directKey: {
+    type: String,
+    default: undefined
+  },
+  // When each participant last read the conversation, for unread counts
+  readState: [{
+    _id: false,
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    lastReadAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  lastMessage: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DirectMessage',
+    default: null
+  },
+  lastMessageAt: {
+    type: Date,
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Index for faster queries
+conversationSchema.index({ participants: 1, lastMessageAt: -1 });
+conversationSchema.index({ directKey: 1 }, { unique: true, sparse: true });
+
+module.exports = mongoose.model('Conversation', conversationSchema);
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+// A secret URL that posts into one channel as a bot. Only a hash of the
+// URL's token is stored.
+const incomingWebhookSchema = new mongoose.Schema({
+  bot: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  channel: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  name: {
+    type: String,
+    trim: true,
+    maxlength: 100,
+    default: ''
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Index for faster queries
+incomingWebhookSchema.index({ bot: 1 });
+incomingWebhookSchema.index({ channel: 1 });
+
+module.exports = mongoose.model('IncomingWebhook', incomingWebhookSchema);
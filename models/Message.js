@@ -6,11 +6,15 @@ const messageSchema = new mongoose.Schema({
     required: true,
     trim: true
   },
+  // Optional when the message carries attachments or embeds
   text: {
     type: String,
-    required: true,
+    required: function () {
+      return (!this.attachments || this.attachments.length === 0) && (!this.embeds || this.embeds.length === 0);
+    },
     trim: true,
-    maxlength: 1000
+    maxlength: 1000,
+    default: ''
   },
   channel: {
     type: String,
@@ -25,6 +29,11 @@ const messageSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Posted by a bot account, through its API or an incoming webhook
+  isBot: {
+    type: Boolean,
+    default: false
+  },
   userId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -33,14 +42,213 @@ const messageSchema = new mongoose.Schema({
   timestamp: {
     type: Date,
     default: Date.now
+  },
+  // Root message of the thread this message replies to
+  parentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message',
+    default: null
+  },
+  // Thread replies are hidden from the channel unless also sent there
+  showInChannel: {
+    type: Boolean,
+    default: false
+  },
+  threadReplyCount: {
+    type: Number,
+    default: 0
+  },
+  threadLastReplyAt: {
+    type: Date,
+    default: null
+  },
+  editedAt: {
+    type: Date,
+    default: null
+  },
+  // Deleted messages stay as tombstones until purged after a grace period
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  deleteReason: {
+    type: String,
+    trim: true,
+    maxlength: 500,
+    default: null
+  },
+  // Uploaded files, with their metadata copied from the Attachment
+  attachments: [{
+    _id: false,
+    attachment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Attachment',
+      required: true
+    },
+    filename: String,
+    contentType: String,
+    size: Number,
+    kind: {
+      type: String,
+      enum: ['image', 'file']
+    },
+    width: Number,
+    height: Number,
+    hasThumbnail: Boolean
+  }],
+  // Rich cards posted by bots
+  embeds: [{
+    _id: false,
+    title: {
+      type: String,
+      default: null
+    },
+    description: {
+      type: String,
+      default: null
+    },
+    url: {
+      type: String,
+      default: null
+    },
+    color: {
+      type: Number,
+      default: null
+    },
+    fields: [{
+      _id: false,
+      name: String,
+      value: String,
+      inline: Boolean
+    }],
+    links: [{
+      _id: false,
+      label: String,
+      url: String
+    }],
+    imageUrl: {
+      type: String,
+      default: null
+    },
+    footer: {
+      type: String,
+      default: null
+    }
+  }],
+  // Resolved @mentions with their position in the text
+  mentions: [{
+    _id: false,
+    type: {
+      type: String,
+      enum: ['user', 'role', 'everyone'],
+      required: true
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    role: {
+      type: String,
+      default: null
+    },
+    offset: {
+      type: Number,
+      required: true
+    },
+    length: {
+      type: Number,
+      required: true
+    }
+  }],
+  // Solana addresses, transaction signatures and explorer links found in the text
+  entities: [{
+    _id: false,
+    type: {
+      type: String,
+      enum: ['address', 'transaction', 'explorer_url'],
+      required: true
+    },
+    // The address or signature, also for explorer links
+    value: {
+      type: String,
+      required: true
+    },
+    offset: {
+      type: Number,
+      required: true
+    },
+    length: {
+      type: Number,
+      required: true
+    },
+    // Explorer links only
+    url: String,
+    explorer: String,
+    cluster: String,
+    targetType: {
+      type: String,
+      enum: ['address', 'transaction']
+    },
+    // Set when the address is a token mint the resolver knows
+    token: {
+      symbol: String,
+      name: String,
+      decimals: Number,
+      logoUrl: String
+    }
+  }],
+  // One entry per emoji; `users` holds who reacted so each user counts once
+  reactions: [{
+    _id: false,
+    emoji: {
+      type: String,
+      required: true
+    },
+    count: {
+      type: Number,
+      default: 0
+    },
+    users: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }]
+  }],
+  // Earlier versions of the text, oldest first. Only loaded for moderators.
+  revisions: {
+    type: [{
+      text: {
+        type: String,
+        required: true
+      },
+      replacedAt: {
+        type: Date,
+        required: true
+      },
+      editedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+      }
+    }],
+    select: false
   }
 }, {
   timestamps: true
 });
 
 // Index for faster queries
-messageSchema.index({ channel: 1, timestamp: -1 });
+messageSchema.index({ channel: 1, timestamp: -1, _id: -1 });
 messageSchema.index({ userId: 1 });
 messageSchema.index({ timestamp: -1 });
+messageSchema.index({ parentId: 1, timestamp: 1 });
+messageSchema.index({ 'mentions.user': 1, timestamp: -1 });
+messageSchema.index({ deletedAt: 1 }, { partialFilterExpression: { deletedAt: { $type: 'date' } } });
+messageSchema.index({ text: 'text' });
 
 module.exports = mongoose.model('Message', messageSchema);
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+// An entry in a user's notification inbox
+const notificationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['mention'],
+    default: 'mention'
+  },
+  // How the user was mentioned: directly, through their role or via @everyone
+  mentionType: {
+    type: String,
+    enum: ['user', 'role', 'everyone'],
+    required: true
+  },
+  message: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message',
+    required: true
+  },
+  channel: {
+    type: String,
+    required: true
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  preview: {
+    type: String,
+    default: ''
+  },
+  readAt: {
+    type: Date,
+    default: null
+  },
+  timestamp: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Index for faster queries
+notificationSchema.index({ user: 1, timestamp: -1, _id: -1 });
+notificationSchema.index({ user: 1, readAt: 1 });
+notificationSchema.index({ message: 1 });
+
+module.exports = mongoose.model('Notification', notificationSchema);
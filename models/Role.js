@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { ALL_PERMISSIONS } = require('../config/permissions');
 
 const roleSchema = new mongoose.Schema({
   name: {
@@ -12,6 +13,20 @@ const roleSchema = new mongoose.Schema({
     type: String,
     default: ''
   },
+  permissions: [{
+    type: String,
+    enum: ALL_PERMISSIONS
+  }],
+  // Higher priority roles outrank lower ones when managing users and roles
+  priority: {
+    type: Number,
+    default: 0
+  },
+  // Built-in roles are seeded at startup and cannot be renamed
+  isSystem: {
+    type: Boolean,
+    default: false
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -26,6 +41,8 @@ const roleSchema = new mongoose.Schema({
   }
 });
 
+roleSchema.index({ priority: -1 });
+
 // Update the updatedAt field before saving
 roleSchema.pre('save', function(next) {
   this.updatedAt = Date.now();
@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+const SANCTION_TYPES = ['mute', 'timeout', 'kick', 'ban'];
+
+const sanctionSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: SANCTION_TYPES,
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Kept separately so a wallet can be banned before it ever signs in
+  walletAddress: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Channel name for channel-scoped sanctions, null for server-wide ones
+  channel: {
+    type: String,
+    default: null,
+    lowercase: true,
+    trim: true
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: 500,
+    default: ''
+  },
+  issuedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // null means the sanction lasts until it is revoked
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Index for faster queries
+sanctionSchema.index({ user: 1, isActive: 1 });
+sanctionSchema.index({ walletAddress: 1, isActive: 1 });
+sanctionSchema.index({ isActive: 1, expiresAt: 1 });
+
+sanctionSchema.statics.TYPES = SANCTION_TYPES;
+
+module.exports = mongoose.model('Sanction', sanctionSchema);
@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+// The last time a user's wallet was checked against a token-gated channel
+const tokenGateCheckSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  channel: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Channel',
+    required: true
+  },
+  walletAddress: {
+    type: String,
+    required: true
+  },
+  eligible: {
+    type: Boolean,
+    required: true
+  },
+  // Token amount or NFT count the wallet held when checked
+  balance: {
+    type: Number,
+    default: 0
+  },
+  checkedAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Index for faster queries
+tokenGateCheckSchema.index({ user: 1, channel: 1 }, { unique: true });
+tokenGateCheckSchema.index({ channel: 1, eligible: 1 });
+tokenGateCheckSchema.index({ eligible: 1, checkedAt: 1 });
+
+module.exports = mongoose.model('TokenGateCheck', tokenGateCheckSchema);
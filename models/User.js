@@ -9,16 +9,40 @@ const userSchema = new mongoose.Schema({
     minlength: 1,
     maxlength: 50
   },
+  // Bots have no wallet and get a `bot:<id>` placeholder that can never sign in
   walletAddress: {
     type: String,
     required: true,
     unique: true,
     trim: true
   },
+  // Bot accounts post through API tokens and incoming webhooks, never a wallet
+  isBot: {
+    type: Boolean,
+    default: false
+  },
+  bot: {
+    description: {
+      type: String,
+      trim: true,
+      maxlength: 200,
+      default: ''
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    disabledAt: {
+      type: Date,
+      default: null
+    }
+  },
   avatar: {
     type: String,
     default: null
   },
+  // Whether other users see this user as online; false while invisible
   isOnline: {
     type: Boolean,
     default: false
@@ -27,14 +51,66 @@ const userSchema = new mongoose.Schema({
     type: Date,
     default: Date.now
   },
-  socketId: {
+  // One entry per connected socket, so closing one tab leaves the user online
+  connections: [{
+    _id: false,
+    socketId: {
+      type: String,
+      required: true
+    },
+    // Server instance holding the socket, so its connections can be dropped if it crashes
+    instanceId: {
+      type: String,
+      default: null
+    },
+    connectedAt: {
+      type: Date,
+      default: Date.now
+    },
+    lastActiveAt: {
+      type: Date,
+      default: Date.now
+    },
+    // Set by the client when the user stops interacting with this device
+    isIdle: {
+      type: Boolean,
+      default: false
+    }
+  }],
+  // The status the user picked. `online` turns into `away` when every device is idle.
+  status: {
     type: String,
-    default: null
+    enum: ['online', 'away', 'dnd', 'invisible'],
+    default: 'online'
+  },
+  // What other users see: the picked status, `away` when idle, `offline` when
+  // disconnected or invisible
+  presence: {
+    type: String,
+    enum: ['online', 'away', 'dnd', 'offline'],
+    default: 'offline'
+  },
+  customStatus: {
+    text: {
+      type: String,
+      trim: true,
+      maxlength: 128,
+      default: null
+    },
+    expiresAt: {
+      type: Date,
+      default: null
+    }
   },
   role: {
     type: String,
     default: 'user'
   },
+  // Users who may not send this user direct messages
+  blockedUsers: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
   joinedAt: {
     type: Date,
     default: Date.now
@@ -47,5 +123,9 @@ const userSchema = new mongoose.Schema({
 userSchema.index({ username: 1 });
 userSchema.index({ walletAddress: 1 });
 userSchema.index({ isOnline: 1 });
+userSchema.index({ presence: 1 });
+userSchema.index({ isBot: 1 });
+userSchema.index({ 'connections.socketId': 1 });
+userSchema.index({ 'customStatus.expiresAt': 1 }, { partialFilterExpression: { 'customStatus.expiresAt': { $type: 'date' } } });
 
 module.exports = mongoose.model('User', userSchema);
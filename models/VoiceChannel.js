@@ -28,6 +28,11 @@ const voiceChannelSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Users allowed into a private voice channel besides its creator
+  members: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
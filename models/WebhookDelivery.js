@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+
+// Delivery logs are kept this long
+const DELIVERY_LOG_TTL_SECONDS = 30 * 24 * 60 * 60;
+
+// One event sent to one webhook subscription, with every attempt made
+const webhookDeliverySchema = new mongoose.Schema({
+  subscription: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WebhookSubscription',
+    required: true
+  },
+  event: {
+    type: String,
+    required: true
+  },
+  // Shared by the deliveries of one event to different subscriptions
+  eventId: {
+    type: String,
+    required: true
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'succeeded', 'failed'],
+    default: 'pending'
+  },
+  // Test deliveries are attempted once and do not count towards disabling
+  isTest: {
+    type: Boolean,
+    default: false
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Claimed by an instance that is sending it right now
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  attemptLog: [{
+    _id: false,
+    attemptedAt: {
+      type: Date,
+      required: true
+    },
+    responseStatus: {
+      type: Number,
+      default: null
+    },
+    responseBody: {
+      type: String,
+      default: null
+    },
+    error: {
+      type: String,
+      default: null
+    },
+    durationMs: {
+      type: Number,
+      default: null
+    }
+  }],
+  completedAt: {
+    type: Date,
+    default: null
+  },
+  timestamp: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Index for faster queries
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ subscription: 1, timestamp: -1, _id: -1 });
+webhookDeliverySchema.index({ timestamp: 1 }, { expireAfterSeconds: DELIVERY_LOG_TTL_SECONDS });
+
+module.exports = mongoose.model('WebhookDelivery', webhookDeliverySchema);
@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+
+// An HTTP endpoint that receives chat events
+const webhookSubscriptionSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 200,
+    default: ''
+  },
+  // Event types delivered to this endpoint
+  events: [{
+    type: String,
+    required: true
+  }],
+  // Channel names to deliver events for; empty means every channel. Events
+  // not tied to a channel only reach subscriptions without a channel filter.
+  channels: [{
+    type: String,
+    lowercase: true,
+    trim: true
+  }],
+  // Deliveries are signed with the secret, and with the previous one for a
+  // while after it is rotated so receivers can switch over
+  secret: {
+    type: String,
+    required: true,
+    select: false
+  },
+  previousSecret: {
+    type: String,
+    default: null,
+    select: false
+  },
+  previousSecretExpiresAt: {
+    type: Date,
+    default: null
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  // Failed delivery attempts since the last success
+  consecutiveFailures: {
+    type: Number,
+    default: 0
+  },
+  disabledAt: {
+    type: Date,
+    default: null
+  },
+  disabledReason: {
+    type: String,
+    default: null
+  },
+  lastSuccessAt: {
+    type: Date,
+    default: null
+  },
+  lastFailureAt: {
+    type: Date,
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Index for faster queries
+webhookSubscriptionSchema.index({ isActive: 1, events: 1 });
+
+module.exports = mongoose.model('WebhookSubscription', webhookSubscriptionSchema);
@@ -1,5 +1,6 @@
 require('dotenv').config();
 const express = require('express');
+const mongoose = require('mongoose');
 const http = require('http');
 const socketIo = require('socket.io');
 const cors = require('cors');
@@ -9,6 +10,198 @@ const Message = require('./models/Message');
 const Channel = require('./models/Channel');
 const VoiceChannel = require('./models/VoiceChannel');
 const Role = require('./models/Role');
+const AuthNonce = require('./models/AuthNonce');
+const {
+  NONCE_TTL_MS,
+  isValidWalletAddress,
+  generateNonce,
+  buildSignInMessage,
+  verifyWalletSignature
+} = require('./utils/solanaAuth');
+const {
+  issueSessionToken,
+  findUserForToken,
+  authenticate,
+  optionalAuthenticate,
+  authenticateBot,
+  authenticateSocket
+} = require('./middleware/auth');
+const { requirePermission, loadUserRole } = require('./middleware/permissions');
+const { rateLimit, socketRateLimit } = require('./middleware/rateLimit');
+const {
+  roleHasPermission,
+  hasPermission,
+  getRolePriority,
+  outranksUser,
+  validateRoleGrant,
+  seedDefaultRoles
+} = require('./utils/permissions');
+const { PERMISSIONS, ALL_PERMISSIONS } = require('./config/permissions');
+const {
+  joinVoiceChannel,
+  leaveVoiceChannel,
+  relayVoiceSignal,
+  closeVoiceChannel,
+  listenForVoiceChannelClosures,
+  pruneVoiceParticipants,
+  startVoiceParticipantPruneJob
+} = require('./services/voice');
+const {
+  channelRoom,
+  userRoom,
+  threadRoom,
+  messageRooms,
+  subscribedChannels
+} = require('./utils/rooms');
+const { ServiceError, RateLimitError } = require('./utils/errors');
+const {
+  MESSAGE_FIELDS,
+  PARENT_FIELDS,
+  formatReactions,
+  formatMessage,
+  formatChannelMessage,
+  formatDirectMessage,
+  formatConversation
+} = require('./utils/messageFormat');
+const {
+  channelTimelineFilter,
+  postMessage,
+  postBroadcast,
+  getThread,
+  editMessage,
+  addReaction,
+  removeReaction,
+  getMessageRevisions,
+  deleteMessage,
+  clearChannelMessages,
+  deleteChannel,
+  startTombstonePurgeJob
+} = require('./services/messages');
+const {
+  PARTICIPANT_FIELDS,
+  findOrCreateConversation,
+  markConversationRead,
+  sendDirectMessage,
+  listConversations,
+  getConversationMessages,
+  blockUser,
+  unblockUser
+} = require('./services/conversations');
+const { searchMessages } = require('./services/search');
+const {
+  visibleChannelFilter,
+  listVisibleChannelNames,
+  canAccessChannel,
+  assertChannelAccess,
+  findAccessibleChannel,
+  addChannelMember,
+  removeChannelMember,
+  setChannelPrivacy,
+  setChannelTokenGate,
+  listChannelMembers
+} = require('./services/channels');
+const {
+  tokenGateEvents,
+  hasTokenGate,
+  validateTokenGate,
+  listTokenGateHolderIds,
+  refreshTokenGateStatus,
+  startTokenGateVerificationJob
+} = require('./services/tokenGates');
+const { markChannelRead, getUnreadCounts } = require('./services/readState');
+const {
+  formatPresence,
+  formatOwnPresence,
+  connectSocket,
+  disconnectSocket,
+  recordActivity,
+  setPresence,
+  reapDeadInstanceConnections,
+  restoreInstanceConnections,
+  startPresenceSweepJob
+} = require('./services/presence');
+const {
+  attachClusterAdapter,
+  trackConnection,
+  untrackConnection,
+  getClusterStats,
+  startClusterHeartbeat
+} = require('./services/cluster');
+const {
+  formatNotification,
+  notifyMentions,
+  listNotifications,
+  markNotificationsRead,
+  clearNotifications
+} = require('./services/notifications');
+const {
+  attachmentUrl,
+  storeUpload,
+  storeAvatar,
+  findViewableAttachment,
+  getStorageBackend,
+  startAttachmentCleanupJob
+} = require('./services/attachments');
+const {
+  WEBHOOK_EVENTS,
+  formatSubscription,
+  formatDelivery,
+  webhookChannel,
+  webhookUser,
+  createWebhookSubscription,
+  listWebhookSubscriptions,
+  updateWebhookSubscription,
+  deleteWebhookSubscription,
+  rotateWebhookSecret,
+  dispatchWebhookEvent,
+  testWebhookSubscription,
+  listWebhookDeliveries,
+  startWebhookDeliveryJob
+} = require('./services/webhooks');
+const {
+  formatBot,
+  formatBotToken,
+  formatIncomingWebhook,
+  createBot,
+  listBots,
+  disableBot,
+  createBotToken,
+  listBotTokens,
+  revokeBotToken,
+  tokenChannels,
+  createIncomingWebhook,
+  listIncomingWebhooks,
+  deleteIncomingWebhook,
+  findIncomingWebhook
+} = require('./services/bots');
+const {
+  listCommands,
+  parseCommandInput,
+  unescapeCommandText,
+  executeCommand
+} = require('./services/commands');
+const { registerBuiltinCommands } = require('./services/builtinCommands');
+const { uploadSingleFile } = require('./middleware/upload');
+const { MAX_ATTACHMENT_BYTES, MAX_AVATAR_BYTES } = require('./config/uploads');
+const { parsePageSize, paginateByCursor } = require('./utils/pagination');
+const { MAX_SLOW_MODE_SECONDS } = require('./config/rateLimits');
+const {
+  findBlockingSanction,
+  isWalletBanned,
+  formatSanction,
+  issueSanction,
+  revokeSanction,
+  listSanctions,
+  getActiveSanctionsForUser,
+  startSanctionExpiryJob
+} = require('./services/moderation');
+const {
+  AUDIT_ACTIONS,
+  requestMetadata,
+  socketMetadata,
+  recordAudit,
+  listAuditLog
+} = require('./services/auditLog');
 
 // Connect to MongoDB
 connectDB();
@@ -25,8 +218,16 @@ const io = socketIo(server, {
 app.use(cors());
 app.use(express.json());
 
-// Store active socket connections (for real-time features)
-const activeConnections = new Map();
+// Needed for req.ip to be the client address behind a load balancer
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', process.env.TRUST_PROXY === 'true' ? true : process.env.TRUST_PROXY);
+}
+
+// The user a socket has joined as, or undefined before `join`. Connection
+// counts and presence live in shared stores so every instance sees them.
+const joinedUserId = (socket) => socket.data.joinedUserId;
+// Wallets that are always granted the admin role when they sign in
+const adminWallets = (process.env.ADMIN_WALLETS || '').split(',').map(w => w.trim()).filter(Boolean);
 const channels = ['general', 'trading', 'nft', 'defi', 'announcements'];
 
 // Initialize default channels
@@ -81,54 +282,217 @@ const initializeChannels = async () => {
   }
 };
 
+// Verify session tokens supplied in the socket handshake
+io.use(authenticateSocket);
+
+// Error payload for socket clients; rate limits also say when to retry
+const serviceErrorPayload = (error) => (error instanceof RateLimitError
+  ? { error: error.message, code: 'RATE_LIMITED', retryAfter: error.retryAfter, retryAfterMs: error.retryAfterMs }
+  : { error: error.message });
+
+// REST counterpart of serviceErrorPayload, with Retry-After on rate limits
+const sendServiceError = (res, error) => {
+  if (error instanceof RateLimitError) {
+    res.set('Retry-After', String(error.retryAfter));
+  }
+  res.status(error.status).json(serviceErrorPayload(error));
+};
+
+// Deliver an event to every connected socket of a conversation's participants
+const emitToConversation = (conversation, event, payload) => {
+  const rooms = conversation.participants.map(participant => userRoom(participant._id || participant));
+  io.to(rooms).emit(event, payload);
+};
+
+// Announce a channel change. Private and token-gated channels are only
+// announced to users who can see them, so others never learn they exist.
+const emitChannelEvent = async (channel, event, payload) => {
+  if (!channel.isPrivate && !hasTokenGate(channel)) {
+    io.emit(event, payload);
+    return;
+  }
+
+  const ownerId = String(channel.createdBy._id || channel.createdBy);
+  let audienceIds = channel.isPrivate
+    ? channel.members.map(member => String(member.user._id || member.user))
+    : null;
+  if (hasTokenGate(channel)) {
+    const holderIds = (await listTokenGateHolderIds(channel)).map(String);
+    audienceIds = audienceIds ? audienceIds.filter(userId => holderIds.includes(userId)) : holderIds;
+  }
+
+  io.to([ownerId, ...audienceIds].map(userRoom)).emit(event, payload);
+};
+
+// Deliver a newly posted message to thread viewers and the channel, then
+// notify mentions and webhooks. Used for messages from sockets and bots alike;
+// `senderSocketId` also receives the message when given.
+const publishMessage = (message, threadRoot, author, { senderSocketId = null } = {}) => {
+  const formattedMessage = formatMessage(message, { author });
+  const withSender = (room) => (senderSocketId ? [room, senderSocketId] : room);
+
+  if (threadRoot) {
+    // Notify thread viewers, and update the reply count shown in the channel
+    io.to(withSender(threadRoom(threadRoot._id))).emit('threadReply', formattedMessage);
+    io.to(channelRoom(threadRoot.channel)).emit('threadUpdated', {
+      messageId: threadRoot._id,
+      channel: threadRoot.channel,
+      threadReplyCount: threadRoot.threadReplyCount,
+      threadLastReplyAt: threadRoot.threadLastReplyAt
+    });
+  }
+
+  if (!threadRoot || message.showInChannel) {
+    // Emit to the channel's subscribers, and to the sender even if not subscribed
+    io.to(withSender(channelRoom(message.channel))).emit('newMessage', formattedMessage);
+  }
+
+  // The message is already delivered, so a failed notification is only logged
+  notifyMentions(io, message, author).catch(error => console.error('Error notifying mentions:', error));
+  dispatchWebhookEvent('message.created', { message: formattedMessage }, { channel: message.channel });
+
+  return formattedMessage;
+};
+
+// Deliver a broadcast's messages, each to its own channel's subscribers
+const publishBroadcast = (messages, author) => messages.map(message => {
+  const formattedMessage = formatMessage(message, { author });
+  io.to(channelRoom(message.channel)).emit('newMessage', formattedMessage);
+  dispatchWebhookEvent('message.created', { message: formattedMessage }, { channel: message.channel });
+  return formattedMessage;
+});
+
+// Run a slash command sent as a message in a channel. Ephemeral replies go
+// only to the sending socket; public ones are shown to the whole channel as a
+// notice. Notices are not stored as messages, so posting limits never turn a
+// command that worked into an error. Without a channel, commands that act on
+// one are refused rather than run against #general.
+const runChatCommand = async (socket, user, channelName, command) => {
+  const channel = typeof channelName === 'string' && channelName.trim()
+    ? await findAccessibleChannel(user, { name: channelName })
+    : null;
+
+  const result = await executeCommand(command, {
+    io,
+    user,
+    channel,
+    auditMetadata: socketMetadata(socket, 'sendMessage'),
+    emitChannelEvent,
+    publishBroadcast
+  });
+  if (!result?.text) {
+    return;
+  }
+
+  const response = {
+    command: command.name,
+    channel: channel ? channel.name : null,
+    text: result.text,
+    ephemeral: !!result.ephemeral,
+    invokedBy: { _id: user._id, username: user.username, avatar: user.avatar },
+    timestamp: new Date()
+  };
+  io.to(result.ephemeral || !channel ? socket.id : [channelRoom(channel.name), socket.id]).emit('commandResponse', response);
+};
+
+// Drop sockets that can no longer see a channel out of its room
+const evictFromChannelRoom = async (channel) => {
+  const room = channelRoom(channel.name);
+  const sockets = await io.in(room).fetchSockets();
+  for (const peer of sockets) {
+    const peerUser = peer.data.userId ? await User.findById(peer.data.userId) : null;
+    if (!(await canAccessChannel(peerUser, channel))) {
+      peer.leave(room);
+    }
+  }
+};
+
+// A user no longer holds enough for a token-gated channel: stop delivering it,
+// unless they can still see it as its owner or a channel manager
+tokenGateEvents.on('accessLost', async (userId, channel) => {
+  try {
+    const user = await User.findById(userId);
+    if (user && await canAccessChannel(user, channel)) {
+      return;
+    }
+    io.in(userRoom(userId)).socketsLeave(channelRoom(channel.name));
+    io.to(userRoom(userId)).emit('channelDeleted', channel._id);
+  } catch (error) {
+    console.error('Error removing user from token-gated channel:', error);
+  }
+});
+
+// Accept a single channel name or a list of them from socket payloads
+const normalizeChannelNames = (value) => {
+  const names = Array.isArray(value) ? value : [value];
+  return [...new Set(names
+    .filter(name => typeof name === 'string' && name.trim())
+    .map(name => name.trim().toLowerCase()))];
+};
+
 // Socket.io connection handling
 io.on('connection', (socket) => {
   console.log('User connected:', socket.id);
-  console.log('Total connections:', io.engine.clientsCount);
+  console.log('Total connections on this instance:', io.engine.clientsCount);
+  trackConnection(socket);
+
+  // Rate limit incoming events per user and per IP address
+  socket.use(socketRateLimit(socket, () => joinedUserId(socket)));
+
+  // Any event from a joined socket counts as activity, keeping its user from going away
+  socket.use(([event], next) => {
+    const userId = joinedUserId(socket);
+    if (userId && event !== 'presenceActivity') {
+      recordActivity(io, userId, socket).catch(error => console.error('Error recording activity:', error));
+    }
+    next();
+  });
 
   // Handle user joining
   socket.on('join', async (userData) => {
     try {
       // Check if userData is valid
-      if (userData && userData.username && userData.walletAddress) {
-        // Find or create user in database
-        let user = await User.findOne({ 
-          $or: [
-            { username: userData.username },
-            { walletAddress: userData.walletAddress }
-          ]
-        });
+      if (userData) {
+        // Identity comes from a verified session, never from the payload itself
+        let userId = socket.data.userId;
+        if (userData.token) {
+          const tokenUser = await findUserForToken(userData.token);
+          if (!tokenUser) {
+            socket.emit('joinError', { error: 'Invalid or expired session. Please sign in again.' });
+            return;
+          }
+          userId = tokenUser._id;
+          socket.data.userId = userId;
+        }
 
+        if (!userId) {
+          socket.emit('joinError', { error: 'Authentication required. Please sign in with your wallet.' });
+          return;
+        }
+
+        const user = await User.findById(userId);
         if (!user) {
-          // Create new user
-          user = new User({
-            username: userData.username,
-            walletAddress: userData.walletAddress,
-            avatar: userData.avatar || null,
-            role: userData.role || 'user',
-            isOnline: true,
-            socketId: socket.id
-          });
-          await user.save();
-        } else {
-          // Update existing user
-          user.isOnline = true;
-          user.socketId = socket.id;
-          user.lastSeen = new Date();
-          if (userData.avatar) {
-            user.avatar = userData.avatar;
-          }
-          if (userData.role) {
-            user.role = userData.role;
-          }
-          await user.save();
+          socket.emit('joinError', { error: 'User not found. Please sign in again.' });
+          return;
+        }
+
+        if (await findBlockingSanction(user, 'join')) {
+          socket.emit('joinError', { error: 'You are banned from this server' });
+          socket.disconnect(true);
+          return;
         }
 
         // Store connection mapping
-        activeConnections.set(socket.id, user._id);
-        
+        socket.data.joinedUserId = user._id;
+        trackConnection(socket, user._id);
+        socket.join(userRoom(user._id));
+
+        // Count this socket towards the user's presence; announced only if it changed
+        const connectedUser = await connectSocket(io, user, socket);
+
         // Send user info back to the client including role and _id
         socket.emit('userConfirmed', {
+          ...formatOwnPresence(connectedUser),
           _id: user._id,
           username: user.username,
           walletAddress: user.walletAddress,
@@ -137,35 +501,23 @@ io.on('connection', (socket) => {
           role: user.role,
           isOnline: true
         });
-        
-        // Broadcast user joined
-        socket.broadcast.emit('userJoined', {
-          username: user.username,
-          avatar: user.avatar,
-          isOnline: true
-        });
-        
+
         console.log('User joined:', user.username);
-        console.log('Total connected users:', activeConnections.size);
       } else if (userData === null) {
         // Handle wallet disconnection
-        const userId = activeConnections.get(socket.id);
+        const userId = joinedUserId(socket);
         if (userId) {
-          const user = await User.findById(userId);
+          await leaveVoiceChannel(io, socket);
+          socket.leave(userRoom(userId));
+          delete socket.data.joinedUserId;
+          trackConnection(socket);
+
+          const user = await disconnectSocket(io, userId, socket.id);
           if (user) {
-            user.isOnline = false;
-            user.socketId = null;
-            await user.save();
-            
-            socket.broadcast.emit('userLeft', {
-              username: user.username,
-              avatar: user.avatar
-            });
-            
-            activeConnections.delete(socket.id);
             console.log('User left:', user.username);
           }
         }
+        delete socket.data.userId;
       }
     } catch (error) {
       console.error('Error handling join:', error);
@@ -176,52 +528,44 @@ io.on('connection', (socket) => {
   // Handle new messages
   socket.on('sendMessage', async (messageData) => {
     try {
-      const userId = activeConnections.get(socket.id);
+      const userId = joinedUserId(socket);
       if (!userId) {
         socket.emit('messageError', { error: 'User not found. Please reconnect.' });
         return;
       }
 
       const user = await User.findById(userId);
-      if (!user || !user.isOnline) {
+      if (!user) {
         socket.emit('messageError', { error: 'User not found. Please reconnect.' });
         return;
       }
 
-      const message = new Message({
-        username: user.username,
-        text: messageData.text,
-        channel: messageData.channel || 'general',
-        avatar: user.avatar,
-        userId: user._id,
-        isBroadcast: false
-      });
-
-      await message.save();
+      if (!(await hasPermission(user, PERMISSIONS.SEND_MESSAGES))) {
+        socket.emit('messageError', { error: 'You do not have permission to send messages' });
+        return;
+      }
 
-      // Update channel's last message timestamp
-      await Channel.findOneAndUpdate(
-        { name: message.channel },
-        { 
-          lastMessageAt: message.timestamp,
-          $inc: { messageCount: 1 }
-        }
-      );
+      // Messages starting with "/" run a command instead of being posted
+      const command = parseCommandInput(messageData?.text);
+      if (command) {
+        await runChatCommand(socket, user, messageData?.channel, command);
+        return;
+      }
 
-      // Emit to all clients
-      io.emit('newMessage', {
-        id: message._id,
-        username: message.username,
-        walletAddress: user.walletAddress,
-        role: user.role || 'user',
-        text: message.text,
-        timestamp: message.timestamp,
-        avatar: message.avatar,
-        channel: message.channel,
-        isBroadcast: message.isBroadcast
+      const { message, threadRoot } = await postMessage(user, {
+        text: unescapeCommandText(messageData?.text),
+        channel: messageData?.channel,
+        parentId: messageData?.parentId,
+        showInChannel: messageData?.showInChannel,
+        attachments: messageData?.attachments
       });
+      publishMessage(message, threadRoot, user, { senderSocketId: socket.id });
 
     } catch (error) {
+      if (error instanceof ServiceError) {
+        socket.emit('messageError', serviceErrorPayload(error));
+        return;
+      }
       console.error('Error handling sendMessage:', error);
       socket.emit('messageError', { error: 'Server error processing message' });
     }
@@ -230,78 +574,219 @@ io.on('connection', (socket) => {
   // Handle broadcast messages to all channels
   socket.on('broadcastMessage', async (messageData) => {
     try {
-      const userId = activeConnections.get(socket.id);
+      const userId = joinedUserId(socket);
       if (!userId) {
         socket.emit('messageError', { error: 'User not found. Please reconnect.' });
         return;
       }
 
       const user = await User.findById(userId);
-      if (!user || !user.isOnline) {
+      if (!user) {
         socket.emit('messageError', { error: 'User not found. Please reconnect.' });
         return;
       }
 
-      const broadcastMessages = [];
-      
-      // Get all active channels dynamically from database
-      const allChannels = await Channel.find({ isActive: true }).select('name');
-      const channelNames = allChannels.map(ch => ch.name);
-      
-      // Create a message for each channel
-      for (const channelName of channelNames) {
-        const message = new Message({
-          username: user.username,
-          text: messageData.text,
-          channel: channelName,
-          avatar: user.avatar,
-          userId: user._id,
-          isBroadcast: true
-        });
-
-        await message.save();
+      if (!(await hasPermission(user, PERMISSIONS.BROADCAST))) {
+        socket.emit('messageError', { error: 'You do not have permission to broadcast messages' });
+        return;
+      }
 
-        // Update channel's last message timestamp
-        await Channel.findOneAndUpdate(
-          { name: channelName },
-          { 
-            lastMessageAt: message.timestamp,
-            $inc: { messageCount: 1 }
-          }
-        );
+      const messages = await postBroadcast(user, messageData?.text);
+      publishBroadcast(messages, user);
 
-        broadcastMessages.push({
-          id: message._id,
-          username: message.username,
-          walletAddress: user.walletAddress,
-          role: user.role || 'user',
-          text: message.text,
-          timestamp: message.timestamp,
-          avatar: message.avatar,
-          channel: message.channel,
-          isBroadcast: message.isBroadcast
+      if (messages.length > 0) {
+        await recordAudit({
+          actor: user,
+          action: AUDIT_ACTIONS.MESSAGE_BROADCAST,
+          target: { type: 'broadcast' },
+          after: { text: messages[0].text, channels: messages.map(message => message.channel) },
+          metadata: socketMetadata(socket, 'broadcastMessage')
         });
       }
-      
-      // Emit all broadcast messages
-      broadcastMessages.forEach(message => {
-        io.emit('newMessage', message);
-      });
 
     } catch (error) {
+      if (error instanceof ServiceError) {
+        socket.emit('messageError', serviceErrorPayload(error));
+        return;
+      }
       console.error('Error handling broadcastMessage:', error);
       socket.emit('messageError', { error: 'Server error processing broadcast message' });
     }
   });
 
+  // Handle message edits
+  socket.on('editMessage', async (data) => {
+    try {
+      const userId = joinedUserId(socket);
+      const user = userId ? await User.findById(userId) : null;
+      if (!user) {
+        socket.emit('messageError', { error: 'User not found. Please reconnect.' });
+        return;
+      }
+
+      const message = await editMessage(user, data?.messageId, data?.text, socketMetadata(socket, 'editMessage'));
+      io.to([...messageRooms(message), socket.id]).emit('messageUpdated', formatMessage(message));
+    } catch (error) {
+      if (error instanceof ServiceError) {
+        socket.emit('messageError', { error: error.message });
+        return;
+      }
+      console.error('Error handling editMessage:', error);
+      socket.emit('messageError', { error: 'Server error editing message' });
+    }
+  });
+
+  // Handle adding and removing emoji reactions
+  const handleReaction = (action) => async (data) => {
+    try {
+      const userId = joinedUserId(socket);
+      const user = userId ? await User.findById(userId) : null;
+      if (!user) {
+        socket.emit('messageError', { error: 'User not found. Please reconnect.' });
+        return;
+      }
+
+      const updateReaction = action === 'add' ? addReaction : removeReaction;
+      const message = await updateReaction(user, data?.messageId, data?.emoji);
+
+      // Counts are shared; clients compare userId with their own to track their reactions
+      io.to([...messageRooms(message), socket.id]).emit('reactionUpdated', {
+        messageId: message._id,
+        channel: message.channel,
+        emoji: data.emoji,
+        action,
+        userId: user._id,
+        reactions: formatReactions(message)
+      });
+    } catch (error) {
+      if (error instanceof ServiceError) {
+        socket.emit('messageError', { error: error.message });
+        return;
+      }
+      console.error(`Error handling ${action}Reaction:`, error);
+      socket.emit('messageError', { error: 'Server error updating reaction' });
+    }
+  };
+
+  socket.on('addReaction', handleReaction('add'));
+  socket.on('removeReaction', handleReaction('remove'));
+
+  // Handle direct and group conversation messages
+  socket.on('sendDirectMessage', async (data) => {
+    try {
+      const userId = joinedUserId(socket);
+      const user = userId ? await User.findById(userId) : null;
+      if (!user) {
+        socket.emit('messageError', { error: 'User not found. Please reconnect.' });
+        return;
+      }
+
+      // A recipient id starts (or reuses) a 1:1 conversation
+      let conversationId = data?.conversationId;
+      if (!conversationId && data?.recipientId) {
+        const conversation = await findOrCreateConversation(user, [data.recipientId]);
+        conversationId = conversation._id;
+      }
+
+      const { conversation, message } = await sendDirectMessage(user, conversationId, data?.text);
+      emitToConversation(conversation, 'newDirectMessage', formatDirectMessage(message));
+    } catch (error) {
+      if (error instanceof ServiceError) {
+        socket.emit('messageError', { error: error.message });
+        return;
+      }
+      console.error('Error handling sendDirectMessage:', error);
+      socket.emit('messageError', { error: 'Server error sending direct message' });
+    }
+  });
+
+  // Mark a conversation as read and sync it to the user's other sockets
+  socket.on('markConversationRead', async (data) => {
+    try {
+      const userId = joinedUserId(socket);
+      const user = userId ? await User.findById(userId) : null;
+      if (!user) {
+        return;
+      }
+
+      const { conversation, lastReadAt } = await markConversationRead(user, data?.conversationId);
+      io.to(userRoom(user._id)).emit('conversationRead', {
+        conversationId: conversation._id,
+        lastReadAt
+      });
+    } catch (error) {
+      if (error instanceof ServiceError) {
+        socket.emit('messageError', { error: error.message });
+        return;
+      }
+      console.error('Error handling markConversationRead:', error);
+    }
+  });
+
+  // Move the user's read marker in a channel and sync it to their other sockets
+  socket.on('markRead', async (data) => {
+    try {
+      const userId = joinedUserId(socket);
+      const user = userId ? await User.findById(userId) : null;
+      if (!user) {
+        return;
+      }
+
+      const readState = await markChannelRead(user, data?.channel, data?.messageId);
+      io.to(userRoom(user._id)).emit('readStateUpdated', readState);
+    } catch (error) {
+      if (error instanceof ServiceError) {
+        socket.emit('messageError', { error: error.message });
+        return;
+      }
+      console.error('Error handling markRead:', error);
+    }
+  });
+
+  // Pick a status (online, away, dnd, invisible) and/or set a custom status
+  socket.on('setPresence', async (data) => {
+    try {
+      const userId = joinedUserId(socket);
+      const user = userId ? await User.findById(userId) : null;
+      if (!user) {
+        socket.emit('presenceError', { error: 'User not found. Please reconnect.' });
+        return;
+      }
+
+      await setPresence(io, user, { status: data?.status, customStatus: data?.customStatus });
+    } catch (error) {
+      if (error instanceof ServiceError) {
+        socket.emit('presenceError', { error: error.message });
+        return;
+      }
+      console.error('Error handling setPresence:', error);
+      socket.emit('presenceError', { error: 'Failed to update presence' });
+    }
+  });
+
+  // The client reports whether its user is interacting with this device
+  socket.on('presenceActivity', async (data) => {
+    try {
+      const userId = joinedUserId(socket);
+      if (userId) {
+        await recordActivity(io, userId, socket, { idle: data?.idle === true });
+      }
+    } catch (error) {
+      console.error('Error handling presenceActivity:', error);
+    }
+  });
+
   // Handle typing indicators
   socket.on('typing', async (data) => {
-    const userId = activeConnections.get(socket.id);
+    const userId = joinedUserId(socket);
     if (userId) {
       try {
         const user = await User.findById(userId);
-        if (user) {
-          socket.broadcast.emit('userTyping', {
+        // Only subscribers can type in a channel, which keeps non-members out of private ones
+        if (user && data?.channel && socket.rooms.has(channelRoom(data.channel)) &&
+            await hasPermission(user, PERMISSIONS.SEND_MESSAGES) &&
+            !(await findBlockingSanction(user, 'typing', data.channel))) {
+          socket.to(channelRoom(data.channel)).emit('userTyping', {
             userId: userId,
             username: user.username,
             isTyping: data.isTyping,
@@ -314,29 +799,148 @@ io.on('connection', (socket) => {
     }
   });
 
+  // Requested channels that exist and that this socket's user can see
+  const findSubscribableChannels = async (names) => {
+    const userId = joinedUserId(socket) || socket.data.userId;
+    const user = userId ? await User.findById(userId) : null;
+    return Channel.find({ $and: [await visibleChannelFilter(user), { name: { $in: names } }] }).select('name');
+  };
+
+  // Subscribe to one or more text channels to receive their messages and typing events
+  socket.on('subscribe', async (data) => {
+    try {
+      const requested = normalizeChannelNames(data?.channels ?? data?.channel);
+      const validChannels = await findSubscribableChannels(requested);
+
+      socket.join(validChannels.map(ch => channelRoom(ch.name)));
+      socket.emit('subscriptionsUpdated', { channels: subscribedChannels(socket) });
+    } catch (error) {
+      console.error('Error handling subscribe:', error);
+      socket.emit('subscriptionError', { error: 'Failed to subscribe to channels' });
+    }
+  });
+
+  // Stop receiving events for one or more text channels
+  socket.on('unsubscribe', (data) => {
+    const requested = normalizeChannelNames(data?.channels ?? data?.channel);
+    requested.forEach(channelName => socket.leave(channelRoom(channelName)));
+    socket.emit('subscriptionsUpdated', { channels: subscribedChannels(socket) });
+  });
+
+  // Replace the socket's subscriptions with the given list, e.g. after a reconnect
+  socket.on('syncSubscriptions', async (data) => {
+    try {
+      const requested = normalizeChannelNames(data?.channels);
+      const validChannels = await findSubscribableChannels(requested);
+      const validNames = validChannels.map(ch => ch.name);
+
+      subscribedChannels(socket)
+        .filter(channelName => !validNames.includes(channelName))
+        .forEach(channelName => socket.leave(channelRoom(channelName)));
+      socket.join(validNames.map(channelRoom));
+
+      socket.emit('subscriptionsUpdated', { channels: subscribedChannels(socket) });
+    } catch (error) {
+      console.error('Error handling syncSubscriptions:', error);
+      socket.emit('subscriptionError', { error: 'Failed to sync subscriptions' });
+    }
+  });
+
+  // Start receiving replies for a thread
+  socket.on('subscribeThread', async (data) => {
+    try {
+      if (!data?.messageId || !mongoose.isValidObjectId(data.messageId)) {
+        return;
+      }
+      const root = await Message.findById(data.messageId).select('channel');
+      const channel = root ? await Channel.findOne({ name: root.channel }) : null;
+      const userId = joinedUserId(socket) || socket.data.userId;
+      const user = userId ? await User.findById(userId) : null;
+      if (channel && await canAccessChannel(user, channel)) {
+        socket.join(threadRoom(data.messageId));
+      }
+    } catch (error) {
+      console.error('Error handling subscribeThread:', error);
+    }
+  });
+
+  // Stop receiving replies for a thread
+  socket.on('unsubscribeThread', (data) => {
+    if (data?.messageId) {
+      socket.leave(threadRoom(data.messageId));
+    }
+  });
+
+  // Handle joining a voice channel
+  socket.on('joinVoice', async (data) => {
+    try {
+      const userId = joinedUserId(socket);
+      const user = userId ? await User.findById(userId) : null;
+      if (!user) {
+        socket.emit('voiceError', { error: 'User not found. Please reconnect.' });
+        return;
+      }
+
+      const { voiceChannel, peers } = await joinVoiceChannel(io, socket, user, data?.voiceChannelId);
+
+      // The joining client sends offers to the peers already in the room
+      socket.emit('voiceJoined', {
+        voiceChannelId: voiceChannel._id,
+        peers
+      });
+    } catch (error) {
+      if (error instanceof ServiceError) {
+        socket.emit('voiceError', { error: error.message });
+        return;
+      }
+      console.error('Error handling joinVoice:', error);
+      socket.emit('voiceError', { error: 'Failed to join voice channel' });
+    }
+  });
+
+  // Handle leaving a voice channel
+  socket.on('leaveVoice', async () => {
+    try {
+      await leaveVoiceChannel(io, socket);
+      socket.emit('voiceLeft');
+    } catch (error) {
+      console.error('Error handling leaveVoice:', error);
+      socket.emit('voiceError', { error: 'Failed to leave voice channel' });
+    }
+  });
+
+  // Relay WebRTC offers, answers and ICE candidates between voice peers
+  socket.on('voiceSignal', async (signal) => {
+    try {
+      await relayVoiceSignal(io, socket, signal);
+    } catch (error) {
+      if (error instanceof ServiceError) {
+        socket.emit('voiceError', { error: error.message });
+        return;
+      }
+      console.error('Error relaying voice signal:', error);
+      socket.emit('voiceError', { error: 'Failed to relay voice signal' });
+    }
+  });
+
   // Handle disconnection
   socket.on('disconnect', async () => {
     try {
-      const userId = activeConnections.get(socket.id);
+      untrackConnection(socket);
+
+      // Free the voice slot even if the user never finished joining
+      await leaveVoiceChannel(io, socket);
+
+      const userId = joinedUserId(socket);
       if (userId) {
-        const user = await User.findById(userId);
+        // Other tabs or devices keep the user online
+        const user = await disconnectSocket(io, userId, socket.id);
         if (user) {
-          user.isOnline = false;
-          user.socketId = null;
-          await user.save();
-          
-          socket.broadcast.emit('userLeft', {
-            username: user.username,
-            avatar: user.avatar
-          });
-          
           console.log('User disconnected:', user.username);
         }
-        activeConnections.delete(socket.id);
       } else {
         console.log('User disconnected without proper user data');
       }
-      console.log('Total connected users:', activeConnections.size);
     } catch (error) {
       console.error('Error handling disconnect:', error);
     }
@@ -348,19 +952,24 @@ app.get('/api/health', async (req, res) => {
   try {
     const onlineUsers = await User.countDocuments({ isOnline: true });
     const totalUsers = await User.countDocuments();
-    const totalMessages = await Message.countDocuments();
+    const totalMessages = await Message.countDocuments({ deletedAt: null });
     
-    // Get all active channels dynamically from database
-    const allChannels = await Channel.find({ isActive: true }).select('name');
-    const channelNames = allChannels.map(ch => ch.name);
+    // Get all public channels dynamically from database
+    const channelNames = await listVisibleChannelNames(null);
+
+    // Connection counts cover every instance in the cluster
+    const cluster = await getClusterStats();
     
     res.json({ 
       status: 'OK', 
-      connectedUsers: activeConnections.size,
+      connectedUsers: cluster.connectedUsers,
       onlineUsers: onlineUsers,
       totalUsers: totalUsers,
       totalMessages: totalMessages,
-      totalConnections: io.engine.clientsCount,
+      totalConnections: cluster.connections,
+      instanceConnections: io.engine.clientsCount,
+      instances: cluster.instances,
+      instanceId: cluster.instanceId,
       channels: channelNames,
       timestamp: new Date().toISOString()
     });
@@ -369,66 +978,173 @@ app.get('/api/health', async (req, res) => {
   }
 });
 
-app.get('/api/messages', async (req, res) => {
+// Wallet authentication API endpoints
+
+// Issue a sign-in challenge for a wallet
+app.post('/api/auth/nonce', rateLimit('auth'), async (req, res) => {
   try {
-    const channel = req.query.channel || 'general';
-    const limit = parseInt(req.query.limit) || 50;
-    const skip = parseInt(req.query.skip) || 0;
-    
-    const messages = await Message.find({ channel })
-      .sort({ timestamp: -1 })
-      .limit(limit)
-      .skip(skip)
-      .populate('userId', 'walletAddress role')
-      .select('username text timestamp avatar channel isBroadcast userId');
-    
-    // Transform messages to include wallet address and role
-    const transformedMessages = messages.map(msg => ({
-      id: msg._id,
-      username: msg.username,
-      walletAddress: msg.userId?.walletAddress || msg.username,
-      role: msg.userId?.role || 'user',
-      text: msg.text,
-      timestamp: msg.timestamp,
-      avatar: msg.avatar,
-      channel: msg.channel,
-      isBroadcast: msg.isBroadcast
-    }));
-    
-    res.json(transformedMessages.reverse()); // Reverse to show oldest first
+    const { walletAddress } = req.body;
+
+    if (!walletAddress || !isValidWalletAddress(walletAddress)) {
+      return res.status(400).json({ error: 'A valid Solana wallet address is required' });
+    }
+
+    const authNonce = new AuthNonce({
+      walletAddress,
+      nonce: generateNonce(),
+      expiresAt: new Date(Date.now() + NONCE_TTL_MS)
+    });
+    await authNonce.save();
+
+    res.json({
+      nonce: authNonce.nonce,
+      message: buildSignInMessage(walletAddress, authNonce.nonce, authNonce.createdAt),
+      expiresAt: authNonce.expiresAt
+    });
   } catch (error) {
-    res.status(500).json({ error: 'Failed to fetch messages' });
+    console.error('Error issuing auth nonce:', error);
+    res.status(500).json({ error: 'Failed to issue sign-in challenge' });
   }
 });
 
-app.get('/api/messages/all', async (req, res) => {
+// Verify a signed challenge and start a session
+app.post('/api/auth/verify', rateLimit('auth'), async (req, res) => {
   try {
-    const limit = parseInt(req.query.limit) || 50;
-    const allMessages = {};
-    
-    // Get all active channels dynamically from database
-    const allChannels = await Channel.find({ isActive: true }).select('name');
-    const channelNames = allChannels.map(ch => ch.name);
-    
-    for (const channelName of channelNames) {
-      const messages = await Message.find({ channel: channelName })
-        .sort({ timestamp: -1 })
-        .limit(limit)
-        .populate('userId', 'walletAddress role')
-        .select('username text timestamp avatar channel isBroadcast userId');
-      
+    const { walletAddress, nonce, signature, username } = req.body;
+
+    // Only strings, so a query operator can't stand in for a value and redeem someone else's nonce
+    if (typeof walletAddress !== 'string' || typeof nonce !== 'string' || typeof signature !== 'string' ||
+        !walletAddress || !nonce || !signature) {
+      return res.status(400).json({ error: 'Wallet address, nonce and signature are required' });
+    }
+    if (username !== undefined && username !== null && typeof username !== 'string') {
+      return res.status(400).json({ error: 'Username must be text' });
+    }
+
+    // Each challenge can only be redeemed once
+    const authNonce = await AuthNonce.findOneAndDelete({
+      walletAddress,
+      nonce,
+      expiresAt: { $gt: new Date() }
+    });
+    if (!authNonce) {
+      return res.status(401).json({ error: 'Sign-in challenge is invalid or has expired' });
+    }
+
+    const message = buildSignInMessage(walletAddress, authNonce.nonce, authNonce.createdAt);
+    if (!verifyWalletSignature(message, signature, walletAddress)) {
+      return res.status(401).json({ error: 'Invalid wallet signature' });
+    }
+
+    if (await isWalletBanned(walletAddress)) {
+      return res.status(403).json({ error: 'This wallet is banned from this server' });
+    }
+
+    // Wallets are looked up by address only, so a username can never be used to claim one
+    let user = await User.findOne({ walletAddress });
+    if (!user) {
+      if (!username) {
+        return res.status(400).json({ error: 'Username is required for new accounts' });
+      }
+
+      const existingUser = await User.findOne({ username });
+      if (existingUser) {
+        return res.status(409).json({ error: 'Username is already taken' });
+      }
+
+      // Avatars are uploaded afterwards through /api/users/me/avatar
+      user = new User({
+        username,
+        walletAddress
+      });
+      await user.save();
+      dispatchWebhookEvent('user.joined', { user: webhookUser(user) });
+    }
+
+    if (adminWallets.includes(walletAddress) && user.role !== 'admin') {
+      const previousRole = user.role;
+      user.role = 'admin';
+      await user.save();
+      dispatchWebhookEvent('role.changed', { user: webhookUser(user), previousRole, role: user.role, changedBy: null });
+    }
+
+    res.json({
+      token: issueSessionToken(user),
+      user: {
+        _id: user._id,
+        username: user.username,
+        walletAddress: user.walletAddress,
+        avatar: user.avatar,
+        role: user.role
+      }
+    });
+  } catch (error) {
+    console.error('Error verifying wallet signature:', error);
+    res.status(500).json({ error: 'Failed to verify wallet signature' });
+  }
+});
+
+// Get the currently authenticated user
+app.get('/api/auth/me', authenticate, async (req, res) => {
+  res.json({
+    _id: req.user._id,
+    username: req.user.username,
+    walletAddress: req.user.walletAddress,
+    avatar: req.user.avatar,
+    role: req.user.role
+  });
+});
+
+app.get('/api/messages', optionalAuthenticate, async (req, res) => {
+  try {
+    const channel = req.query.channel || 'general';
+    const { before, after, around, limit, skip } = req.query;
+
+    const channelDoc = await Channel.findOne({ name: String(channel).toLowerCase() });
+    if (channelDoc) {
+      await assertChannelAccess(req.user, channelDoc);
+    }
+    
+    const { items, pagination } = await paginateByCursor(
+      Message,
+      channelTimelineFilter(channel),
+      { before, after, around, limit, skip },
+      query => query
+        .populate('userId', 'walletAddress role')
+        .populate('parentId', PARENT_FIELDS)
+        .select(MESSAGE_FIELDS)
+    );
+    
+    // Transform messages to include wallet address and role
+    const transformedMessages = items.map(msg => formatMessage(msg, { viewerId: req.user?._id }));
+    
+    res.json({ messages: transformedMessages, pagination });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    res.status(500).json({ error: 'Failed to fetch messages' });
+  }
+});
+
+app.get('/api/messages/all', optionalAuthenticate, async (req, res) => {
+  try {
+    const limit = parsePageSize(req.query.limit);
+    const allMessages = {};
+    
+    // Get all channels the viewer can see dynamically from database
+    const channelNames = await listVisibleChannelNames(req.user);
+    
+    for (const channelName of channelNames) {
+      const messages = await Message.find(channelTimelineFilter(channelName))
+        .sort({ timestamp: -1 })
+        .limit(limit)
+        .populate('userId', 'walletAddress role')
+        .populate('parentId', PARENT_FIELDS)
+        .select(MESSAGE_FIELDS);
+      
       // Transform messages to include wallet address and role
-      const transformedMessages = messages.map(msg => ({
-        id: msg._id,
-        username: msg.username,
-        walletAddress: msg.userId?.walletAddress || msg.username,
-        role: msg.userId?.role || 'user',
-        text: msg.text,
-        timestamp: msg.timestamp,
-        avatar: msg.avatar,
-        channel: msg.channel,
-        isBroadcast: msg.isBroadcast
-      }));
+      const transformedMessages = messages.map(msg => formatMessage(msg, { viewerId: req.user?._id }));
       
       allMessages[channelName] = transformedMessages.reverse();
     }
@@ -439,24 +1155,279 @@ app.get('/api/messages/all', async (req, res) => {
   }
 });
 
+// Search message history
+app.get('/api/search', optionalAuthenticate, async (req, res) => {
+  try {
+    const { q, channel, author, from, to, broadcast, page, limit, context } = req.query;
+    const viewerId = req.user?._id;
+
+    const searchResult = await searchMessages({ q, channel, author, from, to, broadcast, page, limit, context }, req.user);
+
+    res.json({
+      ...searchResult,
+      results: searchResult.results.map(result => ({
+        ...result,
+        message: formatMessage(result.message, { viewerId }),
+        context: {
+          before: result.context.before.map(msg => formatMessage(msg, { viewerId })),
+          after: result.context.after.map(msg => formatMessage(msg, { viewerId }))
+        }
+      }))
+    });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error searching messages:', error);
+    res.status(500).json({ error: 'Failed to search messages' });
+  }
+});
+
 app.get('/api/users', async (req, res) => {
   try {
     const onlineOnly = req.query.online === 'true';
     const query = onlineOnly ? { isOnline: true } : {};
     
     const users = await User.find(query)
-      .select('username avatar isOnline lastSeen role joinedAt createdAt')
+      .select('username avatar isOnline presence customStatus lastSeen role joinedAt createdAt')
       .sort({ isOnline: -1, lastSeen: -1 });
-    
-    res.json(users);
+
+    // Custom statuses of offline and invisible users stay hidden
+    res.json(users.map(user => ({ ...user.toObject(), customStatus: formatPresence(user).customStatus })));
   } catch (error) {
     res.status(500).json({ error: 'Failed to fetch users' });
   }
 });
 
-app.get('/api/channels', async (req, res) => {
+// Direct message API endpoints
+
+// List the current user's conversations with last message and unread count
+app.get('/api/conversations', authenticate, async (req, res) => {
+  try {
+    const conversations = await listConversations(req.user);
+    res.json(conversations.map(({ conversation, unreadCount }) => formatConversation(conversation, unreadCount)));
+  } catch (error) {
+    console.error('Error fetching conversations:', error);
+    res.status(500).json({ error: 'Failed to fetch conversations' });
+  }
+});
+
+// Start a 1:1 or group conversation
+app.post('/api/conversations', authenticate, rateLimit('write'), async (req, res) => {
+  try {
+    const { participantIds, name } = req.body;
+
+    const conversation = await findOrCreateConversation(req.user, participantIds, name);
+    await conversation.populate('participants', PARTICIPANT_FIELDS);
+
+    res.status(201).json(formatConversation(conversation));
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error creating conversation:', error);
+    res.status(500).json({ error: 'Failed to create conversation' });
+  }
+});
+
+// Get the message history of a conversation
+app.get('/api/conversations/:id/messages', authenticate, async (req, res) => {
+  try {
+    const { before, after, around, limit, skip } = req.query;
+
+    const { items, pagination } = await getConversationMessages(req.user, req.params.id, { before, after, around, limit, skip });
+    res.json({ messages: items.map(formatDirectMessage), pagination });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error fetching conversation messages:', error);
+    res.status(500).json({ error: 'Failed to fetch conversation messages' });
+  }
+});
+
+// Send a message to a conversation
+app.post('/api/conversations/:id/messages', authenticate, rateLimit('write'), async (req, res) => {
+  try {
+    const { conversation, message } = await sendDirectMessage(req.user, req.params.id, req.body.text);
+    const formattedMessage = formatDirectMessage(message);
+
+    emitToConversation(conversation, 'newDirectMessage', formattedMessage);
+
+    res.status(201).json(formattedMessage);
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error sending direct message:', error);
+    res.status(500).json({ error: 'Failed to send direct message' });
+  }
+});
+
+// Mark a conversation as read
+app.post('/api/conversations/:id/read', authenticate, rateLimit('write'), async (req, res) => {
+  try {
+    const { conversation, lastReadAt } = await markConversationRead(req.user, req.params.id);
+
+    io.to(userRoom(req.user._id)).emit('conversationRead', {
+      conversationId: conversation._id,
+      lastReadAt
+    });
+
+    res.json({ conversationId: conversation._id, lastReadAt });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error marking conversation read:', error);
+    res.status(500).json({ error: 'Failed to mark conversation read' });
+  }
+});
+
+// List the users the current user has blocked
+app.get('/api/users/me/blocked', authenticate, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id)
+      .populate('blockedUsers', 'username avatar walletAddress');
+    res.json(user.blockedUsers);
+  } catch (error) {
+    console.error('Error fetching blocked users:', error);
+    res.status(500).json({ error: 'Failed to fetch blocked users' });
+  }
+});
+
+// Upload a new avatar image for the current user
+app.post('/api/users/me/avatar', authenticate, rateLimit('upload'), uploadSingleFile(MAX_AVATAR_BYTES), async (req, res) => {
+  try {
+    await storeAvatar(req.user, req.file);
+
+    // Let other clients pick up the new avatar
+    io.emit('userUpdated', {
+      _id: req.user._id,
+      username: req.user.username,
+      avatar: req.user.avatar
+    });
+
+    res.json({ avatar: req.user.avatar });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error uploading avatar:', error);
+    res.status(500).json({ error: 'Failed to upload avatar' });
+  }
+});
+
+// Unread and mention counts for every channel the current user can see
+app.get('/api/users/me/unread', authenticate, async (req, res) => {
+  try {
+    res.json({ channels: await getUnreadCounts(req.user) });
+  } catch (error) {
+    console.error('Error fetching unread counts:', error);
+    res.status(500).json({ error: 'Failed to fetch unread counts' });
+  }
+});
+
+// The current user's presence, picked status and custom status
+app.get('/api/users/me/presence', authenticate, async (req, res) => {
+  try {
+    res.json(formatOwnPresence(req.user));
+  } catch (error) {
+    console.error('Error fetching presence:', error);
+    res.status(500).json({ error: 'Failed to fetch presence' });
+  }
+});
+
+// Pick a status and/or set or clear a custom status
+app.put('/api/users/me/presence', authenticate, rateLimit('write'), async (req, res) => {
+  try {
+    res.json(await setPresence(io, req.user, { status: req.body?.status, customStatus: req.body?.customStatus }));
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error updating presence:', error);
+    res.status(500).json({ error: 'Failed to update presence' });
+  }
+});
+
+// The current user's notification inbox, newest page first
+app.get('/api/notifications', authenticate, async (req, res) => {
+  try {
+    const { unread, before, after, limit } = req.query;
+    const { notifications, pagination, unreadCount } = await listNotifications(req.user, { unread, before, after, limit });
+
+    res.json({ notifications: notifications.map(formatNotification), pagination, unreadCount });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error fetching notifications:', error);
+    res.status(500).json({ error: 'Failed to fetch notifications' });
+  }
+});
+
+// Mark notifications read: the given IDs, or all of them
+app.post('/api/notifications/read', authenticate, rateLimit('write'), async (req, res) => {
   try {
-    const channels = await Channel.find({ isActive: true })
+    const result = await markNotificationsRead(req.user, req.body?.ids);
+    io.to(userRoom(req.user._id)).emit('notificationsRead', { ids: result.ids, readAt: result.readAt });
+    res.json(result);
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error marking notifications read:', error);
+    res.status(500).json({ error: 'Failed to mark notifications read' });
+  }
+});
+
+// Clear notifications: the given IDs, or the whole inbox
+app.delete('/api/notifications', authenticate, rateLimit('write'), async (req, res) => {
+  try {
+    const result = await clearNotifications(req.user, req.body?.ids);
+    io.to(userRoom(req.user._id)).emit('notificationsCleared', { ids: result.ids });
+    res.json(result);
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error clearing notifications:', error);
+    res.status(500).json({ error: 'Failed to clear notifications' });
+  }
+});
+
+// Block a user from sending direct messages
+app.post('/api/users/:id/block', authenticate, rateLimit('write'), async (req, res) => {
+  try {
+    const target = await blockUser(req.user, req.params.id);
+    res.json({ success: true, blockedUserId: target._id });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error blocking user:', error);
+    res.status(500).json({ error: 'Failed to block user' });
+  }
+});
+
+// Unblock a user
+app.delete('/api/users/:id/block', authenticate, rateLimit('write'), async (req, res) => {
+  try {
+    await unblockUser(req.user, req.params.id);
+    res.json({ success: true });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error unblocking user:', error);
+    res.status(500).json({ error: 'Failed to unblock user' });
+  }
+});
+
+app.get('/api/channels', optionalAuthenticate, async (req, res) => {
+  try {
+    const channels = await Channel.find(await visibleChannelFilter(req.user))
       .populate('createdBy', 'username')
       .sort({ lastMessageAt: -1 });
     
@@ -480,67 +1451,37 @@ app.get('/api/voice-channels', async (req, res) => {
 });
 
 // Create new text channel
-app.post('/api/channels', async (req, res) => {
+app.post('/api/channels', authenticate, rateLimit('write'), requirePermission(PERMISSIONS.CREATE_CHANNELS), async (req, res) => {
   try {
-    const { name, description, userId, username, walletAddress } = req.body;
+    const { name, description, isPrivate = false, members = [], tokenGate = null } = req.body;
 
     if (!name) {
       return res.status(400).json({ error: 'Channel name is required' });
     }
 
+    if (typeof isPrivate !== 'boolean' || !Array.isArray(members) ||
+        !members.every(memberId => mongoose.isValidObjectId(memberId))) {
+      return res.status(400).json({ error: 'isPrivate must be a boolean and members a list of user IDs' });
+    }
+
     // Check if channel already exists
     const existingChannel = await Channel.findOne({ name: name.toLowerCase() });
     if (existingChannel) {
       return res.status(400).json({ error: 'Channel already exists' });
     }
 
-    let creatorUserId;
-
-    // If userId is provided, use it directly
-    if (userId) {
-      const user = await User.findById(userId);
-      if (user) {
-        creatorUserId = user._id;
-      }
-    } 
-    // If username or walletAddress is provided, find the user
-    else if (username || walletAddress) {
-      let user = await User.findOne({ 
-        $or: [
-          ...(username ? [{ username }] : []),
-          ...(walletAddress ? [{ walletAddress }] : [])
-        ]
-      });
-
-      if (!user) {
-        // Create new user if they don't exist
-        user = new User({
-          username: username || `user_${Date.now()}`,
-          walletAddress: walletAddress || null,
-          isOnline: false
-        });
-        await user.save();
-      }
-      creatorUserId = user._id;
-    } 
-    // Fallback to system user if no user info provided
-    else {
-      let systemUser = await User.findOne({ username: 'system' });
-      if (!systemUser) {
-        systemUser = new User({
-          username: 'system',
-          walletAddress: '0x0000000000000000000000000000000000000000',
-          isOnline: false
-        });
-        await systemUser.save();
-      }
-      creatorUserId = systemUser._id;
-    }
+    // Initial members of a private channel; the creator is always a member
+    const memberUsers = isPrivate
+      ? await User.find({ _id: { $in: members, $ne: req.user._id } }).select('_id')
+      : [];
 
     const channel = new Channel({
       name: name.toLowerCase(),
       description: description || `Channel for ${name}`,
-      createdBy: creatorUserId
+      createdBy: req.user._id,
+      isPrivate,
+      tokenGate: validateTokenGate(tokenGate),
+      members: memberUsers.map(member => ({ user: member._id, addedBy: req.user._id }))
     });
 
     await channel.save();
@@ -549,48 +1490,257 @@ app.post('/api/channels', async (req, res) => {
     const populatedChannel = await Channel.findById(channel._id)
       .populate('createdBy', 'username');
 
-    // Emit socket event to notify all clients of new channel
-    io.emit('channelCreated', populatedChannel);
+    // Emit socket event to notify clients that can see the new channel
+    await emitChannelEvent(channel, 'channelCreated', populatedChannel);
+    dispatchWebhookEvent('channel.created', { channel: webhookChannel(channel) }, { channel: channel.name });
 
     res.status(201).json(populatedChannel);
   } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error('Error creating channel:', error);
     res.status(500).json({ error: 'Failed to create channel' });
   }
 });
 
+// Set a channel's slow mode interval
+app.put('/api/channels/:id/slow-mode', authenticate, rateLimit('write'), requirePermission(PERMISSIONS.MANAGE_CHANNELS), async (req, res) => {
+  try {
+    const { seconds } = req.body;
+
+    if (!Number.isInteger(seconds) || seconds < 0 || seconds > MAX_SLOW_MODE_SECONDS) {
+      return res.status(400).json({ error: `Slow mode must be a whole number of seconds between 0 and ${MAX_SLOW_MODE_SECONDS}` });
+    }
+
+    const previous = await Channel.findByIdAndUpdate(
+      req.params.id,
+      { slowModeSeconds: seconds }
+    );
+    if (!previous) {
+      return res.status(404).json({ error: 'Channel not found' });
+    }
+    const channel = await Channel.findById(previous._id).populate('createdBy', 'username');
+
+    await recordAudit({
+      actor: req.user,
+      action: AUDIT_ACTIONS.CHANNEL_UPDATE,
+      target: { type: 'channel', id: channel._id, name: channel.name },
+      before: { slowModeSeconds: previous.slowModeSeconds },
+      after: { slowModeSeconds: channel.slowModeSeconds },
+      metadata: requestMetadata(req)
+    });
+
+    await emitChannelEvent(channel, 'channelUpdated', channel);
+
+    res.json(channel);
+  } catch (error) {
+    console.error('Error updating slow mode:', error);
+    res.status(500).json({ error: 'Failed to update slow mode' });
+  }
+});
+
+// List the owner and members of a channel
+app.get('/api/channels/:id/members', authenticate, async (req, res) => {
+  try {
+    res.json(await listChannelMembers(req.user, req.params.id));
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error fetching channel members:', error);
+    res.status(500).json({ error: 'Failed to fetch channel members' });
+  }
+});
+
+// Add a member to a private channel, or change a member's role
+app.post('/api/channels/:id/members', authenticate, rateLimit('write'), async (req, res) => {
+  try {
+    const { userId, role } = req.body;
+    const { channel, user, previousRole } = await addChannelMember(req.user, req.params.id, { userId, role });
+
+    await recordAudit({
+      actor: req.user,
+      action: AUDIT_ACTIONS.CHANNEL_MEMBER_ADD,
+      target: { type: 'channel', id: channel._id, name: channel.name },
+      before: previousRole ? { user: user._id, role: previousRole } : null,
+      after: { user: user._id, role: role || 'member' },
+      metadata: requestMetadata(req)
+    });
+
+    // The new member can now see the channel
+    if (!previousRole) {
+      io.to(userRoom(user._id)).emit('channelCreated', await Channel.findById(channel._id).populate('createdBy', 'username'));
+    }
+    io.to(channelRoom(channel.name)).emit('channelMembersUpdated', { channelId: channel._id });
+
+    res.status(previousRole ? 200 : 201).json(await listChannelMembers(req.user, channel._id));
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error adding channel member:', error);
+    res.status(500).json({ error: 'Failed to add channel member' });
+  }
+});
+
+// Remove a member from a private channel (members can remove themselves)
+app.delete('/api/channels/:id/members/:userId', authenticate, rateLimit('write'), async (req, res) => {
+  try {
+    const { channel, member } = await removeChannelMember(req.user, req.params.id, req.params.userId);
+
+    await recordAudit({
+      actor: req.user,
+      action: AUDIT_ACTIONS.CHANNEL_MEMBER_REMOVE,
+      target: { type: 'channel', id: channel._id, name: channel.name },
+      before: { user: member.user, role: member.role },
+      metadata: requestMetadata(req)
+    });
+
+    // Stop delivering the channel to the removed user, unless they can still see it as a channel manager
+    const removedUser = await User.findById(member.user);
+    if (!removedUser || !(await canAccessChannel(removedUser, channel))) {
+      io.in(userRoom(member.user)).socketsLeave(channelRoom(channel.name));
+      io.to(userRoom(member.user)).emit('channelDeleted', channel._id);
+    }
+    io.to(channelRoom(channel.name)).emit('channelMembersUpdated', { channelId: channel._id });
+
+    res.json({ success: true });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error removing channel member:', error);
+    res.status(500).json({ error: 'Failed to remove channel member' });
+  }
+});
+
+// Mark a channel read up to a message, or up to its newest message
+app.post('/api/channels/:id/read', authenticate, rateLimit('write'), async (req, res) => {
+  try {
+    const channel = await findAccessibleChannel(req.user, { id: req.params.id });
+    const readState = await markChannelRead(req.user, channel.name, req.body?.messageId);
+
+    io.to(userRoom(req.user._id)).emit('readStateUpdated', readState);
+
+    res.json(readState);
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error marking channel read:', error);
+    res.status(500).json({ error: 'Failed to mark channel read' });
+  }
+});
+
+// Make a channel private or public
+app.put('/api/channels/:id/privacy', authenticate, rateLimit('write'), async (req, res) => {
+  try {
+    const { channel, previous } = await setChannelPrivacy(req.user, req.params.id, req.body.isPrivate);
+
+    await recordAudit({
+      actor: req.user,
+      action: AUDIT_ACTIONS.CHANNEL_UPDATE,
+      target: { type: 'channel', id: channel._id, name: channel.name },
+      before: { isPrivate: previous },
+      after: { isPrivate: channel.isPrivate },
+      metadata: requestMetadata(req)
+    });
+
+    const populatedChannel = await Channel.findById(channel._id).populate('createdBy', 'username');
+    if (channel.isPrivate && !previous) {
+      // Non-members lose the channel: tell everyone it is gone, then re-announce it to members
+      io.emit('channelDeleted', channel._id);
+      await emitChannelEvent(channel, 'channelCreated', populatedChannel);
+      await evictFromChannelRoom(channel);
+    } else if (!channel.isPrivate && previous) {
+      await emitChannelEvent(channel, 'channelCreated', populatedChannel);
+    }
+
+    res.json(populatedChannel);
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error updating channel privacy:', error);
+    res.status(500).json({ error: 'Failed to update channel privacy' });
+  }
+});
+
+// Require holdings of a token or NFT collection to see a channel, or lift the requirement
+app.put('/api/channels/:id/token-gate', authenticate, rateLimit('write'), async (req, res) => {
+  try {
+    const { channel, previous } = await setChannelTokenGate(req.user, req.params.id, req.body?.tokenGate);
+
+    await recordAudit({
+      actor: req.user,
+      action: AUDIT_ACTIONS.CHANNEL_UPDATE,
+      target: { type: 'channel', id: channel._id, name: channel.name },
+      before: { tokenGate: previous },
+      after: { tokenGate: channel.tokenGate },
+      metadata: requestMetadata(req)
+    });
+
+    const populatedChannel = await Channel.findById(channel._id).populate('createdBy', 'username');
+    if (channel.tokenGate) {
+      // Hide the channel from everyone, check who is in it against the new
+      // rule, then re-announce it to those who can still see it
+      io.emit('channelDeleted', channel._id);
+      await evictFromChannelRoom(channel);
+      await emitChannelEvent(channel, 'channelCreated', populatedChannel);
+    } else if (previous) {
+      await emitChannelEvent(channel, 'channelCreated', populatedChannel);
+    }
+
+    res.json(populatedChannel);
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error updating channel token gate:', error);
+    res.status(500).json({ error: 'Failed to update channel token gate' });
+  }
+});
+
+// Re-check the user's wallet against a token-gated channel, e.g. right after buying in
+app.post('/api/channels/:id/token-gate/verify', authenticate, rateLimit('write'), async (req, res) => {
+  try {
+    res.json(await refreshTokenGateStatus(req.user, req.params.id));
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error verifying token gate:', error);
+    res.status(500).json({ error: 'Failed to verify token holdings' });
+  }
+});
+
 // Create new voice channel
-app.post('/api/voice-channels', async (req, res) => {
+app.post('/api/voice-channels', authenticate, rateLimit('write'), requirePermission(PERMISSIONS.CREATE_CHANNELS), async (req, res) => {
   try {
-    const { name, description, maxParticipants, isPrivate } = req.body;
+    const { name, description, maxParticipants, isPrivate, members } = req.body;
 
     if (!name) {
       return res.status(400).json({ error: 'Voice channel name is required' });
     }
 
+    if (members !== undefined && (!Array.isArray(members) || !members.every(id => mongoose.isValidObjectId(id)))) {
+      return res.status(400).json({ error: 'Members must be an array of user IDs' });
+    }
+
     // Check if voice channel already exists
     const existingVoiceChannel = await VoiceChannel.findOne({ name });
     if (existingVoiceChannel) {
       return res.status(400).json({ error: 'Voice channel already exists' });
     }
 
-    // Find or create system user for admin-created channels
-    let systemUser = await User.findOne({ username: 'system' });
-    if (!systemUser) {
-      systemUser = new User({
-        username: 'system',
-        walletAddress: '0x0000000000000000000000000000000000000000',
-        isOnline: false
-      });
-      await systemUser.save();
-    }
-
     const voiceChannel = new VoiceChannel({
       name,
       description: description || `Voice channel for ${name}`,
       maxParticipants: maxParticipants || 10,
       isPrivate: isPrivate || false,
-      createdBy: systemUser._id
+      members: members || [],
+      createdBy: req.user._id
     });
 
     await voiceChannel.save();
@@ -608,77 +1758,221 @@ app.post('/api/voice-channels', async (req, res) => {
 });
 
 // Get messages for a specific channel by channel ID
-app.get('/api/channels/:id/messages', async (req, res) => {
+app.get('/api/channels/:id/messages', optionalAuthenticate, async (req, res) => {
   try {
     const channelId = req.params.id;
-    const limit = parseInt(req.query.limit) || 50;
-    const skip = parseInt(req.query.skip) || 0;
+    const { before, after, around, limit, skip } = req.query;
     
     // First, find the channel to get its name
-    const channel = await Channel.findById(channelId);
-    if (!channel) {
-      return res.status(404).json({ error: 'Channel not found' });
-    }
+    const channel = await findAccessibleChannel(req.user, { id: channelId });
     
     // Get messages for this channel
-    const messages = await Message.find({ channel: channel.name })
-      .populate('userId', 'username avatar')
-      .sort({ timestamp: -1 })
-      .limit(limit)
-      .skip(skip)
-      .select('username text timestamp avatar channel isBroadcast userId createdAt content');
+    const { items, pagination } = await paginateByCursor(
+      Message,
+      channelTimelineFilter(channel.name),
+      { before, after, around, limit, skip },
+      query => query
+        .populate('userId', 'username avatar')
+        .populate('parentId', PARENT_FIELDS)
+        .select(MESSAGE_FIELDS)
+    );
     
     // Transform the messages to match the expected format
-    const transformedMessages = messages.map(msg => ({
-      _id: msg._id,
-      content: msg.text || msg.content,
-      username: msg.username,
-      timestamp: msg.timestamp,
-      avatar: msg.avatar,
-      channel: msg.channel,
-      isBroadcast: msg.isBroadcast,
-      createdAt: msg.createdAt || msg.timestamp,
-      user: {
-        _id: msg.userId?._id,
-        username: msg.userId?.username || msg.username,
-        avatar: msg.userId?.avatar || msg.avatar
-      }
-    }));
+    const transformedMessages = items.map(msg => formatChannelMessage(msg, { viewerId: req.user?._id }));
     
-    res.json(transformedMessages.reverse()); // Reverse to show oldest first
+    res.json({ messages: transformedMessages, pagination });
   } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error('Error fetching channel messages:', error);
     res.status(500).json({ error: 'Failed to fetch channel messages' });
   }
 });
 
+// Upload a file to attach to a message. Pass the returned ID in `attachments` when sending.
+app.post('/api/attachments', authenticate, rateLimit('upload'), uploadSingleFile(MAX_ATTACHMENT_BYTES), async (req, res) => {
+  try {
+    const attachment = await storeUpload(req.user, req.file);
+    res.status(201).json({
+      id: attachment._id,
+      filename: attachment.filename,
+      contentType: attachment.contentType,
+      size: attachment.size,
+      kind: attachment.kind,
+      width: attachment.width,
+      height: attachment.height,
+      url: attachmentUrl(attachment._id),
+      thumbnailUrl: attachment.thumbnail?.storageKey ? `${attachmentUrl(attachment._id)}/thumbnail` : null
+    });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error uploading attachment:', error);
+    res.status(500).json({ error: 'Failed to upload attachment' });
+  }
+});
+
+// Stream a stored file to the client
+const sendStoredFile = (res, storageKey, { contentType, filename, inline }) => {
+  res.set({
+    'Content-Type': contentType,
+    'Content-Disposition': `${inline ? 'inline' : 'attachment'}; filename*=UTF-8''${encodeURIComponent(filename)}`,
+    'X-Content-Type-Options': 'nosniff',
+    'Cache-Control': 'private, max-age=86400'
+  });
+
+  const stream = getStorageBackend().createReadStream(storageKey);
+  stream.on('error', (error) => {
+    console.error('Error reading stored file:', error);
+    if (!res.headersSent) {
+      res.status(404).json({ error: 'File not found' });
+    } else {
+      res.destroy();
+    }
+  });
+  stream.pipe(res);
+};
+
+// Download an attachment. Images are shown inline, other files are downloaded.
+app.get('/api/attachments/:id', optionalAuthenticate, async (req, res) => {
+  try {
+    const attachment = await findViewableAttachment(req.user, req.params.id);
+    sendStoredFile(res, attachment.storageKey, {
+      contentType: attachment.contentType,
+      filename: attachment.filename,
+      inline: attachment.kind === 'image'
+    });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error fetching attachment:', error);
+    res.status(500).json({ error: 'Failed to fetch attachment' });
+  }
+});
+
+// Download the thumbnail of an image attachment
+app.get('/api/attachments/:id/thumbnail', optionalAuthenticate, async (req, res) => {
+  try {
+    const attachment = await findViewableAttachment(req.user, req.params.id);
+    if (!attachment.thumbnail?.storageKey) {
+      return res.status(404).json({ error: 'Attachment has no thumbnail' });
+    }
+    sendStoredFile(res, attachment.thumbnail.storageKey, {
+      contentType: 'image/webp',
+      filename: 'thumbnail.webp',
+      inline: true
+    });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error fetching thumbnail:', error);
+    res.status(500).json({ error: 'Failed to fetch thumbnail' });
+  }
+});
+
+// Edit a message
+app.put('/api/messages/:id', authenticate, rateLimit('write'), async (req, res) => {
+  try {
+    const message = await editMessage(req.user, req.params.id, req.body.text, requestMetadata(req));
+    const formattedMessage = formatMessage(message);
+
+    // Notify clients viewing the channel or thread
+    io.to(messageRooms(message)).emit('messageUpdated', formattedMessage);
+
+    res.json(formattedMessage);
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error editing message:', error);
+    res.status(500).json({ error: 'Failed to edit message' });
+  }
+});
+
+// Get a thread root and a page of its replies
+app.get('/api/messages/:id/thread', optionalAuthenticate, async (req, res) => {
+  try {
+    const { before, after, around, limit, skip } = req.query;
+
+    const { root, replies, pagination } = await getThread(req.params.id, { before, after, around, limit, skip }, req.user);
+
+    res.json({
+      root: formatMessage(root, { viewerId: req.user?._id }),
+      replies: replies.map(reply => formatMessage(reply, { viewerId: req.user?._id })),
+      pagination
+    });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error fetching thread:', error);
+    res.status(500).json({ error: 'Failed to fetch thread' });
+  }
+});
+
+// Get the revision history of a message
+app.get('/api/messages/:id/revisions', authenticate, requirePermission(PERMISSIONS.DELETE_MESSAGES), async (req, res) => {
+  try {
+    res.json(await getMessageRevisions(req.params.id));
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error fetching message revisions:', error);
+    res.status(500).json({ error: 'Failed to fetch message revisions' });
+  }
+});
+
 // Delete a specific message
-app.delete('/api/messages/:id', async (req, res) => {
+app.delete('/api/messages/:id', authenticate, rateLimit('write'), requirePermission(PERMISSIONS.DELETE_MESSAGES), async (req, res) => {
   try {
-    const messageId = req.params.id;
-    
-    const message = await Message.findById(messageId);
-    if (!message) {
-      return res.status(404).json({ error: 'Message not found' });
+    const { message, previous, threadRoot } = await deleteMessage(req.user, req.params.id, req.body?.reason);
+
+    await recordAudit({
+      actor: req.user,
+      action: AUDIT_ACTIONS.MESSAGE_DELETE,
+      target: { type: 'message', id: message._id, name: message.channel },
+      before: previous,
+      after: { deletedAt: message.deletedAt, deleteReason: message.deleteReason },
+      metadata: requestMetadata(req)
+    });
+
+    // Replace the message with its tombstone on every screen showing it
+    const deletion = {
+      messageId: message._id,
+      channel: message.channel,
+      parentId: message.parentId,
+      deletedAt: message.deletedAt,
+      deletedBy: req.user._id,
+      reason: message.deleteReason
+    };
+    io.to(messageRooms(message)).emit('messageDeleted', deletion);
+    dispatchWebhookEvent('message.deleted', deletion, { channel: message.channel });
+    if (threadRoot) {
+      io.to(channelRoom(threadRoot.channel)).emit('threadUpdated', {
+        messageId: threadRoot._id,
+        channel: threadRoot.channel,
+        threadReplyCount: threadRoot.threadReplyCount,
+        threadLastReplyAt: threadRoot.threadLastReplyAt
+      });
     }
     
-    await Message.findByIdAndDelete(messageId);
-    
-    // Update channel's message count
-    await Channel.findOneAndUpdate(
-      { name: message.channel },
-      { $inc: { messageCount: -1 } }
-    );
-    
     res.json({ success: true, message: 'Message deleted successfully' });
   } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error('Error deleting message:', error);
     res.status(500).json({ error: 'Failed to delete message' });
   }
 });
 
 // Clear all messages in a channel
-app.delete('/api/channels/:id/messages', async (req, res) => {
+app.delete('/api/channels/:id/messages', authenticate, rateLimit('write'), requirePermission(PERMISSIONS.MANAGE_CHANNELS), async (req, res) => {
   try {
     const channelId = req.params.id;
     
@@ -688,11 +1982,25 @@ app.delete('/api/channels/:id/messages', async (req, res) => {
       return res.status(404).json({ error: 'Channel not found' });
     }
     
-    // Delete all messages in this channel
-    const result = await Message.deleteMany({ channel: channel.name });
-    
-    // Reset channel's message count
-    await Channel.findByIdAndUpdate(channelId, { messageCount: 0 });
+    // Turn every message in this channel into a tombstone
+    const result = await clearChannelMessages(req.user, channel, req.body?.reason);
+
+    await recordAudit({
+      actor: req.user,
+      action: AUDIT_ACTIONS.CHANNEL_CLEAR,
+      target: { type: 'channel', id: channel._id, name: channel.name },
+      before: { messageCount: channel.messageCount, lastMessageAt: channel.lastMessageAt },
+      after: { messageCount: 0, deletedCount: result.deletedCount },
+      metadata: requestMetadata(req)
+    });
+
+    io.to(channelRoom(channel.name)).emit('channelCleared', {
+      channelId: channel._id,
+      channel: channel.name,
+      clearedAt: result.deletedAt,
+      clearedBy: req.user._id,
+      deletedCount: result.deletedCount
+    });
     
     res.json({ 
       success: true, 
@@ -704,97 +2012,44 @@ app.delete('/api/channels/:id/messages', async (req, res) => {
     res.status(500).json({ error: 'Failed to clear channel messages' });
   }
 });
-
-// Delete a text channel
-app.delete('/api/admin/channels/:id', async (req, res) => {
-  try {
-    const channelId = req.params.id;
-    
-    // Find the channel to get its name
-    const channel = await Channel.findById(channelId).populate('createdBy');
-    if (!channel) {
-      return res.status(404).json({ error: 'Channel not found' });
-    }
-    
-    // Delete all messages in this channel first
-    const messageResult = await Message.deleteMany({ channel: channel.name });
-    
-    // Delete the channel
-    await Channel.findByIdAndDelete(channelId);
-    
-    // Emit socket event to notify all clients
-    io.emit('channelDeleted', channelId);
-    
-    res.json({ 
-      success: true, 
-      message: `Successfully deleted channel "${channel.name}" and ${messageResult.deletedCount} messages`,
-      deletedMessages: messageResult.deletedCount
-    });
-  } catch (error) {
-    console.error('Error deleting channel:', error);
-    res.status(500).json({ error: 'Failed to delete channel' });
-  }
-});
-
-// Delete a text channel
-app.delete('/api/channels/:id', async (req, res) => {
-  try {
-    const channelId = req.params.id;
-    const { userId } = req.body;
-    
-    // Find the channel to get its name
-    const channel = await Channel.findById(channelId).populate('createdBy');
-    if (!channel) {
-      return res.status(404).json({ error: 'Channel not found' });
-    }
-    
-    // Check if user is authorized to delete the channel
-    if (userId) {
-      // Get the user
-      const user = await User.findById(userId);
-      if (!user) {
-        return res.status(403).json({ error: 'User not found' });
-      }
-      
-      // Check if user is the channel owner or has admin role
-      const isOwner = channel.createdBy._id.toString() === userId || 
-                      channel.createdBy.username === user.username ||
-                      channel.createdBy.walletAddress === user.walletAddress;
-      const isAdmin = user.role === 'admin' || user.role === 'moderator';
-      
-      if (!isOwner && !isAdmin) {
-        return res.status(403).json({ error: 'You do not have permission to delete this channel' });
-      }
-    } else {
-      // If no userId provided, only allow deletion by system user
-      const systemUser = await User.findOne({ username: 'system' });
-      if (!systemUser || channel.createdBy._id.toString() !== systemUser._id.toString()) {
-        return res.status(403).json({ error: 'Authentication required to delete this channel' });
-      }
-    }
-    
-    // Delete all messages in this channel first
-    const messageResult = await Message.deleteMany({ channel: channel.name });
-    
-    // Delete the channel
-    await Channel.findByIdAndDelete(channelId);
-    
-    // Emit socket event to notify all clients
-    io.emit('channelDeleted', channelId);
-    
-    res.json({ 
-      success: true, 
-      message: `Successfully deleted channel "${channel.name}" and ${messageResult.deletedCount} messages`,
-      deletedMessages: messageResult.deletedCount
+
+// Delete a text channel. Owners may delete their own channels; the admin
+// route is for channel managers.
+const deleteTextChannel = async (req, res) => {
+  try {
+    const { channel, deletedCount } = await deleteChannel(req.user, req.params.id, {
+      reason: req.body?.reason,
+      auditMetadata: requestMetadata(req)
+    });
+
+    // Emit socket event to notify clients that could see the channel
+    await emitChannelEvent(channel, 'channelDeleted', channel._id);
+    io.in(channelRoom(channel.name)).socketsLeave(channelRoom(channel.name));
+    dispatchWebhookEvent('channel.deleted', {
+      channel: webhookChannel(channel),
+      deletedBy: req.user._id,
+      deletedMessages: deletedCount
+    }, { channel: channel.name });
+
+    res.json({
+      success: true,
+      message: `Successfully deleted channel "${channel.name}" and ${deletedCount} messages`,
+      deletedMessages: deletedCount
     });
   } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json({ error: error.message });
+    }
     console.error('Error deleting channel:', error);
     res.status(500).json({ error: 'Failed to delete channel' });
   }
-});
+};
+
+app.delete('/api/admin/channels/:id', authenticate, rateLimit('write'), requirePermission(PERMISSIONS.MANAGE_CHANNELS), deleteTextChannel);
+app.delete('/api/channels/:id', authenticate, rateLimit('write'), deleteTextChannel);
 
 // Delete a voice channel
-app.delete('/api/voice-channels/:id', async (req, res) => {
+app.delete('/api/voice-channels/:id', authenticate, rateLimit('write'), loadUserRole, async (req, res) => {
   try {
     const voiceChannelId = req.params.id;
     
@@ -804,8 +2059,25 @@ app.delete('/api/voice-channels/:id', async (req, res) => {
       return res.status(404).json({ error: 'Voice channel not found' });
     }
     
+    // Only the creator or a voice manager can delete a voice channel
+    const isOwner = voiceChannel.createdBy.equals(req.user._id);
+    if (!isOwner && !roleHasPermission(req.userRole, PERMISSIONS.MANAGE_VOICE)) {
+      return res.status(403).json({ error: 'You do not have permission to delete this voice channel' });
+    }
+    
     // Delete the voice channel
     await VoiceChannel.findByIdAndDelete(voiceChannelId);
+
+    await recordAudit({
+      actor: req.user,
+      action: AUDIT_ACTIONS.VOICE_CHANNEL_DELETE,
+      target: { type: 'voice_channel', id: voiceChannel._id, name: voiceChannel.name },
+      before: voiceChannel,
+      metadata: requestMetadata(req)
+    });
+
+    // Drop anyone still connected to the deleted room
+    closeVoiceChannel(io, voiceChannelId);
     
     res.json({ 
       success: true, 
@@ -823,7 +2095,7 @@ app.delete('/api/voice-channels/:id', async (req, res) => {
 app.get('/api/roles', async (req, res) => {
   try {
     const roles = await Role.find()
-      .sort({ createdAt: 1 });
+      .sort({ priority: -1, createdAt: 1 });
     
     res.json(roles);
   } catch (error) {
@@ -832,15 +2104,29 @@ app.get('/api/roles', async (req, res) => {
   }
 });
 
+// List the permissions that can be granted to roles
+app.get('/api/permissions', (req, res) => {
+  res.json(ALL_PERMISSIONS);
+});
+
 // Create new role
-app.post('/api/roles', async (req, res) => {
+app.post('/api/roles', authenticate, rateLimit('write'), requirePermission(PERMISSIONS.MANAGE_ROLES), async (req, res) => {
   try {
-    const { name, description } = req.body;
+    const { name, description, permissions = [], priority = 0 } = req.body;
 
     if (!name) {
       return res.status(400).json({ error: 'Role name is required' });
     }
 
+    if (!Array.isArray(permissions) || typeof priority !== 'number') {
+      return res.status(400).json({ error: 'Permissions must be an array and priority a number' });
+    }
+
+    const grantError = validateRoleGrant(req.userRole, { permissions, priority });
+    if (grantError) {
+      return res.status(403).json({ error: grantError });
+    }
+
     // Check if role already exists
     const existingRole = await Role.findOne({ name: name.toLowerCase() });
     if (existingRole) {
@@ -849,10 +2135,21 @@ app.post('/api/roles', async (req, res) => {
 
     const role = new Role({
       name: name.toLowerCase(),
-      description: description || `Role for ${name}`
+      description: description || `Role for ${name}`,
+      permissions,
+      priority
     });
 
     await role.save();
+
+    await recordAudit({
+      actor: req.user,
+      action: AUDIT_ACTIONS.ROLE_CREATE,
+      target: { type: 'role', id: role._id, name: role.name },
+      after: role,
+      metadata: requestMetadata(req)
+    });
+
     res.status(201).json(role);
   } catch (error) {
     console.error('Error creating role:', error);
@@ -860,8 +2157,66 @@ app.post('/api/roles', async (req, res) => {
   }
 });
 
+// Update a role's description, permissions or priority
+app.put('/api/roles/:id', authenticate, rateLimit('write'), requirePermission(PERMISSIONS.MANAGE_ROLES), async (req, res) => {
+  try {
+    const role = await Role.findById(req.params.id);
+    if (!role) {
+      return res.status(404).json({ error: 'Role not found' });
+    }
+
+    // Roles at or above the actor's own rank cannot be edited
+    if (getRolePriority(role) >= getRolePriority(req.userRole)) {
+      return res.status(403).json({ error: 'You cannot edit a role at or above your own' });
+    }
+
+    const {
+      description,
+      permissions = role.permissions,
+      priority = role.priority,
+      isActive
+    } = req.body;
+
+    if (!Array.isArray(permissions) || typeof priority !== 'number') {
+      return res.status(400).json({ error: 'Permissions must be an array and priority a number' });
+    }
+
+    const grantError = validateRoleGrant(req.userRole, { permissions, priority });
+    if (grantError) {
+      return res.status(403).json({ error: grantError });
+    }
+
+    const before = role.toObject({ versionKey: false });
+
+    if (description !== undefined) {
+      role.description = description;
+    }
+    if (isActive !== undefined && !role.isSystem) {
+      role.isActive = isActive;
+    }
+    role.permissions = permissions;
+    role.priority = priority;
+
+    await role.save();
+
+    await recordAudit({
+      actor: req.user,
+      action: AUDIT_ACTIONS.ROLE_UPDATE,
+      target: { type: 'role', id: role._id, name: role.name },
+      before,
+      after: role,
+      metadata: requestMetadata(req)
+    });
+
+    res.json(role);
+  } catch (error) {
+    console.error('Error updating role:', error);
+    res.status(500).json({ error: 'Failed to update role' });
+  }
+});
+
 // Update user role
-app.put('/api/users/:id/role', async (req, res) => {
+app.put('/api/users/:id/role', authenticate, rateLimit('write'), requirePermission(PERMISSIONS.MANAGE_ROLES), async (req, res) => {
   try {
     const userId = req.params.id;
     const { roleId } = req.body;
@@ -876,6 +2231,17 @@ app.put('/api/users/:id/role', async (req, res) => {
       return res.status(404).json({ error: 'Role not found' });
     }
 
+    const targetUser = await User.findById(userId);
+    if (!targetUser) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    // Both the user's current role and the new one must rank below the actor
+    if (getRolePriority(role) >= getRolePriority(req.userRole) ||
+        !(await outranksUser(req.user, targetUser))) {
+      return res.status(403).json({ error: 'You cannot assign roles at or above your own' });
+    }
+
     // Update user's role in the user document
     const user = await User.findByIdAndUpdate(
       userId,
@@ -883,8 +2249,22 @@ app.put('/api/users/:id/role', async (req, res) => {
       { new: true }
     ).select('username avatar isOnline lastSeen role createdAt updatedAt');
 
-    if (!user) {
-      return res.status(404).json({ error: 'User not found' });
+    await recordAudit({
+      actor: req.user,
+      action: AUDIT_ACTIONS.USER_ROLE_CHANGE,
+      target: { type: 'user', id: targetUser._id, name: targetUser.username },
+      before: { role: targetUser.role },
+      after: { role: user.role },
+      metadata: requestMetadata(req)
+    });
+
+    if (user.role !== targetUser.role) {
+      dispatchWebhookEvent('role.changed', {
+        user: webhookUser({ ...targetUser.toObject(), role: user.role }),
+        previousRole: targetUser.role,
+        role: user.role,
+        changedBy: req.user._id
+      });
     }
 
     res.json(user);
@@ -894,6 +2274,524 @@ app.put('/api/users/:id/role', async (req, res) => {
   }
 });
 
+// Moderation API endpoints
+
+// List sanctions, optionally only active ones or those for a user, wallet, type or channel
+app.get('/api/moderation/sanctions', authenticate, requirePermission(PERMISSIONS.MODERATE_USERS), async (req, res) => {
+  try {
+    const { sanctions, total, page, limit } = await listSanctions(req.query);
+    res.json({ sanctions: sanctions.map(formatSanction), total, page, limit });
+  } catch (error) {
+    console.error('Error fetching sanctions:', error);
+    res.status(500).json({ error: 'Failed to fetch sanctions' });
+  }
+});
+
+// Mute, time out, kick or ban a user
+app.post('/api/moderation/sanctions', authenticate, rateLimit('write'), requirePermission(PERMISSIONS.MODERATE_USERS), async (req, res) => {
+  try {
+    const { userId, walletAddress, type, channel, duration, reason } = req.body;
+    if (!userId && !walletAddress) {
+      return res.status(400).json({ error: 'A user ID or wallet address is required' });
+    }
+
+    const sanction = await issueSanction(io, req.user, { userId, walletAddress, type, channel, duration, reason });
+
+    await recordAudit({
+      actor: req.user,
+      action: AUDIT_ACTIONS.SANCTION_ISSUE,
+      target: { type: 'user', id: sanction.user, name: sanction.walletAddress },
+      after: sanction,
+      metadata: requestMetadata(req)
+    });
+
+    res.status(201).json(formatSanction(sanction));
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error issuing sanction:', error);
+    res.status(500).json({ error: 'Failed to issue sanction' });
+  }
+});
+
+// Lift an active sanction early
+app.delete('/api/moderation/sanctions/:id', authenticate, rateLimit('write'), requirePermission(PERMISSIONS.MODERATE_USERS), async (req, res) => {
+  try {
+    const sanction = await revokeSanction(io, req.user, req.params.id);
+
+    await recordAudit({
+      actor: req.user,
+      action: AUDIT_ACTIONS.SANCTION_REVOKE,
+      target: { type: 'user', id: sanction.user, name: sanction.walletAddress },
+      before: { isActive: true, expiresAt: sanction.expiresAt },
+      after: { isActive: false, revokedAt: sanction.revokedAt },
+      metadata: requestMetadata(req)
+    });
+
+    res.json(formatSanction(sanction));
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error revoking sanction:', error);
+    res.status(500).json({ error: 'Failed to revoke sanction' });
+  }
+});
+
+// The current user's active sanctions
+app.get('/api/users/me/sanctions', authenticate, async (req, res) => {
+  try {
+    const sanctions = await getActiveSanctionsForUser(req.user);
+    res.json(sanctions.map(formatSanction));
+  } catch (error) {
+    console.error('Error fetching sanctions:', error);
+    res.status(500).json({ error: 'Failed to fetch sanctions' });
+  }
+});
+
+// Browse the audit log of privileged actions, filtered by actor, action, target or time range
+app.get('/api/admin/audit-log', authenticate, requirePermission(PERMISSIONS.VIEW_AUDIT_LOG), async (req, res) => {
+  try {
+    const { items, pagination } = await listAuditLog(req.query);
+    res.json({ entries: items, pagination });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error fetching audit log:', error);
+    res.status(500).json({ error: 'Failed to fetch audit log' });
+  }
+});
+
+// Slash commands the user can run, for autocomplete
+app.get('/api/commands', authenticate, async (req, res) => {
+  try {
+    res.json({ commands: await listCommands(req.user) });
+  } catch (error) {
+    console.error('Error fetching commands:', error);
+    res.status(500).json({ error: 'Failed to fetch commands' });
+  }
+});
+
+// Outgoing webhook API endpoints
+
+// Event types webhooks can subscribe to
+app.get('/api/admin/webhooks/events', authenticate, requirePermission(PERMISSIONS.MANAGE_WEBHOOKS), (req, res) => {
+  res.json({ events: WEBHOOK_EVENTS });
+});
+
+// List registered webhooks
+app.get('/api/admin/webhooks', authenticate, requirePermission(PERMISSIONS.MANAGE_WEBHOOKS), async (req, res) => {
+  try {
+    const subscriptions = await listWebhookSubscriptions();
+    res.json({ webhooks: subscriptions.map(formatSubscription) });
+  } catch (error) {
+    console.error('Error fetching webhooks:', error);
+    res.status(500).json({ error: 'Failed to fetch webhooks' });
+  }
+});
+
+// Register a webhook. The signing secret is only returned in this response.
+app.post('/api/admin/webhooks', authenticate, rateLimit('write'), requirePermission(PERMISSIONS.MANAGE_WEBHOOKS), async (req, res) => {
+  try {
+    const { subscription, secret } = await createWebhookSubscription(req.user, req.body || {});
+
+    await recordAudit({
+      actor: req.user,
+      action: AUDIT_ACTIONS.WEBHOOK_CREATE,
+      target: { type: 'webhook', id: subscription._id, name: subscription.url },
+      after: formatSubscription(subscription),
+      metadata: requestMetadata(req)
+    });
+
+    res.status(201).json({ ...formatSubscription(subscription), secret });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error creating webhook:', error);
+    res.status(500).json({ error: 'Failed to create webhook' });
+  }
+});
+
+// Change a webhook's URL, events or channels, or switch it on or off
+app.patch('/api/admin/webhooks/:id', authenticate, rateLimit('write'), requirePermission(PERMISSIONS.MANAGE_WEBHOOKS), async (req, res) => {
+  try {
+    const { before, subscription } = await updateWebhookSubscription(req.params.id, req.body || {});
+
+    await recordAudit({
+      actor: req.user,
+      action: AUDIT_ACTIONS.WEBHOOK_UPDATE,
+      target: { type: 'webhook', id: subscription._id, name: subscription.url },
+      before,
+      after: formatSubscription(subscription),
+      metadata: requestMetadata(req)
+    });
+
+    res.json(formatSubscription(subscription));
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error updating webhook:', error);
+    res.status(500).json({ error: 'Failed to update webhook' });
+  }
+});
+
+// Remove a webhook and its delivery log
+app.delete('/api/admin/webhooks/:id', authenticate, rateLimit('write'), requirePermission(PERMISSIONS.MANAGE_WEBHOOKS), async (req, res) => {
+  try {
+    const subscription = await deleteWebhookSubscription(req.params.id);
+
+    await recordAudit({
+      actor: req.user,
+      action: AUDIT_ACTIONS.WEBHOOK_DELETE,
+      target: { type: 'webhook', id: subscription._id, name: subscription.url },
+      before: formatSubscription(subscription),
+      metadata: requestMetadata(req)
+    });
+
+    res.json({ success: true });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error deleting webhook:', error);
+    res.status(500).json({ error: 'Failed to delete webhook' });
+  }
+});
+
+// Send a test event to a webhook and report how it answered
+app.post('/api/admin/webhooks/:id/test', authenticate, rateLimit('write'), requirePermission(PERMISSIONS.MANAGE_WEBHOOKS), async (req, res) => {
+  try {
+    const delivery = await testWebhookSubscription(req.params.id);
+    res.json(formatDelivery(delivery));
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error testing webhook:', error);
+    res.status(500).json({ error: 'Failed to test webhook' });
+  }
+});
+
+// Issue a new signing secret; the old one keeps signing for a grace period
+app.post('/api/admin/webhooks/:id/rotate-secret', authenticate, rateLimit('write'), requirePermission(PERMISSIONS.MANAGE_WEBHOOKS), async (req, res) => {
+  try {
+    const { subscription, secret } = await rotateWebhookSecret(req.params.id);
+
+    await recordAudit({
+      actor: req.user,
+      action: AUDIT_ACTIONS.WEBHOOK_ROTATE_SECRET,
+      target: { type: 'webhook', id: subscription._id, name: subscription.url },
+      after: { previousSecretExpiresAt: subscription.previousSecretExpiresAt },
+      metadata: requestMetadata(req)
+    });
+
+    res.json({ ...formatSubscription(subscription), secret });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error rotating webhook secret:', error);
+    res.status(500).json({ error: 'Failed to rotate webhook secret' });
+  }
+});
+
+// A webhook's delivery log, with every attempt and response
+app.get('/api/admin/webhooks/:id/deliveries', authenticate, requirePermission(PERMISSIONS.MANAGE_WEBHOOKS), async (req, res) => {
+  try {
+    const { deliveries, pagination } = await listWebhookDeliveries(req.params.id, req.query);
+    res.json({ deliveries: deliveries.map(formatDelivery), pagination });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error fetching webhook deliveries:', error);
+    res.status(500).json({ error: 'Failed to fetch webhook deliveries' });
+  }
+});
+
+// Bot API endpoints
+
+// Bot accounts
+app.get('/api/admin/bots', authenticate, requirePermission(PERMISSIONS.MANAGE_BOTS), async (req, res) => {
+  try {
+    const bots = await listBots();
+    res.json({ bots: bots.map(formatBot) });
+  } catch (error) {
+    console.error('Error fetching bots:', error);
+    res.status(500).json({ error: 'Failed to fetch bots' });
+  }
+});
+
+app.post('/api/admin/bots', authenticate, rateLimit('write'), requirePermission(PERMISSIONS.MANAGE_BOTS), async (req, res) => {
+  try {
+    const bot = await createBot(req.user, req.body || {});
+
+    await recordAudit({
+      actor: req.user,
+      action: AUDIT_ACTIONS.BOT_CREATE,
+      target: { type: 'user', id: bot._id, name: bot.username },
+      after: formatBot(bot),
+      metadata: requestMetadata(req)
+    });
+
+    res.status(201).json(formatBot(bot));
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error creating bot:', error);
+    res.status(500).json({ error: 'Failed to create bot' });
+  }
+});
+
+// Disable a bot, revoking its tokens and removing its incoming webhooks.
+// Its messages stay.
+app.delete('/api/admin/bots/:id', authenticate, rateLimit('write'), requirePermission(PERMISSIONS.MANAGE_BOTS), async (req, res) => {
+  try {
+    const bot = await disableBot(req.params.id);
+
+    await recordAudit({
+      actor: req.user,
+      action: AUDIT_ACTIONS.BOT_DISABLE,
+      target: { type: 'user', id: bot._id, name: bot.username },
+      after: { disabledAt: bot.bot.disabledAt },
+      metadata: requestMetadata(req)
+    });
+
+    res.json(formatBot(bot));
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error disabling bot:', error);
+    res.status(500).json({ error: 'Failed to disable bot' });
+  }
+});
+
+// A bot's API tokens
+app.get('/api/admin/bots/:id/tokens', authenticate, requirePermission(PERMISSIONS.MANAGE_BOTS), async (req, res) => {
+  try {
+    const tokens = await listBotTokens(req.params.id);
+    res.json({ tokens: tokens.map(formatBotToken) });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error fetching bot tokens:', error);
+    res.status(500).json({ error: 'Failed to fetch bot tokens' });
+  }
+});
+
+// Issue a scoped API token. The token is only returned in this response.
+app.post('/api/admin/bots/:id/tokens', authenticate, rateLimit('write'), requirePermission(PERMISSIONS.MANAGE_BOTS), async (req, res) => {
+  try {
+    const { bot, botToken, token } = await createBotToken(req.user, req.params.id, req.body || {});
+
+    await recordAudit({
+      actor: req.user,
+      action: AUDIT_ACTIONS.BOT_TOKEN_CREATE,
+      target: { type: 'user', id: bot._id, name: bot.username },
+      after: formatBotToken(botToken),
+      metadata: requestMetadata(req)
+    });
+
+    res.status(201).json({ ...formatBotToken(botToken), token });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error creating bot token:', error);
+    res.status(500).json({ error: 'Failed to create bot token' });
+  }
+});
+
+app.delete('/api/admin/bots/:id/tokens/:tokenId', authenticate, rateLimit('write'), requirePermission(PERMISSIONS.MANAGE_BOTS), async (req, res) => {
+  try {
+    const botToken = await revokeBotToken(req.params.id, req.params.tokenId);
+
+    await recordAudit({
+      actor: req.user,
+      action: AUDIT_ACTIONS.BOT_TOKEN_REVOKE,
+      target: { type: 'user', id: botToken.bot },
+      before: formatBotToken(botToken),
+      metadata: requestMetadata(req)
+    });
+
+    res.json(formatBotToken(botToken));
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error revoking bot token:', error);
+    res.status(500).json({ error: 'Failed to revoke bot token' });
+  }
+});
+
+// A bot's incoming webhook URLs
+app.get('/api/admin/bots/:id/incoming-webhooks', authenticate, requirePermission(PERMISSIONS.MANAGE_BOTS), async (req, res) => {
+  try {
+    const hooks = await listIncomingWebhooks(req.params.id);
+    res.json({ incomingWebhooks: hooks.map(formatIncomingWebhook) });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error fetching incoming webhooks:', error);
+    res.status(500).json({ error: 'Failed to fetch incoming webhooks' });
+  }
+});
+
+// Create a URL that posts into one channel as the bot. The URL is only
+// returned in this response.
+app.post('/api/admin/bots/:id/incoming-webhooks', authenticate, rateLimit('write'), requirePermission(PERMISSIONS.MANAGE_BOTS), async (req, res) => {
+  try {
+    const { bot, hook, url } = await createIncomingWebhook(req.user, req.params.id, req.body || {});
+
+    await recordAudit({
+      actor: req.user,
+      action: AUDIT_ACTIONS.INCOMING_WEBHOOK_CREATE,
+      target: { type: 'user', id: bot._id, name: bot.username },
+      after: formatIncomingWebhook(hook),
+      metadata: requestMetadata(req)
+    });
+
+    res.status(201).json({ ...formatIncomingWebhook(hook), url });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error creating incoming webhook:', error);
+    res.status(500).json({ error: 'Failed to create incoming webhook' });
+  }
+});
+
+app.delete('/api/admin/incoming-webhooks/:id', authenticate, rateLimit('write'), requirePermission(PERMISSIONS.MANAGE_BOTS), async (req, res) => {
+  try {
+    const hook = await deleteIncomingWebhook(req.params.id);
+
+    await recordAudit({
+      actor: req.user,
+      action: AUDIT_ACTIONS.INCOMING_WEBHOOK_DELETE,
+      target: { type: 'user', id: hook.bot },
+      before: formatIncomingWebhook(hook),
+      metadata: requestMetadata(req)
+    });
+
+    res.json({ success: true });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error deleting incoming webhook:', error);
+    res.status(500).json({ error: 'Failed to delete incoming webhook' });
+  }
+});
+
+// The bot and token making the request
+app.get('/api/bot/me', authenticateBot, (req, res) => {
+  res.json({ bot: formatBot(req.user), token: formatBotToken(req.botToken) });
+});
+
+// Post a message, with optional embeds, as the bot. Goes through the same
+// checks and delivery as messages sent over the socket.
+app.post('/api/bot/messages', authenticateBot, rateLimit('botMessage'), async (req, res) => {
+  try {
+    if (!(await hasPermission(req.user, PERMISSIONS.SEND_MESSAGES))) {
+      return res.status(403).json({ error: 'This bot does not have permission to send messages' });
+    }
+
+    const { message, threadRoot } = await postMessage(req.user, {
+      text: req.body?.text,
+      channel: req.body?.channel,
+      parentId: req.body?.parentId,
+      showInChannel: req.body?.showInChannel,
+      embeds: req.body?.embeds
+    }, { allowedChannels: tokenChannels(req.botToken) });
+
+    res.status(201).json(publishMessage(message, threadRoot, req.user));
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return sendServiceError(res, error);
+    }
+    console.error('Error posting bot message:', error);
+    res.status(500).json({ error: 'Failed to post message' });
+  }
+});
+
+// Broadcast to every channel the bot's token may post to
+app.post('/api/bot/broadcast', authenticateBot, rateLimit('botBroadcast'), async (req, res) => {
+  try {
+    if (!req.botToken.canBroadcast) {
+      return res.status(403).json({ error: 'This token cannot broadcast' });
+    }
+
+    const messages = await postBroadcast(req.user, req.body?.text, {
+      embeds: req.body?.embeds,
+      allowedChannels: tokenChannels(req.botToken)
+    });
+    publishBroadcast(messages, req.user);
+
+    if (messages.length > 0) {
+      await recordAudit({
+        actor: req.user,
+        action: AUDIT_ACTIONS.MESSAGE_BROADCAST,
+        target: { type: 'broadcast' },
+        after: { text: messages[0].text, channels: messages.map(message => message.channel) },
+        metadata: requestMetadata(req)
+      });
+    }
+
+    res.status(201).json({ channels: messages.map(message => message.channel) });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return sendServiceError(res, error);
+    }
+    console.error('Error posting bot broadcast:', error);
+    res.status(500).json({ error: 'Failed to post broadcast' });
+  }
+});
+
+// Resolve an incoming webhook URL, exposing its bot as req.user for rate limiting
+const loadIncomingWebhook = async (req, res, next) => {
+  try {
+    const found = await findIncomingWebhook(req.params.id, req.params.token);
+    if (!found) {
+      return res.status(404).json({ error: 'Incoming webhook not found' });
+    }
+    req.user = found.bot;
+    req.incomingWebhook = found.hook;
+    next();
+  } catch (error) {
+    console.error('Error loading incoming webhook:', error);
+    res.status(500).json({ error: 'Failed to post message' });
+  }
+};
+
+// Post into the webhook's channel as its bot, e.g. from an alerting service
+app.post('/api/hooks/:id/:token', loadIncomingWebhook, rateLimit('botMessage'), async (req, res) => {
+  try {
+    const channel = req.incomingWebhook.channel;
+    const { message, threadRoot } = await postMessage(req.user, {
+      text: req.body?.text,
+      channel,
+      embeds: req.body?.embeds
+    }, { allowedChannels: [channel] });
+
+    const formattedMessage = publishMessage(message, threadRoot, req.user);
+    res.status(201).json({ id: formattedMessage.id, channel: formattedMessage.channel });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return sendServiceError(res, error);
+    }
+    console.error('Error posting incoming webhook message:', error);
+    res.status(500).json({ error: 'Failed to post message' });
+  }
+});
+
 // Statistics API endpoint
 app.get('/api/statistics', async (req, res) => {
   try {
@@ -902,7 +2800,7 @@ app.get('/api/statistics', async (req, res) => {
     const onlineUsers = await User.countDocuments({ isOnline: true });
     
     // Get message statistics
-    const totalMessages = await Message.countDocuments();
+    const totalMessages = await Message.countDocuments({ deletedAt: null });
     
     // Get channel statistics
     const totalChannels = await Channel.countDocuments({ isActive: true });
@@ -912,9 +2810,8 @@ app.get('/api/statistics', async (req, res) => {
     // Get role statistics
     const totalRoles = await Role.countDocuments();
     
-    // Get connection statistics
-    const connectedUsers = activeConnections.size;
-    const totalConnections = io.engine.clientsCount || 0;
+    // Get connection statistics across every instance
+    const { connectedUsers, connections: totalConnections } = await getClusterStats();
     
     const statistics = {
       totalUsers,
@@ -937,11 +2834,40 @@ app.get('/api/statistics', async (req, res) => {
   }
 });
 
-// Initialize channels on startup
+// Register built-in commands, seed built-in roles and initialize channels on startup
+registerBuiltinCommands();
+seedDefaultRoles().catch(error => console.error('Error seeding roles:', error));
 initializeChannels();
+startSanctionExpiryJob(io);
+startTombstonePurgeJob();
+startAttachmentCleanupJob();
+startWebhookDeliveryJob();
+startTokenGateVerificationJob();
+startPresenceSweepJob(io);
+startVoiceParticipantPruneJob(io);
+listenForVoiceChannelClosures(io);
+
+// Join the other instances before accepting connections, so events fan out
+// across the cluster from the first socket on
+const startServer = async () => {
+  if (await attachClusterAdapter(io)) {
+    console.log('Socket.IO Redis adapter attached');
+  }
+  await startClusterHeartbeat({ onRejoin: () => restoreInstanceConnections(io) });
+
+  // Take users offline whose sockets died with a crashed instance, including
+  // this server's last run, and clear them from voice channels
+  await reapDeadInstanceConnections(io);
+  await pruneVoiceParticipants(io);
+
+  const PORT = process.env.PORT || 5000;
+  server.listen(PORT, () => {
+    console.log(`Server running on port ${PORT}`);
+    console.log(`MongoDB URI: ${process.env.MONGODB_URI || 'mongodb://localhost:27017/solhub'}`);
+  });
+};
 
-const PORT = process.env.PORT || 5000;
-server.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
-  console.log(`MongoDB URI: ${process.env.MONGODB_URI || 'mongodb://localhost:27017/solhub'}`);
+startServer().catch(error => {
+  console.error('Error starting server:', error);
+  process.exit(1);
 });
\ No newline at end of file
@@ -0,0 +1,361 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const sharp = require('sharp');
+const Attachment = require('../models/Attachment');
+const Channel = require('../models/Channel');
+const { LocalDiskStorage } = require('../utils/storage');
+const { ServiceError } = require('../utils/errors');
+const { canAccessChannel } = require('./channels');
+const {
+  MAX_ATTACHMENTS_PER_MESSAGE,
+  IMAGE_TYPES,
+  ATTACHMENT_TYPES,
+  THUMBNAIL_SIZE,
+  AVATAR_SIZE,
+  UNATTACHED_UPLOAD_TTL_MS,
+  UPLOAD_DIR
+} = require('../config/uploads');
+const { runExclusive, withLock } = require('./cluster');
+
+const CLEANUP_INTERVAL_MS = 60 * 60 * 1000;
+
+// Local disk is the default; call setStorageBackend at startup to store files elsewhere
+let storage = new LocalDiskStorage({ root: UPLOAD_DIR });
+
+const setStorageBackend = (backend) => {
+  storage = backend;
+};
+
+const getStorageBackend = () => storage;
+
+const IMAGE_FORMATS = {
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  gif: 'image/gif',
+  webp: 'image/webp'
+};
+
+// Leading bytes of binary file types; text types must simply not be binary
+const FILE_SIGNATURES = {
+  'application/pdf': Buffer.from('%PDF-'),
+  'application/zip': Buffer.from([0x50, 0x4b, 0x03, 0x04])
+};
+
+const attachmentUrl = (attachmentId) => `/api/attachments/${attachmentId}`;
+
+const hashContent = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+
+// Blobs are addressed by content hash, so identical uploads share a file
+const blobKey = (hash) => `files/${hash.slice(0, 2)}/${hash}`;
+const thumbnailKey = (hash) => `thumbnails/${hash.slice(0, 2)}/${hash}.webp`;
+
+const assertFileMatchesType = (buffer, contentType) => {
+  const signature = FILE_SIGNATURES[contentType];
+  const matches = signature
+    ? buffer.subarray(0, signature.length).equals(signature)
+    : !buffer.subarray(0, 8192).includes(0);
+  if (!matches) {
+    throw new ServiceError(`File content does not match its type (${contentType})`, 415);
+  }
+};
+
+// Decode an image to confirm its real type and read its dimensions
+const inspectImage = async (buffer) => {
+  let metadata;
+  try {
+    metadata = await sharp(buffer).metadata();
+  } catch {
+    throw new ServiceError('Image could not be read', 415);
+  }
+
+  const contentType = IMAGE_FORMATS[metadata.format];
+  if (!contentType) {
+    throw new ServiceError(`Images must be one of: ${IMAGE_TYPES.join(', ')}`, 415);
+  }
+
+  // Animated images report the height of all frames stacked; EXIF orientations 5-8 are rotated
+  const height = metadata.pageHeight || metadata.height;
+  const rotated = metadata.orientation >= 5;
+  return {
+    contentType,
+    width: rotated ? height : metadata.width,
+    height: rotated ? metadata.width : height
+  };
+};
+
+// A WebP thumbnail for images larger than the thumbnail size, otherwise null
+const createThumbnail = async (buffer, { width, height }) => {
+  if (width <= THUMBNAIL_SIZE && height <= THUMBNAIL_SIZE) {
+    return null;
+  }
+
+  const { data, info } = await sharp(buffer)
+    .rotate()
+    .resize({ width: THUMBNAIL_SIZE, height: THUMBNAIL_SIZE, fit: 'inside', withoutEnlargement: true })
+    .webp()
+    .toBuffer({ resolveWithObject: true });
+
+  return { data, width: info.width, height: info.height };
+};
+
+// Blobs are shared by content hash, so storing one and deleting one take
+// the same lock: a blob is never removed while an attachment is created on it
+const withBlobLock = (hash, fn) => withLock(`blob:${hash}`, fn);
+
+// Write a blob (and its thumbnail) unless identical content is already stored.
+// Call with the blob's lock held.
+const storeBlob = async (buffer, hash, { image = null } = {}) => {
+  const existing = await Attachment.findOne({ hash });
+  if (existing && await storage.exists(existing.storageKey)) {
+    return {
+      storageKey: existing.storageKey,
+      thumbnail: existing.thumbnail
+    };
+  }
+
+  await storage.put(blobKey(hash), buffer);
+
+  let thumbnail = { storageKey: null, width: null, height: null };
+  if (image) {
+    const created = await createThumbnail(buffer, image);
+    if (created) {
+      await storage.put(thumbnailKey(hash), created.data);
+      thumbnail = { storageKey: thumbnailKey(hash), width: created.width, height: created.height };
+    }
+  }
+
+  return { storageKey: blobKey(hash), thumbnail };
+};
+
+// Store a file uploaded for a message. `file` is a multer file held in memory.
+const storeUpload = async (user, file) => {
+  if (!file) {
+    throw new ServiceError('A file is required');
+  }
+  if (!ATTACHMENT_TYPES.includes(file.mimetype)) {
+    throw new ServiceError(`Files must be one of: ${ATTACHMENT_TYPES.join(', ')}`, 415);
+  }
+
+  const isImage = IMAGE_TYPES.includes(file.mimetype);
+  let image = null;
+  let contentType = file.mimetype;
+  if (isImage) {
+    image = await inspectImage(file.buffer);
+    contentType = image.contentType;
+  } else {
+    assertFileMatchesType(file.buffer, contentType);
+  }
+
+  const hash = hashContent(file.buffer);
+  return withBlobLock(hash, async () => {
+    const { storageKey, thumbnail } = await storeBlob(file.buffer, hash, { image });
+
+    return Attachment.create({
+      uploadedBy: user._id,
+      purpose: 'message',
+      filename: file.originalname || 'file',
+      contentType,
+      size: file.size,
+      kind: isImage ? 'image' : 'file',
+      hash,
+      storageKey,
+      width: image ? image.width : null,
+      height: image ? image.height : null,
+      thumbnail
+    });
+  });
+};
+
+// Remove attachments, and the stored blobs no other attachment still uses
+const deleteAttachments = async (filter) => {
+  const attachments = await Attachment.find(filter).select('hash storageKey thumbnail');
+  if (attachments.length === 0) {
+    return 0;
+  }
+
+  await Attachment.deleteMany({ _id: { $in: attachments.map(attachment => attachment._id) } });
+
+  const byHash = new Map(attachments.map(attachment => [attachment.hash, attachment]));
+  for (const [hash, attachment] of byHash) {
+    await withBlobLock(hash, async () => {
+      if (await Attachment.exists({ hash })) {
+        return;
+      }
+      await storage.delete(attachment.storageKey);
+      if (attachment.thumbnail?.storageKey) {
+        await storage.delete(attachment.thumbnail.storageKey);
+      }
+    });
+  }
+
+  return attachments.length;
+};
+
+// Replace the user's avatar with an uploaded image, cropped to a square
+const storeAvatar = async (user, file) => {
+  if (!file) {
+    throw new ServiceError('A file is required');
+  }
+  if (!IMAGE_TYPES.includes(file.mimetype)) {
+    throw new ServiceError(`Avatars must be one of: ${IMAGE_TYPES.join(', ')}`, 415);
+  }
+  await inspectImage(file.buffer);
+
+  const data = await sharp(file.buffer)
+    .rotate()
+    .resize({ width: AVATAR_SIZE, height: AVATAR_SIZE, fit: 'cover' })
+    .webp()
+    .toBuffer();
+
+  const hash = hashContent(data);
+  const attachment = await withBlobLock(hash, async () => {
+    const { storageKey } = await storeBlob(data, hash);
+
+    return Attachment.create({
+      uploadedBy: user._id,
+      purpose: 'avatar',
+      filename: 'avatar.webp',
+      contentType: 'image/webp',
+      size: data.length,
+      kind: 'image',
+      hash,
+      storageKey,
+      width: AVATAR_SIZE,
+      height: AVATAR_SIZE
+    });
+  });
+
+  user.avatar = attachmentUrl(attachment._id);
+  await user.save();
+
+  // The previous avatar is no longer referenced
+  await deleteAttachments({ uploadedBy: user._id, purpose: 'avatar', _id: { $ne: attachment._id } });
+
+  return attachment;
+};
+
+// Load a user's unsent uploads to post them with a message
+const findAttachableUploads = async (user, attachmentIds) => {
+  if (attachmentIds === undefined || attachmentIds === null) {
+    return [];
+  }
+  if (!Array.isArray(attachmentIds) || !attachmentIds.every(id => mongoose.isValidObjectId(id))) {
+    throw new ServiceError('Attachments must be a list of attachment IDs');
+  }
+
+  const ids = [...new Set(attachmentIds.map(String))];
+  if (ids.length > MAX_ATTACHMENTS_PER_MESSAGE) {
+    throw new ServiceError(`Messages can have at most ${MAX_ATTACHMENTS_PER_MESSAGE} attachments`);
+  }
+
+  const uploads = await Attachment.find({
+    _id: { $in: ids },
+    uploadedBy: user._id,
+    purpose: 'message',
+    message: null
+  });
+  if (uploads.length !== ids.length) {
+    throw new ServiceError('Attachment not found or already sent', 404);
+  }
+
+  // Keep the order the client gave
+  return ids.map(id => uploads.find(upload => String(upload._id) === id));
+};
+
+// Attachment metadata copied onto the message, so history needs no extra lookups
+const attachmentSnapshot = (attachment) => ({
+  attachment: attachment._id,
+  filename: attachment.filename,
+  contentType: attachment.contentType,
+  size: attachment.size,
+  kind: attachment.kind,
+  width: attachment.width,
+  height: attachment.height,
+  hasThumbnail: !!attachment.thumbnail?.storageKey
+});
+
+// Tie uploads to a message before it is saved. Only uploads still unsent are
+// claimed, so two messages racing for the same upload cannot both get it.
+const claimAttachmentsForMessage = async (user, attachments, message) => {
+  if (attachments.length === 0) {
+    return;
+  }
+
+  const result = await Attachment.updateMany(
+    {
+      _id: { $in: attachments.map(attachment => attachment._id) },
+      uploadedBy: user._id,
+      purpose: 'message',
+      message: null
+    },
+    { message: message._id, channel: message.channel }
+  );
+  if (result.modifiedCount !== attachments.length) {
+    await releaseAttachments(message);
+    throw new ServiceError('Attachment not found or already sent', 409);
+  }
+};
+
+// Give back the uploads claimed for a message that was not saved after all
+const releaseAttachments = (message) => Attachment.updateMany(
+  { message: message._id },
+  { message: null, channel: null }
+);
+
+// Load an attachment the viewer is allowed to download. Avatars are public;
+// message attachments follow their channel's visibility; unsent uploads are
+// only visible to their uploader.
+const findViewableAttachment = async (viewer, attachmentId) => {
+  const attachment = mongoose.isValidObjectId(attachmentId) ? await Attachment.findById(attachmentId) : null;
+  if (!attachment) {
+    throw new ServiceError('Attachment not found', 404);
+  }
+  if (attachment.purpose === 'avatar') {
+    return attachment;
+  }
+
+  if (!attachment.message) {
+    if (!viewer || !attachment.uploadedBy.equals(viewer._id)) {
+      throw new ServiceError('Attachment not found', 404);
+    }
+    return attachment;
+  }
+
+  const channel = await Channel.findOne({ name: attachment.channel });
+  if (channel && !(await canAccessChannel(viewer, channel))) {
+    throw new ServiceError('This channel is private', 403);
+  }
+  return attachment;
+};
+
+// Remove uploads that were never sent with a message
+const purgeUnattachedUploads = () => deleteAttachments({
+  purpose: 'message',
+  message: null,
+  createdAt: { $lte: new Date(Date.now() - UNATTACHED_UPLOAD_TTL_MS) }
+});
+
+const startAttachmentCleanupJob = () => {
+  const timer = setInterval(() => {
+    runExclusive('purgeUnattachedUploads', CLEANUP_INTERVAL_MS, () => purgeUnattachedUploads())
+      .catch(error => console.error('Error purging unattached uploads:', error));
+  }, CLEANUP_INTERVAL_MS);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  setStorageBackend,
+  getStorageBackend,
+  attachmentUrl,
+  storeUpload,
+  storeAvatar,
+  deleteAttachments,
+  findAttachableUploads,
+  attachmentSnapshot,
+  claimAttachmentsForMessage,
+  releaseAttachments,
+  findViewableAttachment,
+  purgeUnattachedUploads,
+  startAttachmentCleanupJob
+};
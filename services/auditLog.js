@@ -0,0 +1,142 @@
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+const { paginateByCursor } = require('../utils/pagination');
+const { getSocketIp } = require('../middleware/rateLimit');
+const { ServiceError } = require('../utils/errors');
+
+// Actions recorded in the audit log
+const AUDIT_ACTIONS = {
+  MESSAGE_DELETE: 'message.delete',
+  MESSAGE_EDIT: 'message.edit',
+  MESSAGE_BROADCAST: 'message.broadcast',
+  CHANNEL_CLEAR: 'channel.clear',
+  CHANNEL_DELETE: 'channel.delete',
+  CHANNEL_UPDATE: 'channel.update',
+  CHANNEL_MEMBER_ADD: 'channel.member_add',
+  CHANNEL_MEMBER_REMOVE: 'channel.member_remove',
+  VOICE_CHANNEL_DELETE: 'voice_channel.delete',
+  ROLE_CREATE: 'role.create',
+  ROLE_UPDATE: 'role.update',
+  USER_ROLE_CHANGE: 'user.role_change',
+  SANCTION_ISSUE: 'sanction.issue',
+  SANCTION_REVOKE: 'sanction.revoke',
+  WEBHOOK_CREATE: 'webhook.create',
+  WEBHOOK_UPDATE: 'webhook.update',
+  WEBHOOK_DELETE: 'webhook.delete',
+  WEBHOOK_ROTATE_SECRET: 'webhook.rotate_secret',
+  BOT_CREATE: 'bot.create',
+  BOT_DISABLE: 'bot.disable',
+  BOT_TOKEN_CREATE: 'bot.token_create',
+  BOT_TOKEN_REVOKE: 'bot.token_revoke',
+  INCOMING_WEBHOOK_CREATE: 'incoming_webhook.create',
+  INCOMING_WEBHOOK_DELETE: 'incoming_webhook.delete'
+};
+
+// Request details stored alongside an HTTP-triggered entry
+const requestMetadata = (req) => ({
+  ip: req.ip,
+  userAgent: req.get('user-agent'),
+  method: req.method,
+  path: req.originalUrl
+});
+
+// Connection details stored alongside a socket-triggered entry
+const socketMetadata = (socket, event) => ({
+  ip: getSocketIp(socket),
+  userAgent: socket.handshake.headers['user-agent'],
+  socketId: socket.id,
+  event
+});
+
+// Plain copy of a document for the before/after fields
+const snapshot = (doc) => {
+  if (!doc) {
+    return null;
+  }
+  return typeof doc.toObject === 'function'
+    ? doc.toObject({ depopulate: true, versionKey: false })
+    : doc;
+};
+
+// Append an entry to the audit log. The action itself has already happened by
+// now, so a failure to record it is logged rather than failing the request.
+const recordAudit = async ({ actor, action, target, before = null, after = null, metadata = {} }) => {
+  try {
+    return await AuditLog.create({
+      actor: actor ? actor._id : null,
+      actorUsername: actor ? actor.username : null,
+      action,
+      target: {
+        type: target.type,
+        id: target.id ? String(target.id) : null,
+        name: target.name || null
+      },
+      before: snapshot(before),
+      after: snapshot(after),
+      metadata
+    });
+  } catch (error) {
+    console.error(`Error recording audit entry for ${action}:`, error);
+    return null;
+  }
+};
+
+const parseDate = (value, label) => {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new ServiceError(`Invalid ${label} date`);
+  }
+  return date;
+};
+
+// Page through audit entries filtered by actor, action, target and time range
+const listAuditLog = async ({ actor, action, targetType, targetId, targetName, from, to, before, after, limit }) => {
+  const filter = {};
+
+  if (actor) {
+    if (!mongoose.isValidObjectId(actor)) {
+      throw new ServiceError('Invalid actor ID');
+    }
+    filter.actor = actor;
+  }
+  if (action) {
+    // Accept a comma-separated list, or a prefix such as "channel." for a whole group
+    const actions = String(action).split(',').map(value => value.trim()).filter(Boolean);
+    filter.action = actions.length === 1 && actions[0].endsWith('.')
+      ? { $regex: `^${actions[0].replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}` }
+      : { $in: actions };
+  }
+  if (targetType) {
+    filter['target.type'] = String(targetType);
+  }
+  if (targetId) {
+    filter['target.id'] = String(targetId);
+  }
+  if (targetName) {
+    filter['target.name'] = String(targetName);
+  }
+  if (from || to) {
+    filter.timestamp = {};
+    if (from) {
+      filter.timestamp.$gte = parseDate(from, 'from');
+    }
+    if (to) {
+      filter.timestamp.$lte = parseDate(to, 'to');
+    }
+  }
+
+  return paginateByCursor(
+    AuditLog,
+    filter,
+    { before, after, limit },
+    query => query.populate('actor', 'username walletAddress role')
+  );
+};
+
+module.exports = {
+  AUDIT_ACTIONS,
+  requestMetadata,
+  socketMetadata,
+  recordAudit,
+  listAuditLog
+};
@@ -0,0 +1,298 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Channel = require('../models/Channel');
+const BotToken = require('../models/BotToken');
+const IncomingWebhook = require('../models/IncomingWebhook');
+const { parseDuration } = require('../utils/duration');
+const { ServiceError } = require('../utils/errors');
+
+const TOKEN_PREFIX = 'sbt_';
+const MAX_USERNAME_LENGTH = 50;
+const MAX_TOKEN_LIFETIME_MS = 365 * 24 * 60 * 60 * 1000;
+
+// lastUsedAt is only written this often per token or webhook
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const generateToken = (prefix = '') => `${prefix}${crypto.randomBytes(24).toString('hex')}`;
+
+const incomingWebhookUrl = (hook, token) => `/api/hooks/${hook._id}/${token}`;
+
+const formatBot = (bot) => ({
+  id: bot._id,
+  username: bot.username,
+  avatar: bot.avatar,
+  description: bot.bot?.description || '',
+  createdBy: bot.bot?.createdBy || null,
+  disabledAt: bot.bot?.disabledAt || null,
+  createdAt: bot.createdAt
+});
+
+const formatBotToken = (token) => ({
+  id: token._id,
+  botId: token.bot,
+  name: token.name,
+  prefix: token.prefix,
+  channels: token.allChannels ? null : token.channels,
+  allChannels: token.allChannels,
+  canBroadcast: token.canBroadcast,
+  expiresAt: token.expiresAt,
+  revokedAt: token.revokedAt,
+  lastUsedAt: token.lastUsedAt,
+  createdBy: token.createdBy,
+  createdAt: token.createdAt
+});
+
+const formatIncomingWebhook = (hook) => ({
+  id: hook._id,
+  botId: hook.bot,
+  channel: hook.channel,
+  name: hook.name,
+  lastUsedAt: hook.lastUsedAt,
+  createdBy: hook.createdBy,
+  createdAt: hook.createdAt
+});
+
+const validateName = (name, label) => {
+  if (name === undefined || name === null) {
+    return '';
+  }
+  if (typeof name !== 'string' || name.length > 100) {
+    throw new ServiceError(`${label} must be text of at most 100 characters`);
+  }
+  return name.trim();
+};
+
+// Channel names that must all exist
+const validateChannelNames = async (channels) => {
+  if (!Array.isArray(channels) || channels.length === 0 ||
+      !channels.every(name => typeof name === 'string' && name.trim())) {
+    throw new ServiceError('channels must be a non-empty list of channel names, or set allChannels');
+  }
+
+  const names = [...new Set(channels.map(name => name.trim().toLowerCase()))];
+  const existing = await Channel.find({ name: { $in: names }, isActive: true }).distinct('name');
+  const unknown = names.filter(name => !existing.includes(name));
+  if (unknown.length > 0) {
+    throw new ServiceError(`Unknown channels: ${unknown.join(', ')}`, 404);
+  }
+  return names;
+};
+
+const findBot = async (botId) => {
+  const bot = mongoose.isValidObjectId(botId) ? await User.findOne({ _id: botId, isBot: true }) : null;
+  if (!bot) {
+    throw new ServiceError('Bot not found', 404);
+  }
+  return bot;
+};
+
+const findActiveBot = async (botId) => {
+  const bot = await findBot(botId);
+  if (bot.bot.disabledAt) {
+    throw new ServiceError('This bot is disabled', 409);
+  }
+  return bot;
+};
+
+// Create a bot account. Bots get a placeholder wallet that no signature can
+// match, so they can only act through their tokens and incoming webhooks.
+const createBot = async (actor, { username, description, avatar } = {}) => {
+  if (typeof username !== 'string' || !username.trim() || username.trim().length > MAX_USERNAME_LENGTH) {
+    throw new ServiceError(`username must be 1 to ${MAX_USERNAME_LENGTH} characters`);
+  }
+  if (description !== undefined && description !== null &&
+      (typeof description !== 'string' || description.length > 200)) {
+    throw new ServiceError('description must be text of at most 200 characters');
+  }
+  if (avatar !== undefined && avatar !== null && typeof avatar !== 'string') {
+    throw new ServiceError('avatar must be a URL');
+  }
+  if (await User.exists({ username: username.trim() })) {
+    throw new ServiceError('Username is already taken', 409);
+  }
+
+  const bot = new User({
+    username: username.trim(),
+    avatar: avatar || null,
+    isBot: true,
+    bot: { description: description?.trim() || '', createdBy: actor._id }
+  });
+  bot.walletAddress = `bot:${bot._id}`;
+  await bot.save();
+  return bot;
+};
+
+const listBots = () => User.find({ isBot: true }).sort({ createdAt: -1 });
+
+// Switch a bot off for good: its tokens are revoked and its webhook URLs removed
+const disableBot = async (botId) => {
+  const bot = await findBot(botId);
+  if (!bot.bot.disabledAt) {
+    const now = new Date();
+    bot.bot.disabledAt = now;
+    await bot.save();
+    await BotToken.updateMany({ bot: bot._id, revokedAt: null }, { revokedAt: now });
+    await IncomingWebhook.deleteMany({ bot: bot._id });
+  }
+  return bot;
+};
+
+// Issue an API token scoped to some channels (or all of them) and, optionally,
+// broadcasting. The token itself is only returned here.
+const createBotToken = async (actor, botId, { name, channels, allChannels = false, canBroadcast = false, expiresIn } = {}) => {
+  const bot = await findActiveBot(botId);
+  if (typeof allChannels !== 'boolean' || typeof canBroadcast !== 'boolean') {
+    throw new ServiceError('allChannels and canBroadcast must be true or false');
+  }
+
+  let expiresAt = null;
+  if (expiresIn !== undefined && expiresIn !== null) {
+    const durationMs = parseDuration(expiresIn);
+    if (!durationMs || durationMs > MAX_TOKEN_LIFETIME_MS) {
+      throw new ServiceError('expiresIn must be a duration such as "30d", up to a year');
+    }
+    expiresAt = new Date(Date.now() + durationMs);
+  }
+
+  const token = generateToken(TOKEN_PREFIX);
+  const botToken = await BotToken.create({
+    bot: bot._id,
+    name: validateName(name, 'name'),
+    tokenHash: hashToken(token),
+    prefix: token.slice(0, TOKEN_PREFIX.length + 6),
+    channels: allChannels ? [] : await validateChannelNames(channels),
+    allChannels,
+    canBroadcast,
+    createdBy: actor._id,
+    expiresAt
+  });
+
+  return { bot, botToken, token };
+};
+
+const listBotTokens = async (botId) => {
+  const bot = await findBot(botId);
+  return BotToken.find({ bot: bot._id }).sort({ createdAt: -1 });
+};
+
+const revokeBotToken = async (botId, tokenId) => {
+  const botToken = mongoose.isValidObjectId(tokenId) ? await BotToken.findOne({ _id: tokenId, bot: botId }) : null;
+  if (!botToken) {
+    throw new ServiceError('Token not found', 404);
+  }
+  if (!botToken.revokedAt) {
+    botToken.revokedAt = new Date();
+    await botToken.save();
+  }
+  return botToken;
+};
+
+const touchLastUsed = (Model, doc) => {
+  if (doc.lastUsedAt && doc.lastUsedAt.getTime() > Date.now() - LAST_USED_RESOLUTION_MS) {
+    return;
+  }
+  Model.updateOne({ _id: doc._id }, { lastUsedAt: new Date() })
+    .catch(error => console.error('Error recording token use:', error));
+};
+
+// Resolve an API token to its bot, or null if the token is unknown, revoked,
+// expired or belongs to a disabled bot
+const findBotForToken = async (token) => {
+  if (typeof token !== 'string' || !token.startsWith(TOKEN_PREFIX)) {
+    return null;
+  }
+
+  const botToken = await BotToken.findOne({ tokenHash: hashToken(token), revokedAt: null });
+  if (!botToken || (botToken.expiresAt && botToken.expiresAt <= new Date())) {
+    return null;
+  }
+
+  const bot = await User.findOne({ _id: botToken.bot, isBot: true, 'bot.disabledAt': null });
+  if (!bot) {
+    return null;
+  }
+
+  touchLastUsed(BotToken, botToken);
+  return { bot, botToken };
+};
+
+// Channels a token may post to, or null when it is not limited
+const tokenChannels = (botToken) => (botToken.allChannels ? null : botToken.channels);
+
+// Create a secret URL that posts into a channel as the bot. The URL is only
+// returned here.
+const createIncomingWebhook = async (actor, botId, { channel, name } = {}) => {
+  const bot = await findActiveBot(botId);
+  const [channelName] = await validateChannelNames(typeof channel === 'string' ? [channel] : []);
+
+  const token = generateToken();
+  const hook = await IncomingWebhook.create({
+    bot: bot._id,
+    channel: channelName,
+    name: validateName(name, 'name'),
+    tokenHash: hashToken(token),
+    createdBy: actor._id
+  });
+
+  return { bot, hook, url: incomingWebhookUrl(hook, token) };
+};
+
+const listIncomingWebhooks = async (botId) => {
+  const bot = await findBot(botId);
+  return IncomingWebhook.find({ bot: bot._id }).sort({ createdAt: -1 });
+};
+
+const deleteIncomingWebhook = async (hookId) => {
+  const hook = mongoose.isValidObjectId(hookId) ? await IncomingWebhook.findById(hookId) : null;
+  if (!hook) {
+    throw new ServiceError('Incoming webhook not found', 404);
+  }
+  await hook.deleteOne();
+  return hook;
+};
+
+// Resolve an incoming webhook URL to its hook and bot, or null if it is not valid
+const findIncomingWebhook = async (hookId, token) => {
+  const hook = mongoose.isValidObjectId(hookId) && typeof token === 'string'
+    ? await IncomingWebhook.findById(hookId).select('+tokenHash')
+    : null;
+  if (!hook) {
+    return null;
+  }
+
+  const expected = Buffer.from(hook.tokenHash);
+  const actual = Buffer.from(hashToken(token));
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    return null;
+  }
+
+  const bot = await User.findOne({ _id: hook.bot, isBot: true, 'bot.disabledAt': null });
+  if (!bot) {
+    return null;
+  }
+
+  touchLastUsed(IncomingWebhook, hook);
+  return { hook, bot };
+};
+
+module.exports = {
+  TOKEN_PREFIX,
+  formatBot,
+  formatBotToken,
+  formatIncomingWebhook,
+  createBot,
+  listBots,
+  disableBot,
+  createBotToken,
+  listBotTokens,
+  revokeBotToken,
+  findBotForToken,
+  tokenChannels,
+  createIncomingWebhook,
+  listIncomingWebhooks,
+  deleteIncomingWebhook,
+  findIncomingWebhook
+};
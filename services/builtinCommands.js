@@ -0,0 +1,150 @@
+const Channel = require('../models/Channel');
+const { PERMISSIONS } = require('../config/permissions');
+const { channelRoom } = require('../utils/rooms');
+const { ServiceError } = require('../utils/errors');
+const { registerCommand, listCommands } = require('./commands');
+const { postBroadcast, clearChannelMessages } = require('./messages');
+const { issueSanction } = require('./moderation');
+const { AUDIT_ACTIONS, recordAudit } = require('./auditLog');
+const { consumeRateLimit } = require('./floodControl');
+
+const MAX_TOPIC_LENGTH = 200;
+
+// Commands available on every server. Handlers get a context of
+// { io, user, channel, auditMetadata, emitChannelEvent, publishBroadcast },
+// where `channel` is null for commands sent outside a channel.
+const registerBuiltinCommands = () => {
+  registerCommand({
+    name: 'help',
+    description: 'List the commands you can use, or show how to use one',
+    args: [{ name: 'command', type: 'word', description: 'Command to show usage for' }],
+    handler: async ({ user }, { command }) => {
+      const available = await listCommands(user);
+      if (command) {
+        const match = available.find(entry => entry.name === command.replace(/^\//, '').toLowerCase());
+        if (!match) {
+          throw new ServiceError(`Unknown command /${command}`, 404);
+        }
+        return { text: `${match.usage} - ${match.description}`, ephemeral: true };
+      }
+      return {
+        text: available.map(entry => `${entry.usage} - ${entry.description}`).join('\n'),
+        ephemeral: true
+      };
+    }
+  });
+
+  registerCommand({
+    name: 'topic',
+    description: 'Set the channel topic',
+    args: [{ name: 'topic', type: 'text', required: true, description: 'New channel description' }],
+    permissions: [PERMISSIONS.MANAGE_CHANNELS],
+    channelScoped: true,
+    handler: async ({ user, channel, auditMetadata, emitChannelEvent }, { topic }) => {
+      if (topic.length > MAX_TOPIC_LENGTH) {
+        throw new ServiceError(`Topics cannot be longer than ${MAX_TOPIC_LENGTH} characters`);
+      }
+
+      const previousTopic = channel.description;
+      const updated = await Channel.findByIdAndUpdate(channel._id, { description: topic }, { new: true })
+        .populate('createdBy', 'username');
+
+      await recordAudit({
+        actor: user,
+        action: AUDIT_ACTIONS.CHANNEL_UPDATE,
+        target: { type: 'channel', id: channel._id, name: channel.name },
+        before: { description: previousTopic },
+        after: { description: updated.description },
+        metadata: auditMetadata
+      });
+      await emitChannelEvent(updated, 'channelUpdated', updated);
+
+      return { text: `changed the topic to: ${updated.description}`, ephemeral: false };
+    }
+  });
+
+  registerCommand({
+    name: 'mute',
+    description: 'Stop a user from posting, for a while or until unmuted',
+    args: [
+      { name: 'user', type: 'user', required: true, description: 'User to mute, e.g. @alice' },
+      { name: 'duration', type: 'duration', description: 'How long, e.g. 10m or 2h' },
+      { name: 'reason', type: 'text', description: 'Why the user is muted' }
+    ],
+    permissions: [PERMISSIONS.MODERATE_USERS],
+    handler: async ({ io, user, auditMetadata }, { user: target, duration, reason }) => {
+      const sanction = await issueSanction(io, user, { userId: target._id, type: 'mute', duration, reason });
+
+      await recordAudit({
+        actor: user,
+        action: AUDIT_ACTIONS.SANCTION_ISSUE,
+        target: { type: 'user', id: sanction.user, name: sanction.walletAddress },
+        after: sanction,
+        metadata: auditMetadata
+      });
+
+      const until = sanction.expiresAt ? ` until ${sanction.expiresAt.toISOString()}` : '';
+      return { text: `Muted @${target.username}${until}`, ephemeral: true };
+    }
+  });
+
+  registerCommand({
+    name: 'clear',
+    description: 'Delete every message in this channel',
+    args: [{ name: 'reason', type: 'text', description: 'Why the channel is cleared' }],
+    permissions: [PERMISSIONS.MANAGE_CHANNELS],
+    channelScoped: true,
+    handler: async ({ io, user, channel, auditMetadata }, { reason }) => {
+      const result = await clearChannelMessages(user, channel, reason);
+
+      await recordAudit({
+        actor: user,
+        action: AUDIT_ACTIONS.CHANNEL_CLEAR,
+        target: { type: 'channel', id: channel._id, name: channel.name },
+        before: { messageCount: channel.messageCount, lastMessageAt: channel.lastMessageAt },
+        after: { messageCount: 0, deletedCount: result.deletedCount },
+        metadata: auditMetadata
+      });
+
+      io.to(channelRoom(channel.name)).emit('channelCleared', {
+        channelId: channel._id,
+        channel: channel.name,
+        clearedAt: result.deletedAt,
+        clearedBy: user._id,
+        deletedCount: result.deletedCount
+      });
+
+      return { text: `Deleted ${result.deletedCount} messages from #${channel.name}`, ephemeral: true };
+    }
+  });
+
+  registerCommand({
+    name: 'broadcast',
+    description: 'Post a message to every channel',
+    args: [{ name: 'message', type: 'text', required: true, description: 'Message to post' }],
+    permissions: [PERMISSIONS.BROADCAST],
+    handler: async ({ user, auditMetadata, publishBroadcast }, { message }) => {
+      // Same limit as the broadcastMessage socket event
+      await consumeRateLimit('broadcastMessage', { userId: user._id, ip: auditMetadata.ip });
+
+      const messages = await postBroadcast(user, message);
+      publishBroadcast(messages, user);
+
+      if (messages.length > 0) {
+        await recordAudit({
+          actor: user,
+          action: AUDIT_ACTIONS.MESSAGE_BROADCAST,
+          target: { type: 'broadcast' },
+          after: { text: messages[0].text, channels: messages.map(entry => entry.channel) },
+          metadata: auditMetadata
+        });
+      }
+
+      return { text: `Broadcast to ${messages.length} channels`, ephemeral: true };
+    }
+  });
+};
+
+module.exports = {
+  registerBuiltinCommands
+};
@@ -0,0 +1,282 @@
+const mongoose = require('mongoose');
+const Channel = require('../models/Channel');
+const User = require('../models/User');
+const { hasPermission } = require('../utils/permissions');
+const { PERMISSIONS } = require('../config/permissions');
+const { ServiceError } = require('../utils/errors');
+const {
+  hasTokenGate,
+  validateTokenGate,
+  sameTokenGate,
+  describeTokenGate,
+  meetsTokenGate,
+  listUnlockedGatedChannelIds,
+  forgetTokenGateChecks
+} = require('./tokenGates');
+
+const MEMBER_ROLES = ['member', 'moderator'];
+
+const MEMBER_FIELDS = 'username avatar walletAddress isOnline';
+
+const idsEqual = (a, b) => String(a) === String(b);
+
+// Channel managers can see and manage every private channel
+const canManageAllChannels = async (user) =>
+  !!user && hasPermission(user, PERMISSIONS.MANAGE_CHANNELS);
+
+const findMember = (channel, userId) =>
+  channel.members.find(member => idsEqual(member.user._id || member.user, userId));
+
+const isChannelOwner = (channel, user) =>
+  idsEqual(channel.createdBy._id || channel.createdBy, user._id);
+
+const isChannelMember = (channel, user) =>
+  isChannelOwner(channel, user) || !!findMember(channel, user._id);
+
+// Owners may delete their own channels; channel managers may delete any
+const canDeleteChannel = async (user, channel) =>
+  (!!channel.createdBy && isChannelOwner(channel, user)) || canManageAllChannels(user);
+
+// Filter for the active channels a user (or an anonymous visitor) can see.
+// Token-gated channels only show up for their owner and wallets holding enough.
+const visibleChannelFilter = async (user) => {
+  if (await canManageAllChannels(user)) {
+    return { isActive: true };
+  }
+  if (!user) {
+    return { isActive: true, isPrivate: { $ne: true }, tokenGate: null };
+  }
+  return {
+    isActive: true,
+    $and: [
+      {
+        $or: [
+          { isPrivate: { $ne: true } },
+          { createdBy: user._id },
+          { 'members.user': user._id }
+        ]
+      },
+      {
+        $or: [
+          { tokenGate: null },
+          { createdBy: user._id },
+          { _id: { $in: await listUnlockedGatedChannelIds(user) } }
+        ]
+      }
+    ]
+  };
+};
+
+const listVisibleChannelNames = async (user) => {
+  const channels = await Channel.find(await visibleChannelFilter(user)).select('name');
+  return channels.map(channel => channel.name);
+};
+
+// Why a user cannot see a channel, or null if they can
+const channelAccessDenial = async (user, channel) => {
+  if (!channel.isPrivate && !hasTokenGate(channel)) {
+    return null;
+  }
+  if (user && (isChannelOwner(channel, user) || await canManageAllChannels(user))) {
+    return null;
+  }
+  if (channel.isPrivate && (!user || !findMember(channel, user._id))) {
+    return 'This channel is private';
+  }
+  if (!(await meetsTokenGate(user, channel))) {
+    return `This channel is only open to wallets holding ${describeTokenGate(channel.tokenGate)}`;
+  }
+  return null;
+};
+
+const canAccessChannel = async (user, channel) => (await channelAccessDenial(user, channel)) === null;
+
+const assertChannelAccess = async (user, channel) => {
+  const denial = await channelAccessDenial(user, channel);
+  if (denial) {
+    throw new ServiceError(denial, 403);
+  }
+};
+
+// Load a channel by id or name, failing with 404 if it does not exist and 403
+// if the user cannot see it
+const findAccessibleChannel = async (user, { id, name }) => {
+  let channel = null;
+  if (id !== undefined) {
+    channel = mongoose.isValidObjectId(id) ? await Channel.findById(id) : null;
+  } else if (typeof name === 'string' && name.trim()) {
+    channel = await Channel.findOne({ name: name.trim().toLowerCase() });
+  }
+
+  if (!channel) {
+    throw new ServiceError('Channel not found', 404);
+  }
+  await assertChannelAccess(user, channel);
+  return channel;
+};
+
+// The creator, channel moderators and channel managers may change the member list
+const canManageMembers = async (user, channel) => {
+  if (isChannelOwner(channel, user) || findMember(channel, user._id)?.role === 'moderator') {
+    return true;
+  }
+  return canManageAllChannels(user);
+};
+
+const loadPrivateChannelForManagement = async (actor, channelId) => {
+  const channel = await findAccessibleChannel(actor, { id: channelId });
+  if (!channel.isPrivate) {
+    throw new ServiceError('Only private channels have members');
+  }
+  return channel;
+};
+
+// Add a user to a private channel, or change the role of an existing member.
+// Only the creator and channel managers can appoint channel moderators.
+const addChannelMember = async (actor, channelId, { userId, role = 'member' }) => {
+  const channel = await loadPrivateChannelForManagement(actor, channelId);
+
+  if (!MEMBER_ROLES.includes(role)) {
+    throw new ServiceError(`Member role must be one of: ${MEMBER_ROLES.join(', ')}`);
+  }
+  if (!(await canManageMembers(actor, channel))) {
+    throw new ServiceError('You do not have permission to manage members of this channel', 403);
+  }
+  if (role === 'moderator' && !isChannelOwner(channel, actor) && !(await canManageAllChannels(actor))) {
+    throw new ServiceError('Only the channel owner can appoint channel moderators', 403);
+  }
+
+  if (!mongoose.isValidObjectId(userId)) {
+    throw new ServiceError('User not found', 404);
+  }
+  const target = await User.findById(userId);
+  if (!target) {
+    throw new ServiceError('User not found', 404);
+  }
+  if (isChannelOwner(channel, target)) {
+    throw new ServiceError('The channel owner is always a member');
+  }
+
+  const existing = findMember(channel, target._id);
+  const previousRole = existing ? existing.role : null;
+
+  if (existing) {
+    await Channel.updateOne(
+      { _id: channel._id, 'members.user': target._id },
+      { $set: { 'members.$.role': role } }
+    );
+  } else {
+    await Channel.updateOne(
+      { _id: channel._id, 'members.user': { $ne: target._id } },
+      { $push: { members: { user: target._id, role, addedBy: actor._id, addedAt: new Date() } } }
+    );
+  }
+
+  const updatedChannel = await Channel.findById(channel._id);
+  return { channel: updatedChannel, user: target, role, previousRole };
+};
+
+// Remove a member from a private channel. Members may always remove themselves.
+const removeChannelMember = async (actor, channelId, userId) => {
+  const channel = await loadPrivateChannelForManagement(actor, channelId);
+
+  const member = mongoose.isValidObjectId(userId) ? findMember(channel, userId) : null;
+  if (!member) {
+    throw new ServiceError('User is not a member of this channel', 404);
+  }
+
+  const isSelf = idsEqual(userId, actor._id);
+  if (!isSelf) {
+    if (!(await canManageMembers(actor, channel))) {
+      throw new ServiceError('You do not have permission to manage members of this channel', 403);
+    }
+    // Channel moderators cannot remove each other
+    if (member.role === 'moderator' && !isChannelOwner(channel, actor) && !(await canManageAllChannels(actor))) {
+      throw new ServiceError('Only the channel owner can remove channel moderators', 403);
+    }
+  }
+
+  await Channel.updateOne({ _id: channel._id }, { $pull: { members: { user: member.user } } });
+
+  const updatedChannel = await Channel.findById(channel._id);
+  return { channel: updatedChannel, member };
+};
+
+// Make a channel private or public. Only its creator and channel managers can.
+const setChannelPrivacy = async (actor, channelId, isPrivate) => {
+  if (typeof isPrivate !== 'boolean') {
+    throw new ServiceError('isPrivate must be true or false');
+  }
+
+  const channel = await findAccessibleChannel(actor, { id: channelId });
+  if (!isChannelOwner(channel, actor) && !(await canManageAllChannels(actor))) {
+    throw new ServiceError('You do not have permission to change this channel', 403);
+  }
+
+  const previous = channel.isPrivate;
+  channel.isPrivate = isPrivate;
+  await channel.save();
+
+  return { channel, previous };
+};
+
+// Set or remove a channel's token gate. Only its creator and channel managers
+// can. Earlier holdings checks no longer apply once the rule changes.
+const setChannelTokenGate = async (actor, channelId, tokenGate) => {
+  const rule = validateTokenGate(tokenGate);
+
+  const channel = await findAccessibleChannel(actor, { id: channelId });
+  if (!isChannelOwner(channel, actor) && !(await canManageAllChannels(actor))) {
+    throw new ServiceError('You do not have permission to change this channel', 403);
+  }
+
+  const previous = channel.tokenGate ? channel.tokenGate.toObject() : null;
+  if (sameTokenGate(previous, rule)) {
+    return { channel, previous };
+  }
+
+  channel.tokenGate = rule;
+  await channel.save();
+  await forgetTokenGateChecks(channel._id);
+
+  return { channel, previous };
+};
+
+// A channel's owner and members, for users who can see the channel
+const listChannelMembers = async (user, channelId) => {
+  const channel = await findAccessibleChannel(user, { id: channelId });
+  await channel.populate([
+    { path: 'createdBy', select: MEMBER_FIELDS },
+    { path: 'members.user', select: MEMBER_FIELDS }
+  ]);
+
+  return {
+    channelId: channel._id,
+    isPrivate: channel.isPrivate,
+    owner: channel.createdBy,
+    members: channel.members
+      .filter(member => member.user)
+      .map(member => ({
+        user: member.user,
+        role: member.role,
+        addedAt: member.addedAt
+      }))
+  };
+};
+
+module.exports = {
+  MEMBER_ROLES,
+  isChannelMember,
+  canDeleteChannel,
+  visibleChannelFilter,
+  listVisibleChannelNames,
+  canAccessChannel,
+  assertChannelAccess,
+  findAccessibleChannel,
+  canManageMembers,
+  addChannelMember,
+  removeChannelMember,
+  setChannelPrivacy,
+  setChannelTokenGate,
+  listChannelMembers
+};
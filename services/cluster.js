@@ -0,0 +1,142 @@
+const { createAdapter } = require('@socket.io/redis-adapter');
+const { getRedisClient } = require('../config/redis');
+const { MemoryConnectionStore, RedisConnectionStore } = require('../utils/connectionStore');
+const { INSTANCE_ID, HEARTBEAT_INTERVAL_MS, INSTANCE_TTL_MS } = require('../config/cluster');
+
+// Connection state is shared through Redis when it is configured, otherwise
+// kept in memory, which only works for a single instance
+let store = process.env.REDIS_URL
+  ? new RedisConnectionStore(getRedisClient)
+  : new MemoryConnectionStore();
+
+const setConnectionStore = (newStore) => {
+  store = newStore;
+};
+
+const getConnectionStore = () => store;
+
+// Fan socket.io events out to every instance through Redis pub/sub. Without
+// Redis the default in-memory adapter only reaches this instance's sockets.
+let clustered = false;
+
+const attachClusterAdapter = async (io) => {
+  const pubClient = await getRedisClient();
+  if (!pubClient) {
+    return false;
+  }
+
+  const subClient = pubClient.duplicate();
+  subClient.on('error', (err) => {
+    console.error('Redis subscriber connection error:', err);
+  });
+  await subClient.connect();
+
+  io.adapter(createAdapter(pubClient, subClient));
+  clustered = true;
+  return true;
+};
+
+// Send an event to the other instances, where `io.on(event)` receives it.
+// There are none to tell without the Redis adapter.
+const emitToOtherInstances = (io, event, ...args) => {
+  if (clustered) {
+    io.serverSideEmit(event, ...args);
+  }
+};
+
+// Record a socket on this instance, with its user once it has joined
+const trackConnection = (socket, userId = null) =>
+  store.setConnection(INSTANCE_ID, socket.id, userId)
+    .catch(error => console.error('Error tracking connection:', error));
+
+const untrackConnection = (socket) =>
+  store.removeConnection(INSTANCE_ID, socket.id)
+    .catch(error => console.error('Error untracking connection:', error));
+
+// Connection counts across every live instance
+const getClusterStats = async () => {
+  const [instances, { connections, users }] = await Promise.all([
+    store.listLiveInstances(),
+    store.countConnections()
+  ]);
+  return { instanceId: INSTANCE_ID, instances: instances.length, connections, connectedUsers: users };
+};
+
+// Run one round of a periodic job on a single instance: whichever takes the
+// lock first. The lock is held for most of the interval, so the next round
+// is free to run anywhere, including on another instance if this one is gone.
+const runExclusive = async (name, intervalMs, job) => {
+  if (!(await store.acquireLock(`job:${name}`, Math.floor(intervalMs * 0.9)))) {
+    return null;
+  }
+  return job();
+};
+
+const LOCK_RETRY_DELAY_MS = 50;
+
+// Run `fn` while holding a cluster-wide lock, waiting up to `waitMs` for it.
+// The lock expires after `ttlMs` in case its holder dies before releasing it.
+const withLock = async (name, fn, { ttlMs = 30 * 1000, waitMs = 10 * 1000 } = {}) => {
+  const lockName = `mutex:${name}`;
+  const deadline = Date.now() + waitMs;
+  let token;
+  while (!(token = await store.acquireLock(lockName, ttlMs))) {
+    if (Date.now() >= deadline) {
+      throw new Error(`Timed out waiting for lock ${name}`);
+    }
+    await new Promise(resolve => setTimeout(resolve, LOCK_RETRY_DELAY_MS));
+  }
+
+  try {
+    return await fn();
+  } finally {
+    // If fn outlived ttlMs the lock may belong to someone else by now; the
+    // token keeps this from releasing theirs
+    await store.releaseLock(lockName, token)
+      .catch(error => console.error(`Error releasing lock ${name}:`, error));
+  }
+};
+
+// Forget instances whose heartbeat stopped. Returns the IDs of live ones.
+const forgetDeadInstances = async () => {
+  for (const instanceId of await store.listExpiredInstances()) {
+    await store.removeInstance(instanceId);
+  }
+  return store.listLiveInstances();
+};
+
+// Announce this instance to the others and keep it alive. If a heartbeat
+// finds the instance gone, another instance took it for dead and dropped its
+// sockets, so `onRejoin` is called to register them again.
+const startClusterHeartbeat = async ({ onRejoin } = {}) => {
+  await store.heartbeat(INSTANCE_ID, INSTANCE_TTL_MS);
+
+  const timer = setInterval(async () => {
+    try {
+      const rejoined = await store.heartbeat(INSTANCE_ID, INSTANCE_TTL_MS);
+      if (rejoined && onRejoin) {
+        console.warn(`Instance ${INSTANCE_ID} was removed from the cluster; registering its connections again`);
+        await onRejoin();
+      }
+    } catch (error) {
+      console.error('Error updating cluster heartbeat:', error);
+    }
+  }, HEARTBEAT_INTERVAL_MS);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  INSTANCE_ID,
+  setConnectionStore,
+  getConnectionStore,
+  attachClusterAdapter,
+  emitToOtherInstances,
+  trackConnection,
+  untrackConnection,
+  getClusterStats,
+  runExclusive,
+  withLock,
+  forgetDeadInstances,
+  startClusterHeartbeat
+};
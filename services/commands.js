@@ -0,0 +1,175 @@
+const User = require('../models/User');
+const { hasPermission } = require('../utils/permissions');
+const { parseDuration } = require('../utils/duration');
+const { ServiceError } = require('../utils/errors');
+
+// How each argument type is read from the command line:
+//   user     - a username, with or without the leading @
+//   duration - "30s", "10m", "2h", "7d"
+//   integer  - a whole number, within `min`/`max` when given
+//   word     - a single word
+//   text     - the rest of the line; only allowed as the last argument
+const ARG_TYPES = ['user', 'duration', 'integer', 'word', 'text'];
+
+const COMMAND_NAME_PATTERN = /^[a-z][a-z0-9_-]{0,31}$/;
+
+// "/name rest of line", where the name ends at whitespace
+const COMMAND_PATTERN = /^\/([^\s/]+)(?:\s+([\s\S]*))?$/;
+
+const commands = new Map();
+
+// Add a command to the registry. `permissions` lists what the invoking user
+// needs; `channelScoped` commands act on the channel they are sent in and are
+// refused without one. `handler(context, args)` returns `{ text, ephemeral }`
+// to answer the user, or null to stay silent.
+const registerCommand = ({ name, description, args = [], permissions = [], channelScoped = false, handler }) => {
+  if (!COMMAND_NAME_PATTERN.test(name)) {
+    throw new Error(`Invalid command name: ${name}`);
+  }
+  if (commands.has(name)) {
+    throw new Error(`Command /${name} is already registered`);
+  }
+  args.forEach((arg, index) => {
+    if (!ARG_TYPES.includes(arg.type)) {
+      throw new Error(`Argument ${arg.name} of /${name} has unknown type ${arg.type}`);
+    }
+    if (arg.type === 'text' && index !== args.length - 1) {
+      throw new Error(`Text argument ${arg.name} of /${name} must come last`);
+    }
+  });
+
+  commands.set(name, { name, description, args, permissions, channelScoped, handler });
+};
+
+const usage = (command) => [
+  `/${command.name}`,
+  ...command.args.map(arg => (arg.required ? `<${arg.name}>` : `[${arg.name}]`))
+].join(' ');
+
+const formatCommand = (command) => ({
+  name: command.name,
+  description: command.description,
+  usage: usage(command),
+  args: command.args.map(arg => ({
+    name: arg.name,
+    type: arg.type,
+    required: !!arg.required,
+    description: arg.description || null
+  }))
+});
+
+const canRunCommand = async (user, command) => {
+  for (const permission of command.permissions) {
+    if (!(await hasPermission(user, permission))) {
+      return false;
+    }
+  }
+  return true;
+};
+
+// Commands the user is allowed to run, for autocomplete and /help
+const listCommands = async (user) => {
+  const available = [];
+  for (const command of [...commands.values()].sort((a, b) => a.name.localeCompare(b.name))) {
+    if (await canRunCommand(user, command)) {
+      available.push(formatCommand(command));
+    }
+  }
+  return available;
+};
+
+// The command name and argument text of a message, or null when the message
+// is not a command. Messages starting with "//" are plain text.
+const parseCommandInput = (text) => {
+  if (typeof text !== 'string') {
+    return null;
+  }
+  const match = text.trim().match(COMMAND_PATTERN);
+  return match ? { name: match[1].toLowerCase(), argText: (match[2] || '').trim() } : null;
+};
+
+// "//text" is sent as "/text", so messages can start with a slash
+const unescapeCommandText = (text) =>
+  (typeof text === 'string' && text.trimStart().startsWith('//') ? text.trimStart().slice(1) : text);
+
+const readArg = async (arg, token) => {
+  switch (arg.type) {
+    case 'user': {
+      const username = token.replace(/^@/, '');
+      const user = username ? await User.findOne({ username }) : null;
+      if (!user) {
+        throw new ServiceError(`User @${username} not found`, 404);
+      }
+      return user;
+    }
+    case 'duration':
+      return parseDuration(token);
+    case 'integer': {
+      const value = /^-?\d+$/.test(token) ? Number(token) : null;
+      if (value === null || (arg.min !== undefined && value < arg.min) || (arg.max !== undefined && value > arg.max)) {
+        return null;
+      }
+      return value;
+    }
+    default:
+      return token;
+  }
+};
+
+// Read a command's arguments from the rest of the line. An optional argument
+// that does not fit its type is skipped, so "/mute @bob spamming" leaves the
+// duration out.
+const parseArgs = async (command, argText) => {
+  const values = {};
+  let rest = argText;
+
+  for (const arg of command.args) {
+    if (arg.type === 'text') {
+      values[arg.name] = rest || null;
+      rest = '';
+    } else {
+      const [token = ''] = rest.split(/\s+/, 1);
+      const value = token ? await readArg(arg, token) : null;
+      values[arg.name] = value;
+      if (value !== null) {
+        rest = rest.slice(token.length).trimStart();
+      }
+    }
+
+    if (values[arg.name] === null && arg.required) {
+      throw new ServiceError(`Usage: ${usage(command)}`);
+    }
+  }
+
+  if (rest) {
+    throw new ServiceError(`Usage: ${usage(command)}`);
+  }
+  return values;
+};
+
+// Run a parsed command for a user. `context` carries the user, the channel the
+// command was sent in (null when none was given) and whatever the handlers
+// need to act on it.
+const executeCommand = async ({ name, argText }, context) => {
+  const command = commands.get(name);
+  if (!command) {
+    throw new ServiceError(`Unknown command /${name}. Type /help to see the commands you can use.`, 404);
+  }
+  if (!(await canRunCommand(context.user, command))) {
+    throw new ServiceError(`You do not have permission to use /${name}`, 403);
+  }
+  if (command.channelScoped && !context.channel) {
+    throw new ServiceError(`/${name} must be sent in a channel`);
+  }
+
+  const args = await parseArgs(command, argText);
+  return command.handler(context, args);
+};
+
+module.exports = {
+  registerCommand,
+  listCommands,
+  parseCommandInput,
+  unescapeCommandText,
+  executeCommand
+};
@@ -0,0 +1,218 @@
+const mongoose = require('mongoose');
+const Conversation = require('../models/Conversation');
+const DirectMessage = require('../models/DirectMessage');
+const User = require('../models/User');
+const { ServiceError } = require('../utils/errors');
+const { paginateByCursor } = require('../utils/pagination');
+const { assertNotSanctioned } = require('./moderation');
+
+const MAX_MESSAGE_LENGTH = 1000;
+
+// Largest group conversation, including its creator
+const MAX_GROUP_SIZE = 10;
+
+const PARTICIPANT_FIELDS = 'username avatar walletAddress isOnline';
+
+const idsEqual = (a, b) => String(a) === String(b);
+
+// True when either user has blocked the other
+const isBlockedBetween = (userA, userB) =>
+  userA.blockedUsers.some(id => idsEqual(id, userB._id)) ||
+  userB.blockedUsers.some(id => idsEqual(id, userA._id));
+
+const directKeyFor = (userIds) => userIds.map(String).sort().join(':');
+
+// Load a conversation the user takes part in (404 for everyone else)
+const getConversationForUser = async (user, conversationId) => {
+  if (!mongoose.isValidObjectId(conversationId)) {
+    throw new ServiceError('Conversation not found', 404);
+  }
+
+  const conversation = await Conversation.findOne({ _id: conversationId, participants: user._id });
+  if (!conversation) {
+    throw new ServiceError('Conversation not found', 404);
+  }
+  return conversation;
+};
+
+// Start a conversation with one or more other users. A 1:1 conversation is
+// reused if it already exists; groups are always created fresh.
+const findOrCreateConversation = async (user, participantIds, name) => {
+  if (!Array.isArray(participantIds) || participantIds.length === 0) {
+    throw new ServiceError('At least one participant is required');
+  }
+  if (!participantIds.every(id => mongoose.isValidObjectId(id))) {
+    throw new ServiceError('Participants must be user IDs');
+  }
+
+  const otherIds = [...new Set(participantIds.map(String))].filter(id => !idsEqual(id, user._id));
+  if (otherIds.length === 0) {
+    throw new ServiceError('You cannot start a conversation with yourself');
+  }
+  if (otherIds.length + 1 > MAX_GROUP_SIZE) {
+    throw new ServiceError(`Group conversations are limited to ${MAX_GROUP_SIZE} participants`);
+  }
+
+  const others = await User.find({ _id: { $in: otherIds } });
+  if (others.length !== otherIds.length) {
+    throw new ServiceError('User not found', 404);
+  }
+  if (others.some(other => isBlockedBetween(user, other))) {
+    throw new ServiceError('You cannot message this user', 403);
+  }
+
+  const participants = [user._id, ...others.map(other => other._id)];
+  const isGroup = participants.length > 2;
+
+  if (!isGroup) {
+    const existing = await Conversation.findOne({ directKey: directKeyFor(participants) });
+    if (existing) {
+      return existing;
+    }
+  }
+
+  const conversation = new Conversation({
+    participants,
+    isGroup,
+    name: isGroup ? name || null : null,
+    directKey: isGroup ? undefined : directKeyFor(participants),
+    readState: participants.map(participantId => ({ user: participantId, lastReadAt: new Date() })),
+    createdBy: user._id
+  });
+
+  try {
+    await conversation.save();
+  } catch (error) {
+    // Another request created the same 1:1 conversation first
+    if (error.code === 11000 && !isGroup) {
+      return Conversation.findOne({ directKey: directKeyFor(participants) });
+    }
+    throw error;
+  }
+
+  return conversation;
+};
+
+// Record that the user has read everything in a conversation up to now
+const markConversationRead = async (user, conversationId) => {
+  const conversation = await getConversationForUser(user, conversationId);
+  const lastReadAt = new Date();
+
+  const updated = await Conversation.updateOne(
+    { _id: conversation._id, 'readState.user': user._id },
+    { $set: { 'readState.$.lastReadAt': lastReadAt } }
+  );
+  if (!updated.matchedCount) {
+    await Conversation.updateOne(
+      { _id: conversation._id },
+      { $push: { readState: { user: user._id, lastReadAt } } }
+    );
+  }
+
+  return { conversation, lastReadAt };
+};
+
+// Send a message to a conversation. Blocks are enforced for 1:1 conversations.
+const sendDirectMessage = async (user, conversationId, text) => {
+  if (typeof text !== 'string' || !text.trim()) {
+    throw new ServiceError('Message text is required');
+  }
+  if (text.trim().length > MAX_MESSAGE_LENGTH) {
+    throw new ServiceError(`Messages cannot be longer than ${MAX_MESSAGE_LENGTH} characters`);
+  }
+
+  const conversation = await getConversationForUser(user, conversationId);
+  await assertNotSanctioned(user, 'directMessage');
+
+  if (!conversation.isGroup) {
+    const otherId = conversation.participants.find(id => !idsEqual(id, user._id));
+    const other = await User.findById(otherId);
+    if (!other || isBlockedBetween(user, other)) {
+      throw new ServiceError('You cannot message this user', 403);
+    }
+  }
+
+  const message = new DirectMessage({
+    conversation: conversation._id,
+    sender: user._id,
+    username: user.username,
+    avatar: user.avatar,
+    text: text.trim()
+  });
+  await message.save();
+
+  await Conversation.updateOne(
+    { _id: conversation._id },
+    { lastMessage: message._id, lastMessageAt: message.timestamp }
+  );
+
+  // Sending a message means the sender has caught up
+  await Conversation.updateOne(
+    { _id: conversation._id, 'readState.user': user._id },
+    { $set: { 'readState.$.lastReadAt': message.timestamp } }
+  );
+
+  return { conversation, message };
+};
+
+// The user's conversations, most recently active first, with unread counts
+const listConversations = async (user) => {
+  const conversations = await Conversation.find({ participants: user._id })
+    .populate('participants', PARTICIPANT_FIELDS)
+    .populate('lastMessage')
+    .sort({ lastMessageAt: -1, updatedAt: -1 });
+
+  return Promise.all(conversations.map(async (conversation) => {
+    const readState = conversation.readState.find(state => idsEqual(state.user, user._id));
+    const unreadCount = await DirectMessage.countDocuments({
+      conversation: conversation._id,
+      sender: { $ne: user._id },
+      ...(readState ? { timestamp: { $gt: readState.lastReadAt } } : {})
+    });
+
+    return { conversation, unreadCount };
+  }));
+};
+
+// A page of a conversation's messages, oldest first
+const getConversationMessages = async (user, conversationId, page) => {
+  const conversation = await getConversationForUser(user, conversationId);
+
+  return paginateByCursor(DirectMessage, { conversation: conversation._id }, page);
+};
+
+const blockUser = async (user, targetId) => {
+  if (!mongoose.isValidObjectId(targetId) || idsEqual(targetId, user._id)) {
+    throw new ServiceError('Invalid user to block');
+  }
+
+  const target = await User.findById(targetId);
+  if (!target) {
+    throw new ServiceError('User not found', 404);
+  }
+
+  await User.updateOne({ _id: user._id }, { $addToSet: { blockedUsers: target._id } });
+  return target;
+};
+
+const unblockUser = async (user, targetId) => {
+  if (!mongoose.isValidObjectId(targetId)) {
+    throw new ServiceError('User not found', 404);
+  }
+
+  await User.updateOne({ _id: user._id }, { $pull: { blockedUsers: targetId } });
+};
+
+module.exports = {
+  MAX_GROUP_SIZE,
+  PARTICIPANT_FIELDS,
+  isBlockedBetween,
+  getConversationForUser,
+  findOrCreateConversation,
+  markConversationRead,
+  sendDirectMessage,
+  listConversations,
+  getConversationMessages,
+  blockUser,
+  unblockUser
+};
@@ -0,0 +1,89 @@
+const crypto = require('crypto');
+const { MemoryStore, RedisStore, SlidingWindowLimiter } = require('../utils/rateLimiter');
+const { getRedisClient } = require('../config/redis');
+const { RATE_LIMITS, DUPLICATE_MESSAGE_WINDOW_MS } = require('../config/rateLimits');
+const { hasPermission } = require('../utils/permissions');
+const { PERMISSIONS } = require('../config/permissions');
+const { RateLimitError } = require('../utils/errors');
+
+// Limit state is shared through Redis when it is configured, otherwise kept in memory
+const store = process.env.REDIS_URL && process.env.RATE_LIMIT_STORE !== 'memory'
+  ? new RedisStore(getRedisClient)
+  : new MemoryStore();
+
+const limiter = new SlidingWindowLimiter(store);
+
+// Count one attempt at an action against the user and IP limits configured for it.
+// Throws a RateLimitError when either limit is exceeded.
+const consumeRateLimit = async (name, { userId, ip }) => {
+  const config = RATE_LIMITS[name];
+  if (!config) {
+    return;
+  }
+
+  const checks = [];
+  if (config.user && userId) {
+    checks.push(limiter.consume(`${name}:user:${userId}`, config.user));
+  }
+  if (config.ip && ip) {
+    checks.push(limiter.consume(`${name}:ip:${ip}`, config.ip));
+  }
+
+  const results = await Promise.all(checks);
+  const denied = results.filter(result => !result.allowed);
+  if (denied.length > 0) {
+    const retryAfterMs = Math.max(...denied.map(result => result.retryAfterMs));
+    throw new RateLimitError('You are doing that too often. Please slow down.', retryAfterMs);
+  }
+};
+
+// Enforce a channel's minimum interval between posts. Channel managers are exempt.
+const enforceSlowMode = async (user, channel) => {
+  if (!channel.slowModeSeconds) {
+    return;
+  }
+  if (await hasPermission(user, PERMISSIONS.MANAGE_CHANNELS)) {
+    return;
+  }
+
+  const remainingMs = await store.setIfAbsent(
+    `slowmode:${channel._id}:${user._id}`,
+    channel.slowModeSeconds * 1000
+  );
+  if (remainingMs > 0) {
+    throw new RateLimitError(
+      `Slow mode is on in #${channel.name}. You can post again in ${Math.ceil(remainingMs / 1000)}s.`,
+      remainingMs
+    );
+  }
+};
+
+const duplicateKey = (user, channelName, text) => {
+  const normalized = text.trim().toLowerCase().replace(/\s+/g, ' ');
+  const hash = crypto.createHash('sha256').update(normalized).digest('hex');
+  return `duplicate:${user._id}:${channelName}:${hash}`;
+};
+
+// Apply duplicate detection and slow mode before a message is posted to a channel
+const enforcePostingLimits = async (user, channel, text) => {
+  // Reject the same text posted again by the same user to the same channel
+  const key = duplicateKey(user, channel.name, text);
+  const remainingMs = await store.setIfAbsent(key, DUPLICATE_MESSAGE_WINDOW_MS);
+  if (remainingMs > 0) {
+    throw new RateLimitError('You already sent that message. Please wait before repeating it.', remainingMs);
+  }
+
+  try {
+    await enforceSlowMode(user, channel);
+  } catch (error) {
+    // The message was not posted, so it should not count as a duplicate later
+    await store.delete(key);
+    throw error;
+  }
+};
+
+module.exports = {
+  consumeRateLimit,
+  enforceSlowMode,
+  enforcePostingLimits
+};
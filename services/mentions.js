@@ -0,0 +1,52 @@
+const User = require('../models/User');
+const Role = require('../models/Role');
+const { hasPermission } = require('../utils/permissions');
+const { PERMISSIONS } = require('../config/permissions');
+const { EVERYONE, extractMentions } = require('../utils/mentions');
+
+// Distinct names resolved per message; anything past this stays plain text
+const MAX_MENTIONS_PER_MESSAGE = 20;
+
+// Resolve the @mentions in a message's text against users and roles. Role
+// and @everyone pings only resolve for authors allowed to make them;
+// otherwise they are left as plain text.
+const resolveMentions = async (author, text) => {
+  const tokens = extractMentions(text);
+  if (tokens.length === 0) {
+    return [];
+  }
+
+  const names = [...new Set(tokens.map(token => token.name))].slice(0, MAX_MENTIONS_PER_MESSAGE);
+  const canPingGroups = await hasPermission(author, PERMISSIONS.MENTION_EVERYONE);
+
+  const [users, roles] = await Promise.all([
+    User.find({ username: { $in: names } }).select('_id username'),
+    canPingGroups
+      ? Role.find({ name: { $in: names.map(name => name.toLowerCase()) }, isActive: true }).select('name')
+      : []
+  ]);
+  const userByName = new Map(users.map(user => [user.username, user]));
+  const roleNames = new Set(roles.map(role => role.name));
+
+  return tokens
+    .filter(token => names.includes(token.name))
+    .map(({ name, offset, length }) => {
+      const lowerName = name.toLowerCase();
+      if (lowerName === EVERYONE && canPingGroups) {
+        return { type: 'everyone', offset, length };
+      }
+      if (userByName.has(name)) {
+        return { type: 'user', user: userByName.get(name)._id, offset, length };
+      }
+      if (roleNames.has(lowerName)) {
+        return { type: 'role', role: lowerName, offset, length };
+      }
+      return null;
+    })
+    .filter(Boolean);
+};
+
+module.exports = {
+  MAX_MENTIONS_PER_MESSAGE,
+  resolveMentions
+};
@@ -0,0 +1,636 @@
+const mongoose = require('mongoose');
+const Message = require('../models/Message');
+const Channel = require('../models/Channel');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const ChannelReadState = require('../models/ChannelReadState');
+const { hasPermission } = require('../utils/permissions');
+const { PERMISSIONS } = require('../config/permissions');
+const { ServiceError } = require('../utils/errors');
+const { PARENT_FIELDS } = require('../utils/messageFormat');
+const { paginateByCursor } = require('../utils/pagination');
+const { parseDuration } = require('../utils/duration');
+const { enforcePostingLimits } = require('./floodControl');
+const { assertNotSanctioned } = require('./moderation');
+const { AUDIT_ACTIONS, recordAudit } = require('./auditLog');
+const { visibleChannelFilter, assertChannelAccess, canDeleteChannel } = require('./channels');
+const { forgetTokenGateChecks } = require('./tokenGates');
+const { resolveMentions } = require('./mentions');
+const { resolveSolanaEntities } = require('./solanaEntities');
+const {
+  findAttachableUploads,
+  attachmentSnapshot,
+  claimAttachmentsForMessage,
+  releaseAttachments,
+  deleteAttachments
+} = require('./attachments');
+const { runExclusive } = require('./cluster');
+
+const MAX_MESSAGE_LENGTH = 1000;
+
+// Distinct emojis a single message can carry
+const MAX_REACTIONS_PER_MESSAGE = 20;
+const MAX_EMOJI_LENGTH = 32;
+
+// Author fields needed to format a message for clients
+const AUTHOR_FIELDS = 'username avatar walletAddress role';
+
+// How long tombstones of deleted messages are kept before being purged
+const DELETED_MESSAGE_GRACE_MS = parseDuration(process.env.DELETED_MESSAGE_GRACE_PERIOD || '') ||
+  7 * 24 * 60 * 60 * 1000;
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+// Messages that appear in a channel's main timeline: top-level messages and
+// thread replies that were also sent to the channel
+const channelTimelineFilter = (channelName) => ({
+  channel: channelName,
+  $or: [{ parentId: null }, { showInChannel: true }]
+});
+
+// Text may only be left out when the message carries attachments
+const validateMessageText = (text, { allowEmpty = false } = {}) => {
+  if (allowEmpty && (text === undefined || text === null || text === '')) {
+    return '';
+  }
+  if (typeof text !== 'string' || (!text.trim() && !allowEmpty)) {
+    throw new ServiceError('Message text is required');
+  }
+
+  const trimmedText = text.trim();
+  if (trimmedText.length > MAX_MESSAGE_LENGTH) {
+    throw new ServiceError(`Messages cannot be longer than ${MAX_MESSAGE_LENGTH} characters`);
+  }
+  return trimmedText;
+};
+
+const MAX_EMBEDS_PER_MESSAGE = 5;
+const MAX_EMBED_FIELDS = 25;
+const MAX_EMBED_LINKS = 5;
+
+// Length limits of embed parts
+const EMBED_LIMITS = {
+  title: 256,
+  description: 2048,
+  fieldName: 256,
+  fieldValue: 1024,
+  linkLabel: 100,
+  footer: 256,
+  url: 2048
+};
+
+const optionalEmbedText = (value, limit, label) => {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  if (typeof value !== 'string' || value.length > limit) {
+    throw new ServiceError(`Embed ${label} must be text of at most ${limit} characters`);
+  }
+  return value.trim() || null;
+};
+
+// Links are shown as-is, so only web URLs are accepted
+const optionalEmbedUrl = (value, label) => {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    throw new ServiceError(`Embed ${label} must be a valid URL`);
+  }
+  if (!['http:', 'https:'].includes(url.protocol) || value.length > EMBED_LIMITS.url) {
+    throw new ServiceError(`Embed ${label} must be an http or https URL`);
+  }
+  return url.toString();
+};
+
+// Colors may be given as 0xRRGGBB numbers or "#rrggbb" strings
+const parseEmbedColor = (color) => {
+  if (color === undefined || color === null) {
+    return null;
+  }
+  const value = typeof color === 'string' && /^#[0-9a-f]{6}$/i.test(color) ? parseInt(color.slice(1), 16) : color;
+  if (!Number.isInteger(value) || value < 0 || value > 0xffffff) {
+    throw new ServiceError('Embed color must be a number from 0 to 0xFFFFFF or a "#rrggbb" string');
+  }
+  return value;
+};
+
+// Normalize the rich embeds of a bot message
+const validateEmbeds = (embeds) => {
+  if (embeds === undefined || embeds === null) {
+    return [];
+  }
+  if (!Array.isArray(embeds) || embeds.some(embed => !embed || typeof embed !== 'object')) {
+    throw new ServiceError('Embeds must be a list of objects');
+  }
+  if (embeds.length > MAX_EMBEDS_PER_MESSAGE) {
+    throw new ServiceError(`Messages can have at most ${MAX_EMBEDS_PER_MESSAGE} embeds`);
+  }
+
+  return embeds.map(embed => {
+    const fields = embed.fields ?? [];
+    const links = embed.links ?? [];
+    if (!Array.isArray(fields) || fields.length > MAX_EMBED_FIELDS) {
+      throw new ServiceError(`Embed fields must be a list of at most ${MAX_EMBED_FIELDS} entries`);
+    }
+    if (!Array.isArray(links) || links.length > MAX_EMBED_LINKS) {
+      throw new ServiceError(`Embed links must be a list of at most ${MAX_EMBED_LINKS} entries`);
+    }
+
+    const normalized = {
+      title: optionalEmbedText(embed.title, EMBED_LIMITS.title, 'title'),
+      description: optionalEmbedText(embed.description, EMBED_LIMITS.description, 'description'),
+      url: optionalEmbedUrl(embed.url, 'url'),
+      color: parseEmbedColor(embed.color),
+      fields: fields.map(field => {
+        const name = optionalEmbedText(field?.name, EMBED_LIMITS.fieldName, 'field name');
+        const value = optionalEmbedText(field?.value, EMBED_LIMITS.fieldValue, 'field value');
+        if (!name || !value) {
+          throw new ServiceError('Embed fields need a name and a value');
+        }
+        return { name, value, inline: !!field.inline };
+      }),
+      links: links.map(link => {
+        const url = optionalEmbedUrl(link?.url, 'link url');
+        if (!url) {
+          throw new ServiceError('Embed links need a url');
+        }
+        return { label: optionalEmbedText(link.label, EMBED_LIMITS.linkLabel, 'link label') || url, url };
+      }),
+      imageUrl: optionalEmbedUrl(embed.imageUrl, 'imageUrl'),
+      footer: optionalEmbedText(embed.footer, EMBED_LIMITS.footer, 'footer')
+    };
+
+    if (!normalized.title && !normalized.description && normalized.fields.length === 0) {
+      throw new ServiceError('Embeds need a title, a description or fields');
+    }
+    return normalized;
+  });
+};
+
+// Deleted messages only count as found when `includeDeleted` is set
+const findMessageOrFail = async (messageId, { includeDeleted = false } = {}) => {
+  if (!mongoose.isValidObjectId(messageId)) {
+    throw new ServiceError('Message not found', 404);
+  }
+
+  const message = await Message.findById(messageId);
+  if (!message || (message.deletedAt && !includeDeleted)) {
+    throw new ServiceError('Message not found', 404);
+  }
+  return message;
+};
+
+// Messages in private channels are only available to the channel's members
+const assertMessageAccess = async (user, message) => {
+  const channel = await Channel.findOne({ name: message.channel });
+  if (channel) {
+    await assertChannelAccess(user, channel);
+  }
+};
+
+// Authors may edit their own messages; moderators may edit anyone's
+const canModifyMessage = async (user, message) =>
+  message.userId.equals(user._id) || hasPermission(user, PERMISSIONS.DELETE_MESSAGES);
+
+// Replace a message's text, keeping the previous text as a revision.
+// `auditMetadata` describes the request for the audit entry written when a
+// moderator edits someone else's message.
+// Returns the updated message with its author populated.
+const editMessage = async (user, messageId, text, auditMetadata = {}) => {
+  const newText = validateMessageText(text);
+
+  const message = await findMessageOrFail(messageId);
+  await assertMessageAccess(user, message);
+  if (!(await canModifyMessage(user, message))) {
+    throw new ServiceError('You do not have permission to edit this message', 403);
+  }
+  await assertNotSanctioned(user, 'post', message.channel);
+
+  if (message.text === newText) {
+    return message.populate([
+      { path: 'userId', select: AUTHOR_FIELDS },
+      { path: 'parentId', select: PARENT_FIELDS }
+    ]);
+  }
+
+  const now = new Date();
+
+  // Mentions are re-resolved so their offsets match the new text. Pings are
+  // judged by what the author may do, whoever is editing.
+  const author = await User.findById(message.userId);
+  const [mentions, entities] = await Promise.all([
+    author ? resolveMentions(author, newText) : [],
+    resolveSolanaEntities(newText)
+  ]);
+
+  // Match on the current text so two concurrent edits cannot lose a revision
+  const updatedMessage = await Message.findOneAndUpdate(
+    { _id: message._id, text: message.text },
+    {
+      $set: { text: newText, editedAt: now, mentions, entities },
+      $push: { revisions: { text: message.text, replacedAt: now, editedBy: user._id } }
+    },
+    { new: true }
+  )
+    .populate('userId', AUTHOR_FIELDS)
+    .populate('parentId', PARENT_FIELDS);
+
+  if (!updatedMessage) {
+    throw new ServiceError('Message was changed by someone else. Please try again.', 409);
+  }
+
+  // Authors editing their own messages are routine; moderators editing someone else's are audited
+  if (!message.userId || !message.userId.equals(user._id)) {
+    await recordAudit({
+      actor: user,
+      action: AUDIT_ACTIONS.MESSAGE_EDIT,
+      target: { type: 'message', id: message._id, name: message.channel },
+      before: { text: message.text, author: message.userId },
+      after: { text: newText },
+      metadata: auditMetadata
+    });
+  }
+
+  return updatedMessage;
+};
+
+// Create a message in a channel, or a reply in a thread when `parentId` is given.
+// Bots may add embeds, and are limited to `allowedChannels` when it is set.
+// Returns the saved message (parent populated for replies) and, for replies,
+// the updated thread root.
+const postMessage = async (user, { text, channel, parentId, showInChannel = false, attachments: attachmentIds, embeds: embedInput },
+  { allowedChannels = null } = {}) => {
+  const attachments = await findAttachableUploads(user, attachmentIds);
+  const embeds = validateEmbeds(embedInput);
+  const messageText = validateMessageText(text, { allowEmpty: attachments.length > 0 || embeds.length > 0 });
+
+  let threadRoot = null;
+  let channelName = typeof channel === 'string' && channel.trim() ? channel.trim().toLowerCase() : 'general';
+
+  if (parentId) {
+    const parent = await findMessageOrFail(parentId);
+
+    // Threads are one level deep, so replying to a reply joins the root thread
+    threadRoot = parent.parentId ? await findMessageOrFail(parent.parentId) : parent;
+    channelName = threadRoot.channel;
+  }
+
+  const targetChannel = await Channel.findOne({ name: channelName, isActive: true });
+  if (!targetChannel) {
+    throw new ServiceError('Channel not found', 404);
+  }
+  if (allowedChannels && !allowedChannels.includes(channelName)) {
+    throw new ServiceError(`This token cannot post to #${channelName}`, 403);
+  }
+
+  await assertChannelAccess(user, targetChannel);
+  await assertNotSanctioned(user, 'post', channelName);
+  // Attachment-only and embed-only messages are compared by what they carry
+  await enforcePostingLimits(user, targetChannel, [
+    messageText,
+    ...attachments.map(attachment => attachment.hash),
+    ...(embeds.length > 0 ? [JSON.stringify(embeds)] : [])
+  ].join(' '));
+
+  const message = new Message({
+    username: user.username,
+    text: messageText,
+    channel: channelName,
+    avatar: user.avatar,
+    userId: user._id,
+    isBroadcast: false,
+    isBot: !!user.isBot,
+    parentId: threadRoot ? threadRoot._id : null,
+    showInChannel: threadRoot ? !!showInChannel : false,
+    mentions: await resolveMentions(user, messageText),
+    entities: await resolveSolanaEntities(messageText),
+    attachments: attachments.map(attachmentSnapshot),
+    embeds
+  });
+
+  await claimAttachmentsForMessage(user, attachments, message);
+  try {
+    await message.save();
+  } catch (error) {
+    await releaseAttachments(message);
+    throw error;
+  }
+
+  // Update channel's last message timestamp
+  await Channel.updateOne(
+    { _id: targetChannel._id },
+    {
+      lastMessageAt: message.timestamp,
+      $inc: { messageCount: 1 }
+    }
+  );
+
+  if (!threadRoot) {
+    return { message, threadRoot: null };
+  }
+
+  const updatedRoot = await Message.findByIdAndUpdate(
+    threadRoot._id,
+    {
+      $inc: { threadReplyCount: 1 },
+      $set: { threadLastReplyAt: message.timestamp }
+    },
+    { new: true }
+  );
+  await message.populate('parentId', PARENT_FIELDS);
+
+  return { message, threadRoot: updatedRoot };
+};
+
+// Post the same message to every active channel the user can see, or only to
+// `allowedChannels` when set. Written in bulk, since a broadcast touches every
+// channel at once.
+const postBroadcast = async (user, text, { embeds: embedInput, allowedChannels = null } = {}) => {
+  const embeds = validateEmbeds(embedInput);
+  const messageText = validateMessageText(text, { allowEmpty: embeds.length > 0 });
+
+  await assertNotSanctioned(user, 'broadcast');
+
+  const filter = await visibleChannelFilter(user);
+  const channels = await Channel.find(allowedChannels ? { $and: [filter, { name: { $in: allowedChannels } }] } : filter)
+    .select('name');
+  if (channels.length === 0) {
+    return [];
+  }
+
+  const timestamp = new Date();
+  const entities = await resolveSolanaEntities(messageText);
+  const messages = await Message.insertMany(channels.map(channel => ({
+    username: user.username,
+    text: messageText,
+    channel: channel.name,
+    avatar: user.avatar,
+    userId: user._id,
+    isBroadcast: true,
+    isBot: !!user.isBot,
+    timestamp,
+    entities,
+    embeds
+  })));
+
+  // Update every channel's last message timestamp in one round trip
+  await Channel.bulkWrite(channels.map(channel => ({
+    updateOne: {
+      filter: { _id: channel._id },
+      update: { lastMessageAt: timestamp, $inc: { messageCount: 1 } }
+    }
+  })));
+
+  return messages;
+};
+
+// A thread root and a page of its replies, oldest first
+const getThread = async (messageId, page, viewer = null) => {
+  // A deleted root still anchors its replies
+  const root = await findMessageOrFail(messageId, { includeDeleted: true });
+  await assertMessageAccess(viewer, root);
+  if (root.parentId) {
+    throw new ServiceError('Message is not a thread root');
+  }
+  await root.populate('userId', AUTHOR_FIELDS);
+
+  const { items, pagination } = await paginateByCursor(
+    Message,
+    { parentId: root._id },
+    page,
+    query => query.populate('userId', AUTHOR_FIELDS)
+  );
+
+  return { root, replies: items, pagination };
+};
+
+const validateEmoji = (emoji) => {
+  if (typeof emoji !== 'string' || !emoji.trim() || emoji.length > MAX_EMOJI_LENGTH || /\s/.test(emoji)) {
+    throw new ServiceError('Invalid emoji');
+  }
+  return emoji;
+};
+
+// Add the user's reaction to a message. Adding the same emoji twice is a no-op.
+// Returns the message with its updated reactions.
+const addReaction = async (user, messageId, emoji) => {
+  validateEmoji(emoji);
+
+  if (!(await hasPermission(user, PERMISSIONS.ADD_REACTIONS))) {
+    throw new ServiceError('You do not have permission to add reactions', 403);
+  }
+
+  const message = await findMessageOrFail(messageId);
+  await assertMessageAccess(user, message);
+
+  await assertNotSanctioned(user, 'react', message.channel);
+
+  // Two attempts cover the race where another user creates the emoji entry in between
+  for (let attempt = 0; attempt < 2; attempt++) {
+    // Join an existing emoji entry the user is not already part of
+    const joined = await Message.updateOne(
+      { _id: message._id, reactions: { $elemMatch: { emoji, users: { $ne: user._id } } } },
+      { $addToSet: { 'reactions.$.users': user._id }, $inc: { 'reactions.$.count': 1 } }
+    );
+    if (joined.modifiedCount) {
+      break;
+    }
+
+    // Otherwise start a new entry, as long as the message has room for another emoji
+    const created = await Message.updateOne(
+      {
+        _id: message._id,
+        'reactions.emoji': { $ne: emoji },
+        [`reactions.${MAX_REACTIONS_PER_MESSAGE - 1}`]: { $exists: false }
+      },
+      { $push: { reactions: { emoji, count: 1, users: [user._id] } } }
+    );
+    if (created.modifiedCount) {
+      break;
+    }
+
+    const current = await Message.findById(message._id).select('reactions');
+    const entry = current.reactions.find(reaction => reaction.emoji === emoji);
+    if (entry && entry.users.some(userId => userId.equals(user._id))) {
+      break;
+    }
+    if (!entry) {
+      throw new ServiceError(`Messages can have at most ${MAX_REACTIONS_PER_MESSAGE} different reactions`);
+    }
+  }
+
+  return Message.findById(message._id);
+};
+
+// Remove the user's reaction from a message. Removing a missing reaction is a no-op.
+const removeReaction = async (user, messageId, emoji) => {
+  validateEmoji(emoji);
+
+  const message = await findMessageOrFail(messageId);
+  await assertMessageAccess(user, message);
+
+  const removed = await Message.updateOne(
+    { _id: message._id, reactions: { $elemMatch: { emoji, users: user._id } } },
+    { $pull: { 'reactions.$.users': user._id }, $inc: { 'reactions.$.count': -1 } }
+  );
+
+  // Drop emoji entries nobody is using any more
+  if (removed.modifiedCount) {
+    await Message.updateOne(
+      { _id: message._id },
+      { $pull: { reactions: { count: { $lte: 0 } } } }
+    );
+  }
+
+  return Message.findById(message._id);
+};
+
+// Turn a message into a tombstone; its attachments and notifications are
+// removed right away. Returns the deleted message and, for thread replies,
+// the updated thread root.
+const deleteMessage = async (user, messageId, reason = null) => {
+  const message = await findMessageOrFail(messageId);
+
+  const deletedMessage = await Message.findOneAndUpdate(
+    { _id: message._id, deletedAt: null },
+    {
+      deletedAt: new Date(),
+      deletedBy: user._id,
+      deleteReason: typeof reason === 'string' && reason.trim() ? reason.trim() : null
+    },
+    { new: true }
+  );
+  if (!deletedMessage) {
+    throw new ServiceError('Message not found', 404);
+  }
+
+  await Channel.updateOne({ name: message.channel }, { $inc: { messageCount: -1 } });
+  await Notification.deleteMany({ message: message._id });
+  await deleteAttachments({ message: message._id });
+
+  let threadRoot = null;
+  if (message.parentId) {
+    threadRoot = await Message.findByIdAndUpdate(
+      message.parentId,
+      { $inc: { threadReplyCount: -1 } },
+      { new: true }
+    );
+  }
+
+  return { message: deletedMessage, previous: message, threadRoot };
+};
+
+// Turn every message in a channel into a tombstone
+const clearChannelMessages = async (user, channel, reason = null) => {
+  const deletedAt = new Date();
+  const result = await Message.updateMany(
+    { channel: channel.name, deletedAt: null },
+    {
+      deletedAt,
+      deletedBy: user._id,
+      deleteReason: typeof reason === 'string' && reason.trim() ? reason.trim() : null
+    }
+  );
+
+  // Thread counts go with the replies they counted
+  await Message.updateMany(
+    { channel: channel.name, threadReplyCount: { $gt: 0 } },
+    { threadReplyCount: 0 }
+  );
+  await Channel.updateOne({ _id: channel._id }, { messageCount: 0 });
+  await Notification.deleteMany({ channel: channel.name });
+  await deleteAttachments({ channel: channel.name });
+
+  return { deletedCount: result.modifiedCount, deletedAt };
+};
+
+// Delete a text channel. Its messages become tombstones like any cleared
+// channel's, and everyone's read markers for it are dropped.
+// Returns the deleted channel and how many messages it took with it.
+const deleteChannel = async (user, channelId, { reason = null, auditMetadata = {} } = {}) => {
+  const channel = mongoose.isValidObjectId(channelId) ? await Channel.findById(channelId) : null;
+  if (!channel) {
+    throw new ServiceError('Channel not found', 404);
+  }
+  if (!(await canDeleteChannel(user, channel))) {
+    throw new ServiceError('You do not have permission to delete this channel', 403);
+  }
+
+  const { deletedCount } = await clearChannelMessages(user, channel, reason);
+  await Channel.deleteOne({ _id: channel._id });
+  await ChannelReadState.deleteMany({ channel: channel.name });
+  await forgetTokenGateChecks(channel._id);
+
+  await recordAudit({
+    actor: user,
+    action: AUDIT_ACTIONS.CHANNEL_DELETE,
+    target: { type: 'channel', id: channel._id, name: channel.name },
+    before: channel,
+    after: { deletedMessages: deletedCount },
+    metadata: auditMetadata
+  });
+
+  return { channel, deletedCount };
+};
+
+// Permanently remove tombstones older than the grace period
+const purgeDeletedMessages = async () => {
+  const cutoff = new Date(Date.now() - DELETED_MESSAGE_GRACE_MS);
+  const result = await Message.deleteMany({ deletedAt: { $ne: null, $lte: cutoff } });
+  return result.deletedCount;
+};
+
+const startTombstonePurgeJob = () => {
+  const timer = setInterval(() => {
+    runExclusive('purgeDeletedMessages', PURGE_INTERVAL_MS, () => purgeDeletedMessages())
+      .catch(error => console.error('Error purging deleted messages:', error));
+  }, PURGE_INTERVAL_MS);
+  timer.unref();
+  return timer;
+};
+
+// Current text plus every earlier revision of a message
+const getMessageRevisions = async (messageId) => {
+  if (!mongoose.isValidObjectId(messageId)) {
+    throw new ServiceError('Message not found', 404);
+  }
+
+  const message = await Message.findById(messageId)
+    .select('+revisions')
+    .populate('revisions.editedBy', 'username walletAddress');
+  if (!message) {
+    throw new ServiceError('Message not found', 404);
+  }
+
+  return {
+    messageId: message._id,
+    text: message.text,
+    editedAt: message.editedAt,
+    revisions: message.revisions
+  };
+};
+
+module.exports = {
+  MAX_MESSAGE_LENGTH,
+  AUTHOR_FIELDS,
+  channelTimelineFilter,
+  DELETED_MESSAGE_GRACE_MS,
+  findMessageOrFail,
+  assertMessageAccess,
+  canModifyMessage,
+  postMessage,
+  postBroadcast,
+  getThread,
+  editMessage,
+  addReaction,
+  removeReaction,
+  getMessageRevisions,
+  deleteMessage,
+  clearChannelMessages,
+  deleteChannel,
+  purgeDeletedMessages,
+  startTombstonePurgeJob
+};
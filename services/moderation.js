@@ -0,0 +1,296 @@
+const mongoose = require('mongoose');
+const Sanction = require('../models/Sanction');
+const User = require('../models/User');
+const Channel = require('../models/Channel');
+const { outranksUser } = require('../utils/permissions');
+const { parseDuration } = require('../utils/duration');
+const { channelRoom, userRoom } = require('../utils/rooms');
+const { ServiceError } = require('../utils/errors');
+const { parsePageSize } = require('../utils/pagination');
+const { runExclusive } = require('./cluster');
+
+// How often expired sanctions are lifted
+const EXPIRY_SWEEP_INTERVAL_MS = 30 * 1000;
+
+// Longest sanction with a duration; anything longer is issued without one
+const MAX_SANCTION_DURATION_MS = 365 * 24 * 60 * 60 * 1000;
+
+// Which sanction types block each action
+const BLOCKING_TYPES = {
+  join: ['ban'],
+  post: ['mute', 'timeout', 'ban'],
+  broadcast: ['mute', 'timeout', 'ban'],
+  typing: ['mute', 'timeout', 'ban'],
+  react: ['mute', 'timeout', 'ban'],
+  directMessage: ['mute', 'timeout', 'ban'],
+  voice: ['timeout', 'ban']
+};
+
+const ACTION_MESSAGES = {
+  join: 'You are banned from this server',
+  post: 'You cannot post messages',
+  broadcast: 'You cannot broadcast messages',
+  typing: 'You cannot post messages',
+  react: 'You cannot react to messages',
+  directMessage: 'You cannot send direct messages',
+  voice: 'You cannot join voice channels'
+};
+
+const notExpired = () => ({
+  $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+});
+
+// The sanction that stops a user from performing an action, if any.
+// Server-wide sanctions always apply; channel sanctions only in their channel.
+const findBlockingSanction = async (user, action, channelName = null) => {
+  const types = BLOCKING_TYPES[action];
+  if (!types) {
+    return null;
+  }
+
+  return Sanction.findOne({
+    type: { $in: types },
+    isActive: true,
+    $and: [
+      { $or: [{ user: user._id }, { walletAddress: user.walletAddress }] },
+      { channel: { $in: channelName ? [null, channelName] : [null] } },
+      notExpired()
+    ]
+  }).sort({ expiresAt: -1 });
+};
+
+const describeSanction = (sanction) => {
+  const scope = sanction.channel ? ` in #${sanction.channel}` : '';
+  const until = sanction.expiresAt ? ` until ${sanction.expiresAt.toISOString()}` : '';
+  return `${scope}${until}`;
+};
+
+// Throw if an active sanction blocks the action
+const assertNotSanctioned = async (user, action, channelName = null) => {
+  const sanction = await findBlockingSanction(user, action, channelName);
+  if (sanction) {
+    const error = new ServiceError(`${ACTION_MESSAGES[action]}${describeSanction(sanction)}`, 403);
+    error.sanction = sanction;
+    throw error;
+  }
+};
+
+// Whether a wallet is banned server-wide (checked before issuing sessions)
+const isWalletBanned = async (walletAddress) => !!(await Sanction.exists({
+  type: 'ban',
+  walletAddress,
+  channel: null,
+  isActive: true,
+  $and: [notExpired()]
+}));
+
+const formatSanction = (sanction) => ({
+  id: sanction._id,
+  type: sanction.type,
+  user: sanction.user,
+  walletAddress: sanction.walletAddress,
+  channel: sanction.channel,
+  reason: sanction.reason,
+  issuedBy: sanction.issuedBy,
+  expiresAt: sanction.expiresAt,
+  isActive: sanction.isActive,
+  revokedAt: sanction.revokedAt,
+  revokedBy: sanction.revokedBy,
+  createdAt: sanction.createdAt
+});
+
+// Issue a sanction and apply its effects to connected sockets. The target is
+// given by userId or walletAddress; bans may target a wallet that has never signed in.
+const issueSanction = async (io, actor, { userId, walletAddress, type, channel, duration, reason }) => {
+  if (!Sanction.TYPES.includes(type)) {
+    throw new ServiceError(`Sanction type must be one of: ${Sanction.TYPES.join(', ')}`);
+  }
+
+  let target = null;
+  if (userId) {
+    if (!mongoose.isValidObjectId(userId)) {
+      throw new ServiceError('User not found', 404);
+    }
+    target = await User.findById(userId);
+  } else if (walletAddress) {
+    target = await User.findOne({ walletAddress });
+  }
+
+  if (!target && !(type === 'ban' && walletAddress)) {
+    throw new ServiceError('User not found', 404);
+  }
+
+  if (target) {
+    if (target._id.equals(actor._id)) {
+      throw new ServiceError('You cannot sanction yourself');
+    }
+    if (!(await outranksUser(actor, target))) {
+      throw new ServiceError('You cannot sanction users at or above your own role', 403);
+    }
+  }
+
+  let channelName = null;
+  if (channel) {
+    if (type === 'ban') {
+      throw new ServiceError('Bans apply server-wide and cannot be scoped to a channel');
+    }
+    const targetChannel = await Channel.findOne({ name: String(channel).toLowerCase() });
+    if (!targetChannel) {
+      throw new ServiceError('Channel not found', 404);
+    }
+    channelName = targetChannel.name;
+  }
+
+  let expiresAt = null;
+  if (type === 'kick') {
+    // Kicks take effect once and are kept only as a record
+    expiresAt = new Date();
+  } else if (duration !== undefined && duration !== null) {
+    const durationMs = parseDuration(duration);
+    if (!durationMs || durationMs > MAX_SANCTION_DURATION_MS) {
+      throw new ServiceError('Duration must be like "30s", "10m", "2h" or "7d", up to a year');
+    }
+    expiresAt = new Date(Date.now() + durationMs);
+  } else if (type === 'timeout') {
+    throw new ServiceError('Timeouts require a duration');
+  }
+
+  const sanction = new Sanction({
+    type,
+    user: target ? target._id : null,
+    walletAddress: target ? target.walletAddress : walletAddress,
+    channel: channelName,
+    reason: reason || '',
+    issuedBy: actor._id,
+    expiresAt,
+    isActive: type !== 'kick'
+  });
+  await sanction.save();
+
+  if (target) {
+    const room = userRoom(target._id);
+    io.to(room).emit('sanctionApplied', formatSanction(sanction));
+
+    if (type === 'ban' || (type === 'kick' && !channelName)) {
+      io.in(room).disconnectSockets(true);
+    } else if (type === 'kick') {
+      io.in(room).socketsLeave(channelRoom(channelName));
+    }
+  }
+
+  return sanction;
+};
+
+// Revoke an active sanction before it expires
+const revokeSanction = async (io, actor, sanctionId) => {
+  if (!mongoose.isValidObjectId(sanctionId)) {
+    throw new ServiceError('Sanction not found', 404);
+  }
+
+  const sanction = await Sanction.findOneAndUpdate(
+    { _id: sanctionId, isActive: true },
+    { isActive: false, revokedAt: new Date(), revokedBy: actor._id },
+    { new: true }
+  );
+  if (!sanction) {
+    throw new ServiceError('Sanction not found or no longer active', 404);
+  }
+
+  if (sanction.user) {
+    io.to(userRoom(sanction.user)).emit('sanctionLifted', formatSanction(sanction));
+  }
+
+  return sanction;
+};
+
+// Page through sanctions, newest first
+const listSanctions = async ({ active, userId, walletAddress, type, channel, page = 1, limit }) => {
+  const pageSize = parsePageSize(limit);
+  const pageNumber = Math.max(parseInt(page) || 1, 1);
+
+  const filter = {};
+  if (active === 'true') {
+    filter.isActive = true;
+    Object.assign(filter, notExpired());
+  } else if (active === 'false') {
+    filter.isActive = false;
+  }
+  if (userId && mongoose.isValidObjectId(userId)) {
+    filter.user = userId;
+  }
+  if (walletAddress) {
+    filter.walletAddress = walletAddress;
+  }
+  if (type) {
+    filter.type = type;
+  }
+  if (channel) {
+    filter.channel = String(channel).toLowerCase();
+  }
+
+  const [total, sanctions] = await Promise.all([
+    Sanction.countDocuments(filter),
+    Sanction.find(filter)
+      .sort({ createdAt: -1 })
+      .skip((pageNumber - 1) * pageSize)
+      .limit(pageSize)
+      .populate('user', 'username walletAddress')
+      .populate('issuedBy', 'username')
+      .populate('revokedBy', 'username')
+  ]);
+
+  return { sanctions, total, page: pageNumber, limit: pageSize };
+};
+
+// A user's own active sanctions
+const getActiveSanctionsForUser = async (user) => Sanction.find({
+  isActive: true,
+  $and: [
+    { $or: [{ user: user._id }, { walletAddress: user.walletAddress }] },
+    notExpired()
+  ]
+}).sort({ expiresAt: 1 });
+
+// Deactivate sanctions whose expiry has passed and tell the affected users
+const liftExpiredSanctions = async (io) => {
+  const expired = await Sanction.find({ isActive: true, expiresAt: { $ne: null, $lte: new Date() } });
+  if (expired.length === 0) {
+    return 0;
+  }
+
+  await Sanction.updateMany(
+    { _id: { $in: expired.map(sanction => sanction._id) } },
+    { isActive: false }
+  );
+
+  expired.forEach(sanction => {
+    sanction.isActive = false;
+    if (sanction.user) {
+      io.to(userRoom(sanction.user)).emit('sanctionLifted', formatSanction(sanction));
+    }
+  });
+
+  return expired.length;
+};
+
+const startSanctionExpiryJob = (io) => {
+  const timer = setInterval(() => {
+    runExclusive('liftExpiredSanctions', EXPIRY_SWEEP_INTERVAL_MS, () => liftExpiredSanctions(io))
+      .catch(error => console.error('Error lifting expired sanctions:', error));
+  }, EXPIRY_SWEEP_INTERVAL_MS);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  findBlockingSanction,
+  assertNotSanctioned,
+  isWalletBanned,
+  formatSanction,
+  issueSanction,
+  revokeSanction,
+  listSanctions,
+  getActiveSanctionsForUser,
+  liftExpiredSanctions,
+  startSanctionExpiryJob
+};
@@ -0,0 +1,187 @@
+const mongoose = require('mongoose');
+const Notification = require('../models/Notification');
+const Channel = require('../models/Channel');
+const User = require('../models/User');
+const { paginateByCursor } = require('../utils/pagination');
+const { userRoom } = require('../utils/rooms');
+const { hasTokenGate, listTokenGateHolderIds } = require('./tokenGates');
+const { ServiceError } = require('../utils/errors');
+
+const PREVIEW_LENGTH = 140;
+
+// Direct mentions win over role mentions, which win over @everyone
+const MENTION_PRECEDENCE = ['user', 'role', 'everyone'];
+
+const formatNotification = (notification) => ({
+  id: notification._id,
+  type: notification.type,
+  mentionType: notification.mentionType,
+  messageId: notification.message,
+  channel: notification.channel,
+  actor: notification.actor,
+  preview: notification.preview,
+  isRead: !!notification.readAt,
+  readAt: notification.readAt,
+  timestamp: notification.timestamp
+});
+
+// Users a message's mentions reach, mapped to how they were mentioned.
+// Mentions in private channels only reach the channel's members, and in
+// token-gated channels only its owner and wallets that passed the gate.
+const mentionRecipients = async (message, channel) => {
+  const recipients = new Map();
+  const add = (userId, mentionType) => {
+    const key = String(userId);
+    const current = recipients.get(key);
+    if (!current || MENTION_PRECEDENCE.indexOf(mentionType) < MENTION_PRECEDENCE.indexOf(current)) {
+      recipients.set(key, mentionType);
+    }
+  };
+
+  const channelMemberIds = channel.isPrivate
+    ? [channel.createdBy, ...channel.members.map(member => member.user)].map(String)
+    : null;
+
+  for (const mention of message.mentions) {
+    if (mention.type === 'user') {
+      add(mention.user, 'user');
+    }
+  }
+
+  const roleNames = message.mentions.filter(mention => mention.type === 'role').map(mention => mention.role);
+  if (roleNames.length > 0) {
+    const roleMembers = await User.find({ role: { $in: roleNames } }).select('_id');
+    roleMembers.forEach(user => add(user._id, 'role'));
+  }
+
+  if (message.mentions.some(mention => mention.type === 'everyone')) {
+    const everyone = channelMemberIds || (await User.find().select('_id')).map(user => String(user._id));
+    everyone.forEach(userId => add(userId, 'everyone'));
+  }
+
+  recipients.delete(String(message.userId._id || message.userId));
+  if (channelMemberIds) {
+    for (const userId of recipients.keys()) {
+      if (!channelMemberIds.includes(userId)) {
+        recipients.delete(userId);
+      }
+    }
+  }
+  if (hasTokenGate(channel) && recipients.size > 0) {
+    const allowedIds = new Set([
+      String(channel.createdBy),
+      ...(await listTokenGateHolderIds(channel)).map(String)
+    ]);
+    for (const userId of recipients.keys()) {
+      if (!allowedIds.has(userId)) {
+        recipients.delete(userId);
+      }
+    }
+  }
+
+  return recipients;
+};
+
+// Store an inbox entry for everyone a message mentions and tell their sockets
+const notifyMentions = async (io, message, author) => {
+  if (!message.mentions || message.mentions.length === 0) {
+    return [];
+  }
+
+  const channel = await Channel.findOne({ name: message.channel });
+  if (!channel) {
+    return [];
+  }
+
+  const recipients = await mentionRecipients(message, channel);
+  if (recipients.size === 0) {
+    return [];
+  }
+
+  const notifications = await Notification.insertMany([...recipients].map(([userId, mentionType]) => ({
+    user: userId,
+    mentionType,
+    message: message._id,
+    channel: message.channel,
+    actor: author._id,
+    preview: message.text.slice(0, PREVIEW_LENGTH),
+    timestamp: message.timestamp
+  })));
+
+  notifications.forEach(notification => {
+    io.to(userRoom(notification.user)).emit('mentioned', {
+      ...formatNotification(notification),
+      actor: { _id: author._id, username: author.username, avatar: author.avatar },
+      parentId: message.parentId?._id || message.parentId || null
+    });
+  });
+
+  return notifications;
+};
+
+// A page of the user's inbox, optionally only unread entries
+const listNotifications = async (user, { unread, before, after, limit }) => {
+  const filter = { user: user._id };
+  if (unread === 'true') {
+    filter.readAt = null;
+  }
+
+  const [page, unreadCount] = await Promise.all([
+    paginateByCursor(
+      Notification,
+      filter,
+      { before, after, limit },
+      query => query.populate('actor', 'username avatar walletAddress')
+    ),
+    Notification.countDocuments({ user: user._id, readAt: null })
+  ]);
+
+  return { notifications: page.items, pagination: page.pagination, unreadCount };
+};
+
+const parseNotificationIds = (ids) => {
+  if (ids === undefined) {
+    return null;
+  }
+  if (!Array.isArray(ids) || !ids.every(id => mongoose.isValidObjectId(id))) {
+    throw new ServiceError('Notification IDs must be a list of IDs');
+  }
+  return ids;
+};
+
+// Mark the given notifications read, or all of them when no IDs are given
+const markNotificationsRead = async (user, ids) => {
+  const notificationIds = parseNotificationIds(ids);
+  const readAt = new Date();
+
+  const result = await Notification.updateMany(
+    {
+      user: user._id,
+      readAt: null,
+      ...(notificationIds ? { _id: { $in: notificationIds } } : {})
+    },
+    { readAt }
+  );
+
+  return { ids: notificationIds, readAt, updatedCount: result.modifiedCount };
+};
+
+// Delete the given notifications, or the whole inbox when no IDs are given
+const clearNotifications = async (user, ids) => {
+  const notificationIds = parseNotificationIds(ids);
+
+  const result = await Notification.deleteMany({
+    user: user._id,
+    ...(notificationIds ? { _id: { $in: notificationIds } } : {})
+  });
+
+  return { ids: notificationIds, deletedCount: result.deletedCount };
+};
+
+module.exports = {
+  formatNotification,
+  notifyMentions,
+  listNotifications,
+  markNotificationsRead,
+  clearNotifications
+};
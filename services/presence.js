@@ -0,0 +1,309 @@
+const User = require('../models/User');
+const { parseDuration } = require('../utils/duration');
+const { userRoom } = require('../utils/rooms');
+const { ServiceError } = require('../utils/errors');
+const { INSTANCE_ID, runExclusive, forgetDeadInstances, trackConnection } = require('./cluster');
+
+const PRESENCE_STATUSES = ['online', 'away', 'dnd', 'invisible'];
+
+// Users with no activity on any device for this long show as away
+const IDLE_TIMEOUT_MS = parseInt(process.env.PRESENCE_IDLE_TIMEOUT_MS) || 10 * 60 * 1000;
+
+// Activity is written to the database at most this often per socket
+const ACTIVITY_WRITE_INTERVAL_MS = 60 * 1000;
+
+const PRESENCE_SWEEP_INTERVAL_MS = 30 * 1000;
+
+const MAX_CUSTOM_STATUS_LENGTH = 128;
+const MAX_CUSTOM_STATUS_DURATION_MS = 30 * 24 * 60 * 60 * 1000;
+
+// What other users see, derived from the picked status and the user's devices
+const effectivePresence = (user, now = Date.now()) => {
+  if (user.connections.length === 0 || user.status === 'invisible') {
+    return 'offline';
+  }
+  if (user.status === 'dnd' || user.status === 'away') {
+    return user.status;
+  }
+  const isActive = user.connections.some(connection =>
+    !connection.isIdle && connection.lastActiveAt.getTime() > now - IDLE_TIMEOUT_MS
+  );
+  return isActive ? 'online' : 'away';
+};
+
+const formatCustomStatus = (user) => (user.customStatus?.text ? {
+  text: user.customStatus.text,
+  expiresAt: user.customStatus.expiresAt || null
+} : null);
+
+// Payload of `presenceUpdated`. Offline users, invisible ones included, show no custom status.
+const formatPresence = (user) => ({
+  userId: user._id,
+  username: user.username,
+  avatar: user.avatar,
+  presence: user.presence,
+  isOnline: user.presence !== 'offline',
+  customStatus: user.presence === 'offline' ? null : formatCustomStatus(user),
+  lastSeen: user.lastSeen
+});
+
+// The user's own view of their presence, including the status they picked
+const formatOwnPresence = (user) => ({
+  ...formatPresence(user),
+  status: user.status,
+  customStatus: formatCustomStatus(user),
+  connectionCount: user.connections.length
+});
+
+// Store the presence derived from `user` and announce it if it changed, or
+// if `force` is set because something else others can see changed
+const syncPresence = async (io, user, { force = false } = {}) => {
+  const presence = effectivePresence(user);
+  const changed = presence !== user.presence;
+
+  if (changed) {
+    await User.updateOne({ _id: user._id }, { presence, isOnline: presence !== 'offline' });
+    user.presence = presence;
+    user.isOnline = presence !== 'offline';
+  }
+  if (changed || force) {
+    io.emit('presenceUpdated', formatPresence(user));
+  }
+  return user;
+};
+
+// Record a newly joined socket for the user
+const connectSocket = async (io, user, socket) => {
+  const now = new Date();
+  socket.data.lastActivityAt = now.getTime();
+  socket.data.isIdle = false;
+
+  // A socket that sends `join` again is not counted twice
+  let updated = await User.findOneAndUpdate(
+    { _id: user._id, 'connections.socketId': { $ne: socket.id } },
+    {
+      $push: { connections: { socketId: socket.id, instanceId: INSTANCE_ID, connectedAt: now, lastActiveAt: now } },
+      lastSeen: now
+    },
+    { new: true }
+  );
+  if (!updated) {
+    updated = await User.findOneAndUpdate(
+      { _id: user._id, 'connections.socketId': socket.id },
+      { $set: { 'connections.$.lastActiveAt': now, 'connections.$.isIdle': false }, lastSeen: now },
+      { new: true }
+    );
+  }
+
+  return updated ? syncPresence(io, updated) : user;
+};
+
+// Forget a socket. The user only goes offline once their last socket is gone.
+const disconnectSocket = async (io, userId, socketId) => {
+  const user = await User.findByIdAndUpdate(
+    userId,
+    { $pull: { connections: { socketId } }, lastSeen: new Date() },
+    { new: true }
+  );
+  return user ? syncPresence(io, user) : null;
+};
+
+// Note activity on a socket, or that the client reports its user as idle.
+// Writes are throttled, except when they bring an idle socket back.
+const recordActivity = async (io, userId, socket, { idle = false } = {}) => {
+  const now = Date.now();
+  const wasIdle = !!socket.data.isIdle;
+  if (idle ? wasIdle : !wasIdle && now - (socket.data.lastActivityAt || 0) < ACTIVITY_WRITE_INTERVAL_MS) {
+    return null;
+  }
+
+  socket.data.isIdle = idle;
+  const update = { 'connections.$.isIdle': idle };
+  if (!idle) {
+    socket.data.lastActivityAt = now;
+    update['connections.$.lastActiveAt'] = new Date(now);
+  }
+
+  const user = await User.findOneAndUpdate(
+    { _id: userId, 'connections.socketId': socket.id },
+    { $set: update },
+    { new: true }
+  );
+  return user ? syncPresence(io, user) : null;
+};
+
+// Validate a custom status from a request: null or '' clears it
+const parseCustomStatus = (customStatus) => {
+  if (customStatus === null || customStatus === '') {
+    return { text: null, expiresAt: null };
+  }
+
+  const { text, expiresIn } = typeof customStatus === 'string' ? { text: customStatus } : customStatus || {};
+  if (typeof text !== 'string') {
+    throw new ServiceError('Custom status text must be a string');
+  }
+  const trimmedText = text.trim();
+  if (trimmedText.length > MAX_CUSTOM_STATUS_LENGTH) {
+    throw new ServiceError(`Custom status cannot be longer than ${MAX_CUSTOM_STATUS_LENGTH} characters`);
+  }
+  if (!trimmedText) {
+    return { text: null, expiresAt: null };
+  }
+
+  let expiresAt = null;
+  if (expiresIn !== undefined && expiresIn !== null) {
+    const durationMs = parseDuration(expiresIn);
+    if (!durationMs || durationMs > MAX_CUSTOM_STATUS_DURATION_MS) {
+      throw new ServiceError('expiresIn must be a duration such as "30m" or "4h", up to 30 days');
+    }
+    expiresAt = new Date(Date.now() + durationMs);
+  }
+
+  return { text: trimmedText, expiresAt };
+};
+
+// Change the user's picked status and/or custom status. Fields left
+// undefined are unchanged.
+const setPresence = async (io, user, { status, customStatus } = {}) => {
+  if (status !== undefined && !PRESENCE_STATUSES.includes(status)) {
+    throw new ServiceError(`Status must be one of: ${PRESENCE_STATUSES.join(', ')}`);
+  }
+
+  const update = {};
+  if (status !== undefined) {
+    update.status = status;
+  }
+  if (customStatus !== undefined) {
+    update.customStatus = parseCustomStatus(customStatus);
+  }
+
+  const updated = await User.findByIdAndUpdate(user._id, update, { new: true });
+  if (!updated) {
+    throw new ServiceError('User not found', 404);
+  }
+
+  const customStatusChanged = customStatus !== undefined &&
+    JSON.stringify(formatCustomStatus(user)) !== JSON.stringify(formatCustomStatus(updated));
+  await syncPresence(io, updated, { force: customStatusChanged && updated.presence !== 'offline' });
+
+  // Keep the user's other devices in step
+  const ownPresence = formatOwnPresence(updated);
+  io.to(userRoom(updated._id)).emit('ownPresenceUpdated', ownPresence);
+  return ownPresence;
+};
+
+// Turn idle users away and clear custom statuses that have expired
+const sweepPresence = async (io) => {
+  const now = new Date();
+
+  const idleUsers = await User.find({
+    presence: 'online',
+    status: 'online',
+    connections: {
+      $not: { $elemMatch: { isIdle: false, lastActiveAt: { $gt: new Date(now.getTime() - IDLE_TIMEOUT_MS) } } }
+    }
+  });
+  for (const user of idleUsers) {
+    await syncPresence(io, user);
+  }
+
+  const expiredUsers = await User.find({ 'customStatus.expiresAt': { $lte: now } });
+  for (const user of expiredUsers) {
+    const cleared = await User.findOneAndUpdate(
+      { _id: user._id, 'customStatus.expiresAt': { $lte: now } },
+      { customStatus: { text: null, expiresAt: null } },
+      { new: true }
+    );
+    if (!cleared) {
+      continue;
+    }
+    if (cleared.presence !== 'offline') {
+      io.emit('presenceUpdated', formatPresence(cleared));
+    }
+    io.to(userRoom(cleared._id)).emit('ownPresenceUpdated', formatOwnPresence(cleared));
+  }
+};
+
+const startPresenceSweepJob = (io) => {
+  const timer = setInterval(() => {
+    runExclusive('sweepPresence', PRESENCE_SWEEP_INTERVAL_MS, async () => {
+      await reapDeadInstanceConnections(io);
+      await sweepPresence(io);
+    }).catch(error => console.error('Error updating presence:', error));
+  }, PRESENCE_SWEEP_INTERVAL_MS);
+  timer.unref();
+  return timer;
+};
+
+// Drop connections held by server instances that have stopped or crashed,
+// taking users offline when those were their last ones
+const reapDeadInstanceConnections = async (io) => {
+  const liveInstanceIds = await forgetDeadInstances();
+
+  const users = await User.find({
+    $or: [
+      { connections: { $elemMatch: { instanceId: { $nin: liveInstanceIds } } } },
+      { 'connections.0': { $exists: false }, presence: { $ne: 'offline' } }
+    ]
+  }).select('_id');
+
+  for (const { _id } of users) {
+    const user = await User.findByIdAndUpdate(
+      _id,
+      { $pull: { connections: { instanceId: { $nin: liveInstanceIds } } } },
+      { new: true }
+    );
+    if (user) {
+      await syncPresence(io, user);
+    }
+  }
+  return users.length;
+};
+
+// Register this instance's sockets again after another instance reaped them
+// because its heartbeat was late. Idle state is kept as the sockets last
+// reported it.
+const restoreInstanceConnections = async (io) => {
+  for (const socket of io.of('/').sockets.values()) {
+    const userId = socket.data.joinedUserId || null;
+    await trackConnection(socket, userId);
+    if (!userId) {
+      continue;
+    }
+
+    const lastActiveAt = new Date(socket.data.lastActivityAt || Date.now());
+    const user = await User.findOneAndUpdate(
+      { _id: userId, 'connections.socketId': { $ne: socket.id } },
+      {
+        $push: {
+          connections: {
+            socketId: socket.id,
+            instanceId: INSTANCE_ID,
+            connectedAt: new Date(socket.handshake.issued),
+            lastActiveAt,
+            isIdle: !!socket.data.isIdle
+          }
+        }
+      },
+      { new: true }
+    );
+    if (user) {
+      await syncPresence(io, user);
+    }
+  }
+};
+
+module.exports = {
+  PRESENCE_STATUSES,
+  IDLE_TIMEOUT_MS,
+  formatPresence,
+  formatOwnPresence,
+  connectSocket,
+  disconnectSocket,
+  recordActivity,
+  setPresence,
+  sweepPresence,
+  reapDeadInstanceConnections,
+  restoreInstanceConnections,
+  startPresenceSweepJob
+};
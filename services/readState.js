@@ -0,0 +1,109 @@
+const mongoose = require('mongoose');
+const ChannelReadState = require('../models/ChannelReadState');
+const Message = require('../models/Message');
+const { channelTimelineFilter } = require('./messages');
+const { findAccessibleChannel, listVisibleChannelNames } = require('./channels');
+const { ServiceError } = require('../utils/errors');
+
+// Messages that mention the user directly, through their role or via @everyone
+const mentionFilter = (user) => ({
+  $or: [
+    { 'mentions.user': user._id },
+    { 'mentions.role': user.role },
+    { 'mentions.type': 'everyone' }
+  ]
+});
+
+// Unread messages in a channel: visible in the timeline, newer than the
+// read marker and written by someone else
+const unreadFilter = (user, channelName, since) => ({
+  $and: [
+    channelTimelineFilter(channelName),
+    { timestamp: { $gt: since }, deletedAt: null, userId: { $ne: user._id } }
+  ]
+});
+
+// Channels a user has never opened count from when they signed up
+const readBaseline = (user, state) => (state ? state.lastReadAt : user.createdAt || new Date(0));
+
+const countsForChannel = async (user, channelName, state) => {
+  const since = readBaseline(user, state);
+  const [unreadCount, mentionCount] = await Promise.all([
+    Message.countDocuments(unreadFilter(user, channelName, since)),
+    Message.countDocuments({
+      channel: channelName,
+      timestamp: { $gt: since },
+      deletedAt: null,
+      userId: { $ne: user._id },
+      ...mentionFilter(user)
+    })
+  ]);
+
+  return {
+    channel: channelName,
+    unreadCount,
+    mentionCount,
+    lastReadMessageId: state ? state.lastReadMessageId : null,
+    lastReadAt: state ? state.lastReadAt : null
+  };
+};
+
+// Move the user's read marker in a channel up to a message, or to the newest
+// message when none is given. Markers only move forward, so a stale client
+// cannot mark messages unread again.
+const markChannelRead = async (user, channelName, messageId = null) => {
+  const channel = await findAccessibleChannel(user, { name: channelName });
+
+  let message;
+  if (messageId) {
+    message = mongoose.isValidObjectId(messageId)
+      ? await Message.findOne({ _id: messageId, channel: channel.name }).select('timestamp')
+      : null;
+    if (!message) {
+      throw new ServiceError('Message not found', 404);
+    }
+  } else {
+    message = await Message.findOne(channelTimelineFilter(channel.name))
+      .sort({ timestamp: -1, _id: -1 })
+      .select('timestamp');
+  }
+
+  const lastReadAt = message ? message.timestamp : new Date();
+  const lastReadMessageId = message ? message._id : null;
+
+  let state = await ChannelReadState.findOneAndUpdate(
+    { user: user._id, channel: channel.name, lastReadAt: { $lt: lastReadAt } },
+    { lastReadAt, lastReadMessageId },
+    { new: true }
+  );
+
+  if (!state) {
+    try {
+      state = await ChannelReadState.create({ user: user._id, channel: channel.name, lastReadAt, lastReadMessageId });
+    } catch (error) {
+      // The marker already exists and is at or past this message
+      if (error.code !== 11000) {
+        throw error;
+      }
+      state = await ChannelReadState.findOne({ user: user._id, channel: channel.name });
+    }
+  }
+
+  return countsForChannel(user, channel.name, state);
+};
+
+// Unread and mention counts for every channel the user can see
+const getUnreadCounts = async (user) => {
+  const channelNames = await listVisibleChannelNames(user);
+  const states = await ChannelReadState.find({ user: user._id, channel: { $in: channelNames } });
+  const stateByChannel = new Map(states.map(state => [state.channel, state]));
+
+  return Promise.all(channelNames.map(channelName =>
+    countsForChannel(user, channelName, stateByChannel.get(channelName))
+  ));
+};
+
+module.exports = {
+  markChannelRead,
+  getUnreadCounts
+};
@@ -0,0 +1,172 @@
+const Message = require('../models/Message');
+const User = require('../models/User');
+const { AUTHOR_FIELDS } = require('./messages');
+const { listVisibleChannelNames } = require('./channels');
+const { MESSAGE_FIELDS } = require('../utils/messageFormat');
+const { ServiceError } = require('../utils/errors');
+
+const MAX_PAGE_SIZE = 50;
+const MAX_CONTEXT_SIZE = 5;
+
+// Characters of text kept on either side of the first match in a snippet
+const SNIPPET_RADIUS = 80;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Words and quoted phrases from a $text query, without negated terms
+const extractSearchTerms = (query) => {
+  const terms = [];
+  const phrasePattern = /"([^"]+)"/g;
+  let match;
+  while ((match = phrasePattern.exec(query)) !== null) {
+    terms.push(match[1]);
+  }
+
+  query.replace(phrasePattern, ' ')
+    .split(/\s+/)
+    .filter(word => word && !word.startsWith('-'))
+    .forEach(word => terms.push(word));
+
+  return [...new Set(terms.map(term => term.trim()).filter(Boolean))];
+};
+
+// Cut a window of text around the first match and report where each term
+// occurs inside it, so clients can highlight without re-parsing the query
+const buildHighlight = (text, terms) => {
+  const pattern = terms.length > 0 ? new RegExp(terms.map(escapeRegex).join('|'), 'gi') : null;
+  const matches = pattern ? [...text.matchAll(pattern)] : [];
+
+  // Stemmed matches ("trading" for "trade") have no literal occurrence to center on
+  if (matches.length === 0) {
+    return {
+      snippet: text.slice(0, SNIPPET_RADIUS * 2),
+      highlights: [],
+      truncatedStart: false,
+      truncatedEnd: text.length > SNIPPET_RADIUS * 2
+    };
+  }
+
+  const start = Math.max(0, matches[0].index - SNIPPET_RADIUS);
+  const end = Math.min(text.length, matches[0].index + matches[0][0].length + SNIPPET_RADIUS);
+
+  const highlights = matches
+    .filter(m => m.index >= start && m.index + m[0].length <= end)
+    .map(m => ({ start: m.index - start, end: m.index + m[0].length - start }));
+
+  return {
+    snippet: text.slice(start, end),
+    highlights,
+    truncatedStart: start > 0,
+    truncatedEnd: end < text.length
+  };
+};
+
+// Messages just before and after a hit in the same channel
+const loadContext = async (message, size) => {
+  if (size === 0) {
+    return { before: [], after: [] };
+  }
+
+  const [before, after] = await Promise.all([
+    Message.find({ channel: message.channel, timestamp: { $lt: message.timestamp } })
+      .sort({ timestamp: -1 })
+      .limit(size)
+      .populate('userId', AUTHOR_FIELDS)
+      .select(MESSAGE_FIELDS),
+    Message.find({ channel: message.channel, timestamp: { $gt: message.timestamp } })
+      .sort({ timestamp: 1 })
+      .limit(size)
+      .populate('userId', AUTHOR_FIELDS)
+      .select(MESSAGE_FIELDS)
+  ]);
+
+  return { before: before.reverse(), after };
+};
+
+const parseDate = (value, label) => {
+  if (!value) {
+    return null;
+  }
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new ServiceError(`Invalid ${label} date`);
+  }
+  return date;
+};
+
+// Search channel history. Only messages in active channels the viewer can see are searchable.
+// Results are ranked by text score when `q` is given, otherwise newest first.
+const searchMessages = async ({ q, channel, author, from, to, broadcast, page = 1, limit = 20, context = 2 }, viewer = null) => {
+  const query = typeof q === 'string' ? q.trim() : '';
+  const pageSize = Math.min(Math.max(parseInt(limit) || 20, 1), MAX_PAGE_SIZE);
+  const pageNumber = Math.max(parseInt(page) || 1, 1);
+  const contextSize = Math.min(Math.max(parseInt(context) || 0, 0), MAX_CONTEXT_SIZE);
+
+  // Only channels the viewer can see, so private channels stay hidden from non-members
+  let channelNames = await listVisibleChannelNames(viewer);
+  if (channel) {
+    channelNames = channelNames.filter(name => name === String(channel).toLowerCase());
+  }
+
+  // Deleted messages are never searchable
+  const filter = { channel: { $in: channelNames }, deletedAt: null };
+
+  if (query) {
+    filter.$text = { $search: query };
+  }
+
+  if (author) {
+    const authors = await User.find({
+      $or: [{ username: author }, { walletAddress: author }]
+    }).select('_id');
+    filter.userId = { $in: authors.map(user => user._id) };
+  }
+
+  const fromDate = parseDate(from, 'from');
+  const toDate = parseDate(to, 'to');
+  if (fromDate || toDate) {
+    filter.timestamp = {
+      ...(fromDate ? { $gte: fromDate } : {}),
+      ...(toDate ? { $lte: toDate } : {})
+    };
+  }
+
+  if (broadcast === 'true' || broadcast === 'false') {
+    filter.isBroadcast = broadcast === 'true';
+  }
+
+  const sort = query
+    ? { score: { $meta: 'textScore' }, timestamp: -1 }
+    : { timestamp: -1 };
+
+  const [total, messages] = await Promise.all([
+    Message.countDocuments(filter),
+    Message.find(filter, query ? { score: { $meta: 'textScore' } } : {})
+      .sort(sort)
+      .skip((pageNumber - 1) * pageSize)
+      .limit(pageSize)
+      .populate('userId', AUTHOR_FIELDS)
+  ]);
+
+  const terms = extractSearchTerms(query);
+  const results = await Promise.all(messages.map(async (message) => ({
+    message,
+    score: query ? message.get('score') : null,
+    ...buildHighlight(message.text, terms),
+    context: await loadContext(message, contextSize)
+  })));
+
+  return {
+    results,
+    total,
+    page: pageNumber,
+    limit: pageSize,
+    totalPages: Math.ceil(total / pageSize)
+  };
+};
+
+module.exports = {
+  extractSearchTerms,
+  buildHighlight,
+  searchMessages
+};
@@ -0,0 +1,114 @@
+const { extractSolanaEntities } = require('../utils/solanaEntities');
+const { StaticTokenMetadataResolver, HttpTokenMetadataResolver } = require('../utils/tokenMetadata');
+
+// Entities stored per message; anything past this stays plain text
+const MAX_ENTITIES_PER_MESSAGE = 50;
+
+// Posting never waits longer than this for token metadata
+const RESOLVE_TIMEOUT_MS = 2500;
+
+const CACHE_TTL_MS = 60 * 60 * 1000;
+const MISS_CACHE_TTL_MS = 10 * 60 * 1000;
+const MAX_CACHE_ENTRIES = 5000;
+
+// A metadata service when TOKEN_METADATA_URL is set, otherwise the built-in
+// table of well-known tokens. Call setTokenMetadataResolver to use another.
+let resolver = process.env.TOKEN_METADATA_URL
+  ? new HttpTokenMetadataResolver({ baseUrl: process.env.TOKEN_METADATA_URL })
+  : new StaticTokenMetadataResolver();
+
+// mint -> { metadata, expiresAt }; misses are cached as null metadata
+const tokenCache = new Map();
+
+const setTokenMetadataResolver = (newResolver) => {
+  resolver = newResolver;
+  tokenCache.clear();
+};
+
+const getTokenMetadataResolver = () => resolver;
+
+const cacheToken = (mint, metadata) => {
+  if (tokenCache.size >= MAX_CACHE_ENTRIES) {
+    // Maps iterate in insertion order, so this drops the oldest entry
+    tokenCache.delete(tokenCache.keys().next().value);
+  }
+  tokenCache.set(mint, {
+    metadata,
+    expiresAt: Date.now() + (metadata ? CACHE_TTL_MS : MISS_CACHE_TTL_MS)
+  });
+};
+
+const withTimeout = (promise, ms) => {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`Timed out after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+// Token metadata for the given addresses, from the cache where possible.
+// Resolver failures are logged and treated as unknown tokens.
+const resolveTokenMetadata = async (addresses) => {
+  const now = Date.now();
+  const resolved = new Map();
+  const missing = [];
+
+  for (const address of new Set(addresses)) {
+    const cached = tokenCache.get(address);
+    if (cached && cached.expiresAt > now) {
+      if (cached.metadata) {
+        resolved.set(address, cached.metadata);
+      }
+    } else {
+      missing.push(address);
+    }
+  }
+
+  if (missing.length === 0) {
+    return resolved;
+  }
+
+  let fetched;
+  try {
+    fetched = await withTimeout(resolver.resolve(missing), RESOLVE_TIMEOUT_MS);
+  } catch (error) {
+    console.error('Error resolving token metadata:', error.message);
+    return resolved;
+  }
+
+  for (const address of missing) {
+    const metadata = fetched.get(address) || null;
+    cacheToken(address, metadata);
+    if (metadata) {
+      resolved.set(address, metadata);
+    }
+  }
+  return resolved;
+};
+
+// Detect the addresses, transaction signatures and explorer links in a
+// message's text, with token metadata attached to addresses that are mints
+const resolveSolanaEntities = async (text) => {
+  const entities = extractSolanaEntities(text).slice(0, MAX_ENTITIES_PER_MESSAGE);
+  if (entities.length === 0) {
+    return [];
+  }
+
+  const addresses = entities
+    .filter(entity => entity.type === 'address' || entity.targetType === 'address')
+    .map(entity => entity.value);
+  const tokens = addresses.length > 0 ? await resolveTokenMetadata(addresses) : new Map();
+
+  return entities.map(entity => ({
+    ...entity,
+    token: tokens.get(entity.value) || null
+  }));
+};
+
+module.exports = {
+  MAX_ENTITIES_PER_MESSAGE,
+  setTokenMetadataResolver,
+  getTokenMetadataResolver,
+  resolveTokenMetadata,
+  resolveSolanaEntities
+};
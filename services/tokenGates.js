@@ -0,0 +1,244 @@
+const { EventEmitter } = require('events');
+const mongoose = require('mongoose');
+const Channel = require('../models/Channel');
+const TokenGateCheck = require('../models/TokenGateCheck');
+const { SolanaRpcChainDataProvider } = require('../utils/chainData');
+const { isValidWalletAddress } = require('../utils/solanaAuth');
+const { ServiceError } = require('../utils/errors');
+const { runExclusive } = require('./cluster');
+
+const TOKEN_GATE_TYPES = ['token', 'nft_collection'];
+
+// How long a holdings check is trusted before the chain is read again
+const CHECK_TTL_MS = parseInt(process.env.TOKEN_GATE_CHECK_TTL_MS) || 10 * 60 * 1000;
+
+const REVERIFY_INTERVAL_MS = 5 * 60 * 1000;
+const REVERIFY_BATCH_SIZE = 200;
+
+// Reads SOLANA_RPC_URL (or public mainnet) by default; call
+// setChainDataProvider to read holdings from somewhere else
+let provider = new SolanaRpcChainDataProvider({ rpcUrl: process.env.SOLANA_RPC_URL || undefined });
+
+const setChainDataProvider = (newProvider) => {
+  provider = newProvider;
+};
+
+const getChainDataProvider = () => provider;
+
+// Emits 'accessLost' (userId, channel) when a re-check finds that a user who
+// held enough no longer does
+const tokenGateEvents = new EventEmitter();
+
+const hasTokenGate = (channel) => !!channel?.tokenGate?.type;
+
+// Normalize a gating rule from a request body. null removes the gate.
+const validateTokenGate = (input) => {
+  if (input === null) {
+    return null;
+  }
+  if (!input || typeof input !== 'object') {
+    throw new ServiceError('tokenGate must be an object or null');
+  }
+
+  const { type, mint, collectionMint, minBalance = 1 } = input;
+  if (!TOKEN_GATE_TYPES.includes(type)) {
+    throw new ServiceError(`Token gate type must be one of: ${TOKEN_GATE_TYPES.join(', ')}`);
+  }
+  if (type === 'token' && !isValidWalletAddress(mint)) {
+    throw new ServiceError('mint must be a valid token mint address');
+  }
+  if (type === 'nft_collection' && !isValidWalletAddress(collectionMint)) {
+    throw new ServiceError('collectionMint must be a valid collection address');
+  }
+  if (typeof minBalance !== 'number' || !Number.isFinite(minBalance) || minBalance <= 0 ||
+      (type === 'nft_collection' && !Number.isInteger(minBalance))) {
+    throw new ServiceError('minBalance must be a positive number, and a whole number for NFT collections');
+  }
+
+  return {
+    type,
+    mint: type === 'token' ? mint : null,
+    collectionMint: type === 'nft_collection' ? collectionMint : null,
+    minBalance
+  };
+};
+
+const sameTokenGate = (a, b) => (!a && !b) || (!!a && !!b &&
+  a.type === b.type && a.mint === b.mint && a.collectionMint === b.collectionMint && a.minBalance === b.minBalance);
+
+const describeTokenGate = (gate) => (gate.type === 'token'
+  ? `at least ${gate.minBalance} of token ${gate.mint}`
+  : `at least ${gate.minBalance} NFT${gate.minBalance === 1 ? '' : 's'} from collection ${gate.collectionMint}`);
+
+const readBalance = (walletAddress, gate) => (gate.type === 'token'
+  ? provider.getTokenBalance(walletAddress, gate.mint)
+  : provider.getCollectionBalance(walletAddress, gate.collectionMint));
+
+// Read the wallet's holdings from the chain and store the result
+const verifyTokenGate = async (user, channel, previous) => {
+  const balance = await readBalance(user.walletAddress, channel.tokenGate);
+  const eligible = balance >= channel.tokenGate.minBalance;
+
+  const check = await TokenGateCheck.findOneAndUpdate(
+    { user: user._id, channel: channel._id },
+    { walletAddress: user.walletAddress, eligible, balance, checkedAt: new Date() },
+    { upsert: true, new: true }
+  );
+
+  if (previous?.eligible && !eligible) {
+    tokenGateEvents.emit('accessLost', user._id, channel);
+  }
+  return check;
+};
+
+// Concurrent checks of the same user and channel share one chain read
+const pendingChecks = new Map();
+
+// After a failed chain read the same check is not retried for a while, so an
+// RPC outage does not make every request wait for a timeout
+const FAILED_CHECK_BACKOFF_MS = 30 * 1000;
+const MAX_FAILED_CHECKS = 10000;
+const failedChecks = new Map();
+
+// The user's holdings check for a gated channel, re-read from the chain when
+// stale or when `refresh` is set. If the chain cannot be read the last known
+// result stands, and users never checked are kept out until it can be.
+const getTokenGateCheck = async (user, channel, { refresh = false } = {}) => {
+  const previous = await TokenGateCheck.findOne({ user: user._id, channel: channel._id });
+  const isFresh = previous &&
+    previous.walletAddress === user.walletAddress &&
+    previous.checkedAt.getTime() > Date.now() - CHECK_TTL_MS;
+  if (isFresh && !refresh) {
+    return previous;
+  }
+
+  const key = `${user._id}:${channel._id}`;
+  if ((failedChecks.get(key) || 0) > Date.now()) {
+    return previous;
+  }
+  if (!pendingChecks.has(key)) {
+    pendingChecks.set(key, verifyTokenGate(user, channel, previous).finally(() => pendingChecks.delete(key)));
+  }
+
+  try {
+    const check = await pendingChecks.get(key);
+    failedChecks.delete(key);
+    return check;
+  } catch (error) {
+    console.error(`Error checking token gate of #${channel.name}:`, error.message);
+    if (failedChecks.size >= MAX_FAILED_CHECKS) {
+      for (const [failedKey, until] of failedChecks) {
+        if (until <= Date.now()) {
+          failedChecks.delete(failedKey);
+        }
+      }
+    }
+    failedChecks.set(key, Date.now() + FAILED_CHECK_BACKOFF_MS);
+    return previous;
+  }
+};
+
+const meetsTokenGate = async (user, channel) => {
+  if (!hasTokenGate(channel)) {
+    return true;
+  }
+  // Bots have no wallet to hold anything
+  if (!user || user.isBot) {
+    return false;
+  }
+  const check = await getTokenGateCheck(user, channel);
+  return !!check?.eligible;
+};
+
+// IDs of the gated channels the user's stored checks passed. Listings never
+// read the chain: checks are made when the user opens a gated channel or asks
+// to verify, and kept fresh by the re-verification job.
+const listUnlockedGatedChannelIds = (user) => (user.isBot
+  ? []
+  : TokenGateCheck.find({ user: user._id, eligible: true, walletAddress: user.walletAddress }).distinct('channel'));
+
+// Users whose last check of a gated channel passed
+const listTokenGateHolderIds = (channel) =>
+  TokenGateCheck.find({ channel: channel._id, eligible: true }).distinct('user');
+
+// Drop stored checks, e.g. when a channel's gate changes or it is deleted
+const forgetTokenGateChecks = (channelId) => TokenGateCheck.deleteMany({ channel: channelId });
+
+// Where the user stands against a channel's gate, re-read from the chain
+const refreshTokenGateStatus = async (user, channelId) => {
+  const channel = mongoose.isValidObjectId(channelId) ? await Channel.findOne({ _id: channelId, isActive: true }) : null;
+  if (!channel || (channel.isPrivate && !channel.createdBy.equals(user._id) &&
+      !channel.members.some(member => member.user.equals(user._id)))) {
+    throw new ServiceError('Channel not found', 404);
+  }
+  if (!hasTokenGate(channel)) {
+    throw new ServiceError('This channel is not token-gated');
+  }
+
+  const check = await getTokenGateCheck(user, channel, { refresh: true });
+  if (!check) {
+    throw new ServiceError('Could not read wallet holdings. Please try again later.', 503);
+  }
+
+  return {
+    channelId: channel._id,
+    tokenGate: channel.tokenGate,
+    eligible: check.eligible,
+    balance: check.balance,
+    checkedAt: check.checkedAt
+  };
+};
+
+// Re-read the holdings behind passing checks that have gone stale, so users
+// who sold or transferred their tokens lose access
+const reverifyTokenGates = async () => {
+  const staleChecks = await TokenGateCheck.find({
+    eligible: true,
+    checkedAt: { $lte: new Date(Date.now() - CHECK_TTL_MS) }
+  })
+    .sort({ checkedAt: 1 })
+    .limit(REVERIFY_BATCH_SIZE)
+    .populate('user', 'walletAddress');
+
+  const channels = await Channel.find({ _id: { $in: staleChecks.map(check => check.channel) } });
+  const channelById = new Map(channels.map(channel => [String(channel._id), channel]));
+
+  // One at a time, to go easy on the RPC endpoint
+  for (const check of staleChecks) {
+    const channel = channelById.get(String(check.channel));
+    if (!check.user || !hasTokenGate(channel)) {
+      await TokenGateCheck.deleteOne({ _id: check._id });
+      continue;
+    }
+    await getTokenGateCheck(check.user, channel, { refresh: true });
+  }
+
+  return staleChecks.length;
+};
+
+const startTokenGateVerificationJob = () => {
+  const timer = setInterval(() => {
+    runExclusive('reverifyTokenGates', REVERIFY_INTERVAL_MS, () => reverifyTokenGates())
+      .catch(error => console.error('Error re-verifying token gates:', error));
+  }, REVERIFY_INTERVAL_MS);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  TOKEN_GATE_TYPES,
+  tokenGateEvents,
+  setChainDataProvider,
+  getChainDataProvider,
+  hasTokenGate,
+  validateTokenGate,
+  sameTokenGate,
+  describeTokenGate,
+  meetsTokenGate,
+  listUnlockedGatedChannelIds,
+  listTokenGateHolderIds,
+  forgetTokenGateChecks,
+  refreshTokenGateStatus,
+  reverifyTokenGates,
+  startTokenGateVerificationJob
+};
@@ -0,0 +1,235 @@
+const mongoose = require('mongoose');
+const VoiceChannel = require('../models/VoiceChannel');
+const { hasPermission } = require('../utils/permissions');
+const { PERMISSIONS } = require('../config/permissions');
+const { voiceRoom, isNamedRoom } = require('../utils/rooms');
+const { ServiceError } = require('../utils/errors');
+const { assertNotSanctioned } = require('./moderation');
+const { runExclusive, emitToOtherInstances } = require('./cluster');
+
+// WebRTC signaling messages relayed between peers
+const SIGNAL_TYPES = ['offer', 'answer', 'ice-candidate'];
+
+const PRUNE_INTERVAL_MS = 60 * 1000;
+
+// Sent between instances when a voice channel is deleted
+const VOICE_CHANNEL_CLOSED_EVENT = 'voiceChannelClosed';
+
+// Private voice channels are open to their creator, listed members and voice managers
+const canAccessVoiceChannel = async (user, voiceChannel) => {
+  if (!voiceChannel.isPrivate) {
+    return true;
+  }
+  if (voiceChannel.createdBy.equals(user._id)) {
+    return true;
+  }
+  if (voiceChannel.members.some(memberId => memberId.equals(user._id))) {
+    return true;
+  }
+  return hasPermission(user, PERMISSIONS.MANAGE_VOICE);
+};
+
+// Tell every client the current participant list of a voice channel
+const emitVoiceParticipants = async (io, voiceChannelId) => {
+  const voiceChannel = await VoiceChannel.findById(voiceChannelId)
+    .populate('participants', 'username avatar isOnline');
+  if (!voiceChannel) {
+    return;
+  }
+
+  io.emit('voiceParticipantsUpdated', {
+    voiceChannelId: voiceChannel._id,
+    participants: voiceChannel.participants,
+    participantCount: voiceChannel.participants.length,
+    maxParticipants: voiceChannel.maxParticipants
+  });
+};
+
+// Remove a socket from its voice channel. The user stays listed as a
+// participant while another of their sockets is still in the room.
+const leaveVoiceChannel = async (io, socket) => {
+  const voiceChannelId = socket.data.voiceChannelId;
+  const userId = socket.data.userId;
+  if (!voiceChannelId) {
+    return;
+  }
+
+  const room = voiceRoom(voiceChannelId);
+  socket.leave(room);
+  delete socket.data.voiceChannelId;
+
+  socket.to(room).emit('voicePeerLeft', {
+    voiceChannelId,
+    socketId: socket.id,
+    userId
+  });
+
+  const remainingSockets = await io.in(room).fetchSockets();
+  const stillConnected = remainingSockets.some(peer => String(peer.data.userId) === String(userId));
+  if (!stillConnected) {
+    await VoiceChannel.updateOne({ _id: voiceChannelId }, { $pull: { participants: userId } });
+  }
+
+  await emitVoiceParticipants(io, voiceChannelId);
+};
+
+// Add a socket to a voice channel, enforcing private access and maxParticipants.
+// Returns the channel and the peers already in the room so the client can send offers.
+const joinVoiceChannel = async (io, socket, user, voiceChannelId) => {
+  if (!mongoose.isValidObjectId(voiceChannelId)) {
+    throw new ServiceError('Voice channel not found', 404);
+  }
+
+  if (!(await hasPermission(user, PERMISSIONS.JOIN_VOICE))) {
+    throw new ServiceError('You do not have permission to join voice channels', 403);
+  }
+
+  await assertNotSanctioned(user, 'voice');
+
+  const voiceChannel = await VoiceChannel.findOne({ _id: voiceChannelId, isActive: true });
+  if (!voiceChannel) {
+    throw new ServiceError('Voice channel not found', 404);
+  }
+
+  if (!(await canAccessVoiceChannel(user, voiceChannel))) {
+    throw new ServiceError('This voice channel is private', 403);
+  }
+
+  // A socket can only be in one voice channel at a time
+  if (socket.data.voiceChannelId && socket.data.voiceChannelId !== voiceChannel._id.toString()) {
+    await leaveVoiceChannel(io, socket);
+  }
+
+  // Check capacity and add the participant in one atomic update
+  const updatedChannel = await VoiceChannel.findOneAndUpdate(
+    {
+      _id: voiceChannel._id,
+      isActive: true,
+      $or: [
+        { participants: user._id },
+        { $expr: { $lt: [{ $size: '$participants' }, '$maxParticipants'] } }
+      ]
+    },
+    { $addToSet: { participants: user._id } },
+    { new: true }
+  );
+  if (!updatedChannel) {
+    throw new ServiceError('Voice channel is full', 409);
+  }
+
+  const room = voiceRoom(voiceChannel._id);
+  const peers = (await io.in(room).fetchSockets())
+    .filter(peer => peer.id !== socket.id)
+    .map(peer => ({ socketId: peer.id, userId: peer.data.userId }));
+
+  socket.join(room);
+  socket.data.voiceChannelId = voiceChannel._id.toString();
+
+  socket.to(room).emit('voicePeerJoined', {
+    voiceChannelId: voiceChannel._id,
+    socketId: socket.id,
+    userId: user._id,
+    username: user.username,
+    avatar: user.avatar
+  });
+
+  await emitVoiceParticipants(io, voiceChannel._id);
+
+  return { voiceChannel: updatedChannel, peers };
+};
+
+// Relay an offer, answer or ICE candidate to another socket in the same voice channel
+const relayVoiceSignal = async (io, socket, signal) => {
+  const { to, type, payload } = signal || {};
+
+  if (!SIGNAL_TYPES.includes(type) || typeof to !== 'string' || !to || isNamedRoom(to)) {
+    throw new ServiceError('Invalid voice signal');
+  }
+
+  const voiceChannelId = socket.data.voiceChannelId;
+  if (!voiceChannelId) {
+    throw new ServiceError('Join a voice channel before signaling');
+  }
+
+  // `to` must name one peer: every socket is alone in the room of its own id,
+  // so any other room, or one holding several sockets, is refused
+  const targets = await io.in(to).fetchSockets();
+  const [target] = targets;
+  if (targets.length !== 1 || target.id !== to || target.data.voiceChannelId !== voiceChannelId) {
+    throw new ServiceError('Peer is not in your voice channel', 404);
+  }
+
+  io.to(target.id).emit('voiceSignal', {
+    voiceChannelId,
+    from: socket.id,
+    userId: socket.data.userId,
+    type,
+    payload
+  });
+};
+
+// Take this instance's sockets out of a voice room. Socket data can only be
+// changed on the instance that holds the socket.
+const clearLocalVoiceRoom = (io, voiceChannelId) => {
+  const namespace = io.of('/');
+  const room = voiceRoom(voiceChannelId);
+  for (const socketId of [...(namespace.adapter.rooms.get(room) || [])]) {
+    const socket = namespace.sockets.get(socketId);
+    if (socket) {
+      socket.leave(room);
+      delete socket.data.voiceChannelId;
+    }
+  }
+};
+
+// Drop everyone from a deleted voice channel, on every instance
+const closeVoiceChannel = (io, voiceChannelId) => {
+  const id = String(voiceChannelId);
+  io.to(voiceRoom(id)).emit('voiceChannelDeleted', id);
+  clearLocalVoiceRoom(io, id);
+  emitToOtherInstances(io, VOICE_CHANNEL_CLOSED_EVENT, id);
+};
+
+// Handle voice channels closed by other instances
+const listenForVoiceChannelClosures = (io) => {
+  io.on(VOICE_CHANNEL_CLOSED_EVENT, (voiceChannelId) => clearLocalVoiceRoom(io, voiceChannelId));
+};
+
+// Drop participants who no longer have a socket in the voice room on any
+// instance, e.g. after a restart or when an instance crashed
+const pruneVoiceParticipants = async (io) => {
+  const voiceChannels = await VoiceChannel.find({ 'participants.0': { $exists: true } }).select('participants');
+
+  for (const voiceChannel of voiceChannels) {
+    const sockets = await io.in(voiceRoom(voiceChannel._id)).fetchSockets();
+    const connectedIds = new Set(sockets.map(peer => String(peer.data.userId)));
+    const departed = voiceChannel.participants.filter(userId => !connectedIds.has(String(userId)));
+    if (departed.length === 0) {
+      continue;
+    }
+
+    await VoiceChannel.updateOne({ _id: voiceChannel._id }, { $pullAll: { participants: departed } });
+    await emitVoiceParticipants(io, voiceChannel._id);
+  }
+};
+
+const startVoiceParticipantPruneJob = (io) => {
+  const timer = setInterval(() => {
+    runExclusive('pruneVoiceParticipants', PRUNE_INTERVAL_MS, () => pruneVoiceParticipants(io))
+      .catch(error => console.error('Error pruning voice participants:', error));
+  }, PRUNE_INTERVAL_MS);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  canAccessVoiceChannel,
+  emitVoiceParticipants,
+  joinVoiceChannel,
+  leaveVoiceChannel,
+  relayVoiceSignal,
+  closeVoiceChannel,
+  listenForVoiceChannelClosures,
+  pruneVoiceParticipants,
+  startVoiceParticipantPruneJob
+};
@@ -0,0 +1,564 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const mongoose = require('mongoose');
+const WebhookSubscription = require('../models/WebhookSubscription');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { buildSignatureHeader } = require('../utils/webhookSignature');
+const { paginateByCursor } = require('../utils/pagination');
+const { ServiceError } = require('../utils/errors');
+
+const WEBHOOK_EVENTS = [
+  'message.created',
+  'message.deleted',
+  'channel.created',
+  'channel.deleted',
+  'user.joined',
+  'role.changed'
+];
+
+// Sent by the test endpoint only; subscriptions cannot ask for it
+const TEST_EVENT = 'webhook.test';
+
+const MAX_ATTEMPTS = 8;
+const RETRY_BASE_DELAY_MS = 30 * 1000;
+const RETRY_MAX_DELAY_MS = 60 * 60 * 1000;
+
+// A subscription is switched off after this many failed attempts in a row
+const DISABLE_AFTER_FAILURES = parseInt(process.env.WEBHOOK_DISABLE_AFTER_FAILURES) || 20;
+
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+const RESPONSE_BODY_LIMIT = 1000;
+
+// The previous secret keeps signing deliveries this long after a rotation
+const SECRET_ROTATION_GRACE_MS = 24 * 60 * 60 * 1000;
+
+// How long an instance may hold a delivery it is sending
+const DELIVERY_LOCK_MS = 60 * 1000;
+
+const DELIVERY_POLL_INTERVAL_MS = 5 * 1000;
+const DELIVERY_BATCH_SIZE = 50;
+
+const MAX_CHANNEL_FILTERS = 50;
+
+// Lets endpoints on this machine or the local network receive webhooks, e.g.
+// a LocalWebhookReceiver during development. Off in production.
+const ALLOW_PRIVATE_URLS = process.env.WEBHOOK_ALLOW_PRIVATE_URLS === 'true';
+
+// Loopback, private, link-local (including cloud metadata endpoints) and other
+// addresses that are not on the public internet. BlockList checks IPv4-mapped
+// IPv6 addresses (::ffff:127.0.0.1, ::ffff:7f00:1) against the IPv4 ranges;
+// NAT64 addresses are refused outright, as they can carry any IPv4 address.
+const blockedAddresses = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([network, prefix]) => blockedAddresses.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 127], ['64:ff9b::', 96], ['64:ff9b:1::', 48],
+  ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => blockedAddresses.addSubnet(network, prefix, 'ipv6'));
+
+const generateSecret = () => `whsec_${crypto.randomBytes(32).toString('hex')}`;
+
+// Wait before attempt n + 1 after n failures: 30s, 1m, 2m, ... capped at an hour
+const retryDelay = (attempts) =>
+  Math.min(RETRY_BASE_DELAY_MS * 2 ** (attempts - 1), RETRY_MAX_DELAY_MS);
+
+const formatSubscription = (subscription) => ({
+  id: subscription._id,
+  url: subscription.url,
+  description: subscription.description,
+  events: subscription.events,
+  channels: subscription.channels,
+  isActive: subscription.isActive,
+  consecutiveFailures: subscription.consecutiveFailures,
+  disabledAt: subscription.disabledAt,
+  disabledReason: subscription.disabledReason,
+  lastSuccessAt: subscription.lastSuccessAt,
+  lastFailureAt: subscription.lastFailureAt,
+  previousSecretExpiresAt: subscription.previousSecretExpiresAt &&
+    subscription.previousSecretExpiresAt > new Date() ? subscription.previousSecretExpiresAt : null,
+  createdBy: subscription.createdBy,
+  createdAt: subscription.createdAt,
+  updatedAt: subscription.updatedAt
+});
+
+const formatDelivery = (delivery) => ({
+  id: delivery._id,
+  subscriptionId: delivery.subscription,
+  event: delivery.event,
+  eventId: delivery.eventId,
+  status: delivery.status,
+  isTest: delivery.isTest,
+  attempts: delivery.attempts,
+  nextAttemptAt: delivery.status === 'pending' ? delivery.nextAttemptAt : null,
+  completedAt: delivery.completedAt,
+  attemptLog: delivery.attemptLog,
+  payload: delivery.payload,
+  timestamp: delivery.timestamp
+});
+
+// Channel fields included in channel event payloads
+const webhookChannel = (channel) => ({
+  id: channel._id,
+  name: channel.name,
+  description: channel.description,
+  isPrivate: !!channel.isPrivate,
+  isReadOnly: !!channel.isReadOnly,
+  createdBy: channel.createdBy?._id || channel.createdBy
+});
+
+// User fields included in user event payloads
+const webhookUser = (user) => ({
+  id: user._id,
+  username: user.username,
+  walletAddress: user.walletAddress,
+  role: user.role
+});
+
+const isBlockedAddress = (address) =>
+  blockedAddresses.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+
+// Resolve a host to the addresses a webhook may be sent to, refusing hosts
+// with any address on this machine or its network
+const resolvePublicAddresses = async (host) => {
+  let addresses;
+  try {
+    addresses = await dns.promises.lookup(host, { all: true, verbatim: true });
+  } catch {
+    throw new ServiceError(`Could not resolve ${host}`);
+  }
+  if (!ALLOW_PRIVATE_URLS && addresses.some(({ address }) => isBlockedAddress(address))) {
+    throw new ServiceError('url must point to a public address');
+  }
+  return addresses;
+};
+
+// Refuse URLs that point at internal services
+const assertPublicUrl = async (url) => {
+  await resolvePublicAddresses(new URL(url).hostname.replace(/^\[|\]$/g, ''));
+};
+
+// Used as the `lookup` of delivery requests, so they connect to the very
+// addresses that were checked rather than resolving the host a second time
+const publicLookup = (hostname, options, callback) => {
+  resolvePublicAddresses(hostname).then(
+    (addresses) => (options.all
+      ? callback(null, addresses)
+      : callback(null, addresses[0].address, addresses[0].family)),
+    callback
+  );
+};
+
+const validateUrl = async (url) => {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    throw new ServiceError('url must be a valid URL');
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    throw new ServiceError('url must use http or https');
+  }
+  await assertPublicUrl(parsed.toString());
+  return parsed.toString();
+};
+
+const validateEvents = (events) => {
+  if (!Array.isArray(events) || events.length === 0) {
+    throw new ServiceError(`events must be a non-empty list of: ${WEBHOOK_EVENTS.join(', ')}`);
+  }
+  const unknown = events.filter(event => !WEBHOOK_EVENTS.includes(event));
+  if (unknown.length > 0) {
+    throw new ServiceError(`Unknown webhook events: ${unknown.join(', ')}`);
+  }
+  return [...new Set(events)];
+};
+
+const validateChannels = (channels) => {
+  if (channels === undefined || channels === null) {
+    return [];
+  }
+  if (!Array.isArray(channels) || !channels.every(name => typeof name === 'string' && name.trim())) {
+    throw new ServiceError('channels must be a list of channel names');
+  }
+  if (channels.length > MAX_CHANNEL_FILTERS) {
+    throw new ServiceError(`A webhook can filter on at most ${MAX_CHANNEL_FILTERS} channels`);
+  }
+  return [...new Set(channels.map(name => name.trim().toLowerCase()))];
+};
+
+const validateDescription = (description) => {
+  if (description === undefined || description === null) {
+    return '';
+  }
+  if (typeof description !== 'string' || description.length > 200) {
+    throw new ServiceError('description must be text of at most 200 characters');
+  }
+  return description.trim();
+};
+
+const findSubscription = async (subscriptionId, select = '') => {
+  const subscription = mongoose.isValidObjectId(subscriptionId)
+    ? await WebhookSubscription.findById(subscriptionId).select(select)
+    : null;
+  if (!subscription) {
+    throw new ServiceError('Webhook not found', 404);
+  }
+  return subscription;
+};
+
+// Register an endpoint. The secret is only ever returned here and on rotation.
+const createWebhookSubscription = async (actor, { url, description, events, channels } = {}) => {
+  const secret = generateSecret();
+  const subscription = await WebhookSubscription.create({
+    url: await validateUrl(url),
+    description: validateDescription(description),
+    events: validateEvents(events),
+    channels: validateChannels(channels),
+    secret,
+    createdBy: actor._id
+  });
+  return { subscription, secret };
+};
+
+const listWebhookSubscriptions = () => WebhookSubscription.find().sort({ createdAt: -1 });
+
+// Change an endpoint. Re-enabling a disabled one clears its failure count.
+const updateWebhookSubscription = async (subscriptionId, { url, description, events, channels, isActive } = {}) => {
+  const subscription = await findSubscription(subscriptionId);
+  const before = formatSubscription(subscription);
+
+  if (url !== undefined) {
+    subscription.url = await validateUrl(url);
+  }
+  if (description !== undefined) {
+    subscription.description = validateDescription(description);
+  }
+  if (events !== undefined) {
+    subscription.events = validateEvents(events);
+  }
+  if (channels !== undefined) {
+    subscription.channels = validateChannels(channels);
+  }
+  if (isActive !== undefined) {
+    if (typeof isActive !== 'boolean') {
+      throw new ServiceError('isActive must be true or false');
+    }
+    if (isActive && !subscription.isActive) {
+      subscription.consecutiveFailures = 0;
+      subscription.disabledAt = null;
+      subscription.disabledReason = null;
+    }
+    if (!isActive && subscription.isActive) {
+      subscription.disabledAt = new Date();
+      subscription.disabledReason = 'Disabled by an administrator';
+    }
+    subscription.isActive = isActive;
+  }
+
+  await subscription.save();
+  return { before, subscription };
+};
+
+const deleteWebhookSubscription = async (subscriptionId) => {
+  const subscription = await findSubscription(subscriptionId);
+  await WebhookDelivery.deleteMany({ subscription: subscription._id });
+  await subscription.deleteOne();
+  return subscription;
+};
+
+// Replace the signing secret. Deliveries are signed with both secrets until
+// the grace period ends, so receivers can switch without dropping events.
+const rotateWebhookSecret = async (subscriptionId) => {
+  const subscription = await findSubscription(subscriptionId, '+secret');
+  const secret = generateSecret();
+
+  subscription.previousSecret = subscription.secret;
+  subscription.previousSecretExpiresAt = new Date(Date.now() + SECRET_ROTATION_GRACE_MS);
+  subscription.secret = secret;
+  await subscription.save();
+
+  return { subscription, secret };
+};
+
+const signingSecrets = (subscription) => [
+  subscription.secret,
+  ...(subscription.previousSecret && subscription.previousSecretExpiresAt > new Date()
+    ? [subscription.previousSecret]
+    : [])
+];
+
+// POST a body and read the start of the response. Redirects are not followed.
+const postWebhook = (url, headers, body) => new Promise((resolve, reject) => {
+  const transport = new URL(url).protocol === 'https:' ? https : http;
+  const request = transport.request(url, {
+    method: 'POST',
+    headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+    lookup: publicLookup,
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+  }, (response) => {
+    let text = '';
+    response.setEncoding('utf8');
+    response.on('data', (chunk) => {
+      text += chunk;
+      if (text.length >= RESPONSE_BODY_LIMIT) {
+        response.destroy();
+      }
+    });
+    response.on('close', () => resolve({ status: response.statusCode, body: text.slice(0, RESPONSE_BODY_LIMIT) }));
+  });
+  request.on('error', reject);
+  request.end(body);
+});
+
+// POST one delivery to its endpoint. Never throws; the outcome is returned
+// as an attempt log entry. Only 2xx responses count as delivered.
+const sendDelivery = async (delivery, subscription) => {
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const attemptedAt = new Date();
+  const attempt = { attemptedAt, responseStatus: null, responseBody: null, error: null, durationMs: null };
+
+  try {
+    // IP literals are never looked up, so they are checked here
+    await assertPublicUrl(subscription.url);
+    const response = await postWebhook(subscription.url, {
+      'Content-Type': 'application/json',
+      'User-Agent': 'SolHub-Webhooks/1.0',
+      'X-SolHub-Event': delivery.event,
+      'X-SolHub-Delivery': String(delivery._id),
+      'X-SolHub-Signature': buildSignatureHeader(signingSecrets(subscription), timestamp, body)
+    }, body);
+    attempt.responseStatus = response.status;
+    attempt.responseBody = response.body;
+    if (response.status < 200 || response.status >= 300) {
+      attempt.error = `Endpoint responded with ${response.status}`;
+    }
+  } catch (error) {
+    attempt.error = error.name === 'AbortError'
+      ? `No response within ${REQUEST_TIMEOUT_MS / 1000}s`
+      : error.message;
+  }
+
+  attempt.durationMs = Date.now() - attemptedAt.getTime();
+  return attempt;
+};
+
+// Switch a subscription off and give up on what it still had queued
+const disableSubscription = async (subscription, reason) => {
+  const now = new Date();
+  await WebhookSubscription.updateOne(
+    { _id: subscription._id, isActive: true },
+    { isActive: false, disabledAt: now, disabledReason: reason }
+  );
+  await WebhookDelivery.updateMany(
+    { subscription: subscription._id, status: 'pending' },
+    { status: 'failed', completedAt: now, lockedUntil: null }
+  );
+};
+
+// Keep the subscription's health in step with a real (non-test) attempt
+const recordAttemptOutcome = async (subscription, attempt) => {
+  if (!attempt.error) {
+    await WebhookSubscription.updateOne(
+      { _id: subscription._id },
+      { consecutiveFailures: 0, lastSuccessAt: attempt.attemptedAt }
+    );
+    return;
+  }
+
+  const updated = await WebhookSubscription.findOneAndUpdate(
+    { _id: subscription._id },
+    { $inc: { consecutiveFailures: 1 }, lastFailureAt: attempt.attemptedAt },
+    { new: true }
+  );
+  if (updated?.isActive && updated.consecutiveFailures >= DISABLE_AFTER_FAILURES) {
+    await disableSubscription(updated, `Disabled after ${updated.consecutiveFailures} failed deliveries in a row`);
+    console.warn(`Webhook ${updated._id} disabled after repeated delivery failures`);
+  }
+};
+
+// Make one attempt at a claimed delivery and schedule a retry if it failed
+const attemptDelivery = async (delivery) => {
+  const subscription = await WebhookSubscription.findById(delivery.subscription).select('+secret +previousSecret');
+  if (!subscription || !subscription.isActive) {
+    await WebhookDelivery.updateOne(
+      { _id: delivery._id },
+      { status: 'failed', completedAt: new Date(), lockedUntil: null }
+    );
+    return;
+  }
+
+  const attempt = await sendDelivery(delivery, subscription);
+  const attempts = delivery.attempts + 1;
+  const update = { $push: { attemptLog: attempt }, attempts, lockedUntil: null };
+  if (!attempt.error) {
+    Object.assign(update, { status: 'succeeded', completedAt: attempt.attemptedAt });
+  } else if (attempts >= MAX_ATTEMPTS) {
+    Object.assign(update, { status: 'failed', completedAt: attempt.attemptedAt });
+  } else {
+    update.nextAttemptAt = new Date(Date.now() + retryDelay(attempts));
+  }
+
+  await WebhookDelivery.updateOne({ _id: delivery._id }, update);
+  await recordAttemptOutcome(subscription, attempt);
+};
+
+// Take the next due delivery, so only one instance ever sends it at a time
+const claimDueDelivery = () => {
+  const now = new Date();
+  return WebhookDelivery.findOneAndUpdate(
+    {
+      status: 'pending',
+      nextAttemptAt: { $lte: now },
+      $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }]
+    },
+    { lockedUntil: new Date(now.getTime() + DELIVERY_LOCK_MS) },
+    { sort: { nextAttemptAt: 1 }, new: true }
+  );
+};
+
+let processing = false;
+
+// Send deliveries that are due, one batch at a time
+const processDueDeliveries = async () => {
+  if (processing) {
+    return 0;
+  }
+  processing = true;
+
+  let processed = 0;
+  try {
+    while (processed < DELIVERY_BATCH_SIZE) {
+      const delivery = await claimDueDelivery();
+      if (!delivery) {
+        break;
+      }
+      await attemptDelivery(delivery);
+      processed++;
+    }
+  } finally {
+    processing = false;
+  }
+  return processed;
+};
+
+// Queue an event for every active subscription that wants it. Best effort:
+// failures are logged and never reach the caller. `channel` is the channel
+// name the event belongs to, if any.
+const dispatchWebhookEvent = async (event, data, { channel = null } = {}) => {
+  try {
+    const channelFilter = channel
+      ? { $or: [{ channels: { $size: 0 } }, { channels: channel }] }
+      : { channels: { $size: 0 } };
+    const subscriptions = await WebhookSubscription.find({ isActive: true, events: event, ...channelFilter })
+      .select('_id');
+    if (subscriptions.length === 0) {
+      return [];
+    }
+
+    const eventId = `evt_${crypto.randomBytes(12).toString('hex')}`;
+    const createdAt = new Date();
+    // Stored as plain JSON so the logged payload is exactly what was sent
+    const payload = JSON.parse(JSON.stringify({ id: eventId, event, createdAt, data }));
+
+    const deliveries = await WebhookDelivery.insertMany(subscriptions.map(subscription => ({
+      subscription: subscription._id,
+      event,
+      eventId,
+      payload,
+      nextAttemptAt: createdAt,
+      timestamp: createdAt
+    })));
+
+    setImmediate(() => {
+      processDueDeliveries().catch(error => console.error('Error delivering webhooks:', error));
+    });
+    return deliveries;
+  } catch (error) {
+    console.error(`Error queueing ${event} webhooks:`, error);
+    return [];
+  }
+};
+
+// Send a sample event right away and report how the endpoint answered.
+// Works on disabled subscriptions too, and does not affect their failure count.
+const testWebhookSubscription = async (subscriptionId) => {
+  const subscription = await findSubscription(subscriptionId, '+secret +previousSecret');
+  const createdAt = new Date();
+  const eventId = `evt_${crypto.randomBytes(12).toString('hex')}`;
+
+  const delivery = await WebhookDelivery.create({
+    subscription: subscription._id,
+    event: TEST_EVENT,
+    eventId,
+    payload: JSON.parse(JSON.stringify({
+      id: eventId,
+      event: TEST_EVENT,
+      createdAt,
+      data: { webhookId: subscription._id, message: 'This is a test delivery' }
+    })),
+    isTest: true,
+    lockedUntil: new Date(createdAt.getTime() + DELIVERY_LOCK_MS),
+    timestamp: createdAt
+  });
+
+  const attempt = await sendDelivery(delivery, subscription);
+  delivery.attemptLog.push(attempt);
+  delivery.attempts = 1;
+  delivery.status = attempt.error ? 'failed' : 'succeeded';
+  delivery.completedAt = attempt.attemptedAt;
+  delivery.lockedUntil = null;
+  await delivery.save();
+
+  return delivery;
+};
+
+// A page of a subscription's delivery log, optionally filtered by status or event
+const listWebhookDeliveries = async (subscriptionId, { status, event, before, after, limit } = {}) => {
+  const subscription = await findSubscription(subscriptionId);
+  const filter = { subscription: subscription._id };
+  if (status !== undefined) {
+    if (!['pending', 'succeeded', 'failed'].includes(status)) {
+      throw new ServiceError('status must be one of: pending, succeeded, failed');
+    }
+    filter.status = status;
+  }
+  if (event !== undefined) {
+    filter.event = String(event);
+  }
+
+  const page = await paginateByCursor(WebhookDelivery, filter, { before, after, limit });
+  return { deliveries: page.items, pagination: page.pagination };
+};
+
+// Poll for retries that have come due; new events are sent as they happen
+const startWebhookDeliveryJob = () => {
+  const timer = setInterval(() => {
+    processDueDeliveries().catch(error => console.error('Error delivering webhooks:', error));
+  }, DELIVERY_POLL_INTERVAL_MS);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  formatSubscription,
+  formatDelivery,
+  webhookChannel,
+  webhookUser,
+  createWebhookSubscription,
+  listWebhookSubscriptions,
+  updateWebhookSubscription,
+  deleteWebhookSubscription,
+  rotateWebhookSecret,
+  dispatchWebhookEvent,
+  processDueDeliveries,
+  testWebhookSubscription,
+  listWebhookDeliveries,
+  startWebhookDeliveryJob
+};
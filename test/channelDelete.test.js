@@ -0,0 +1,72 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Role = require('../models/Role');
+const Channel = require('../models/Channel');
+const Message = require('../models/Message');
+const ChannelReadState = require('../models/ChannelReadState');
+const Notification = require('../models/Notification');
+const Attachment = require('../models/Attachment');
+const TokenGateCheck = require('../models/TokenGateCheck');
+const AuditLog = require('../models/AuditLog');
+const { PERMISSIONS } = require('../config/permissions');
+const { deleteChannel } = require('../services/messages');
+const { useMemoryCollection } = require('./helpers');
+
+const owner = { _id: new mongoose.Types.ObjectId(), username: 'alice', role: 'user' };
+const stranger = { _id: new mongoose.Types.ObjectId(), username: 'bob', role: 'user' };
+const moderator = { _id: new mongoose.Types.ObjectId(), username: 'mod', role: 'moderator' };
+
+// #trading, owned by alice, with two messages read by alice and bob, and #general
+const setUp = (t) => {
+  useMemoryCollection(t, Role, [
+    { name: 'user', isActive: true, permissions: [] },
+    { name: 'moderator', isActive: true, permissions: [PERMISSIONS.MANAGE_CHANNELS] }
+  ]);
+  const [trading] = useMemoryCollection(t, Channel, [
+    { name: 'trading', createdBy: owner._id, members: [], messageCount: 2 },
+    { name: 'general', createdBy: null, members: [], messageCount: 1 }
+  ]);
+  const messages = useMemoryCollection(t, Message, ['trading', 'trading', 'general'].map(channel => ({
+    channel,
+    text: 'gm',
+    userId: owner._id,
+    timestamp: new Date(),
+    deletedAt: null
+  })));
+  const readStates = useMemoryCollection(t, ChannelReadState, [owner, stranger].flatMap(user =>
+    ['trading', 'general'].map(channel => ({ user: user._id, channel, lastReadAt: new Date() }))));
+  useMemoryCollection(t, Notification);
+  useMemoryCollection(t, Attachment);
+  useMemoryCollection(t, TokenGateCheck);
+  const audit = useMemoryCollection(t, AuditLog);
+  return { trading, messages, readStates, audit };
+};
+
+describe('deleting a text channel', () => {
+  test('tombstones its messages and drops its read markers', async (t) => {
+    const { trading, messages, readStates, audit } = setUp(t);
+
+    const { channel, deletedCount } = await deleteChannel(owner, trading._id, { reason: 'Moved to #markets' });
+
+    assert.equal(channel.name, 'trading');
+    assert.equal(deletedCount, 2);
+    assert.deepEqual(messages.map(message => [message.channel, !!message.deletedAt]),
+      [['trading', true], ['trading', true], ['general', false]]);
+    assert.equal(messages[0].deleteReason, 'Moved to #markets');
+    assert.deepEqual(readStates.map(state => state.channel), ['general', 'general']);
+    assert.deepEqual(audit.map(entry => [entry.action, entry.target.name]), [['channel.delete', 'trading']]);
+    assert.equal(await Channel.findById(trading._id), null);
+  });
+
+  test('is left to the owner and channel managers', async (t) => {
+    const { trading, messages } = setUp(t);
+
+    await assert.rejects(deleteChannel(stranger, trading._id), { status: 403 });
+    assert.ok(messages.every(message => !message.deletedAt));
+
+    await deleteChannel(moderator, trading._id);
+    assert.equal(await Channel.findById(trading._id), null);
+    await assert.rejects(deleteChannel(moderator, trading._id), { status: 404 });
+  });
+});
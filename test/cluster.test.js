@@ -0,0 +1,107 @@
+const { test, describe, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const User = require('../models/User');
+const { MemoryConnectionStore } = require('../utils/connectionStore');
+const { HEARTBEAT_INTERVAL_MS, INSTANCE_TTL_MS } = require('../config/cluster');
+const {
+  INSTANCE_ID,
+  setConnectionStore,
+  trackConnection,
+  getClusterStats,
+  startClusterHeartbeat
+} = require('../services/cluster');
+const { connectSocket, reapDeadInstanceConnections, restoreInstanceConnections } = require('../services/presence');
+const { useMemoryCollection, createFakeIo, createFakeSocket } = require('./helpers');
+
+const OTHER_INSTANCE_ID = 'other-instance';
+
+const offlineUser = (username) => ({ username, status: 'online', presence: 'offline', isOnline: false, connections: [] });
+
+let store;
+
+// Connect a socket as another instance would
+const connectElsewhere = async (user, socketId) => {
+  await User.findOneAndUpdate(
+    { _id: user._id },
+    { $push: { connections: { socketId, instanceId: OTHER_INSTANCE_ID, connectedAt: new Date(), lastActiveAt: new Date() } } }
+  );
+  await store.setConnection(OTHER_INSTANCE_ID, socketId, user._id);
+};
+
+describe('running several instances', () => {
+  beforeEach(async () => {
+    store = new MemoryConnectionStore();
+    setConnectionStore(store);
+    await store.heartbeat(INSTANCE_ID, INSTANCE_TTL_MS);
+    await store.heartbeat(OTHER_INSTANCE_ID, INSTANCE_TTL_MS);
+  });
+
+  afterEach(() => {
+    mock.timers.reset();
+  });
+
+  test('counts connections across live instances', async (t) => {
+    const [alice, bob] = useMemoryCollection(t, User, [offlineUser('alice'), offlineUser('bob')]);
+    await trackConnection(createFakeSocket('alice-laptop'), alice._id);
+    await trackConnection(createFakeSocket('not-joined-yet'));
+    await connectElsewhere(alice, 'alice-phone');
+    await connectElsewhere(bob, 'bob-phone');
+
+    assert.deepEqual(await getClusterStats(), {
+      instanceId: INSTANCE_ID,
+      instances: 2,
+      connections: 4,
+      connectedUsers: 2
+    });
+  });
+
+  test('takes users offline when the instance holding their sockets stops', async (t) => {
+    const [alice, bob] = useMemoryCollection(t, User, [offlineUser('alice'), offlineUser('bob')]);
+    const io = createFakeIo();
+    await connectSocket(io, alice, createFakeSocket('alice-laptop'));
+    await connectElsewhere(alice, 'alice-phone');
+    await connectElsewhere(bob, 'bob-phone');
+    await User.updateOne({ _id: bob._id }, { presence: 'online' });
+
+    // The other instance misses its heartbeats
+    await store.heartbeat(OTHER_INSTANCE_ID, -1);
+    await reapDeadInstanceConnections(io);
+
+    assert.equal(alice.presence, 'online');
+    assert.deepEqual(alice.connections.map(connection => connection.socketId), ['alice-laptop']);
+    assert.equal(bob.presence, 'offline');
+    assert.deepEqual(bob.connections, []);
+    assert.deepEqual(await getClusterStats(), { instanceId: INSTANCE_ID, instances: 1, connections: 0, connectedUsers: 0 });
+  });
+
+  test('registers its sockets again after being taken for dead', async (t) => {
+    const [alice] = useMemoryCollection(t, User, [offlineUser('alice')]);
+    const laptop = createFakeSocket('alice-laptop', { joinedUserId: alice._id });
+    const lobby = createFakeSocket('lobby');
+    const io = createFakeIo([laptop, lobby]);
+
+    mock.timers.enable({ apis: ['setInterval'] });
+    t.mock.method(console, 'warn', () => {});
+    const timer = await startClusterHeartbeat({ onRejoin: () => restoreInstanceConnections(io) });
+    t.after(() => clearInterval(timer));
+
+    await connectSocket(io, alice, laptop);
+    await trackConnection(laptop, alice._id);
+    await trackConnection(lobby);
+
+    // Another instance reaps this one while its heartbeat is late
+    await store.heartbeat(INSTANCE_ID, -1);
+    await reapDeadInstanceConnections(io);
+    assert.equal(alice.presence, 'offline');
+    assert.equal((await getClusterStats()).connections, 0);
+
+    mock.timers.tick(HEARTBEAT_INTERVAL_MS);
+    await new Promise(resolve => setImmediate(resolve));
+    await new Promise(resolve => setImmediate(resolve));
+
+    assert.equal(alice.presence, 'online');
+    assert.deepEqual(alice.connections.map(connection => [connection.socketId, connection.instanceId]),
+      [['alice-laptop', INSTANCE_ID]]);
+    assert.deepEqual(await getClusterStats(), { instanceId: INSTANCE_ID, instances: 2, connections: 2, connectedUsers: 1 });
+  });
+});
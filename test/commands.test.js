@@ -0,0 +1,31 @@
+const { test, describe, before } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Role = require('../models/Role');
+const { ALL_PERMISSIONS } = require('../config/permissions');
+const { executeCommand, parseCommandInput } = require('../services/commands');
+const { registerBuiltinCommands } = require('../services/builtinCommands');
+const { useMemoryCollection } = require('./helpers');
+
+const admin = { _id: new mongoose.Types.ObjectId(), username: 'admin', role: 'admin' };
+
+describe('chat commands', () => {
+  before(() => registerBuiltinCommands());
+
+  test('that act on a channel are refused without one', async (t) => {
+    useMemoryCollection(t, Role, [{ name: 'admin', isActive: true, permissions: ALL_PERMISSIONS }]);
+
+    for (const text of ['/clear', '/topic Markets only']) {
+      await assert.rejects(executeCommand(parseCommandInput(text), { user: admin, channel: null }),
+        { status: 400, message: `${text.split(' ')[0]} must be sent in a channel` });
+    }
+  });
+
+  test('that need no channel still run without one', async (t) => {
+    useMemoryCollection(t, Role, [{ name: 'admin', isActive: true, permissions: ALL_PERMISSIONS }]);
+
+    const result = await executeCommand(parseCommandInput('/help clear'), { user: admin, channel: null });
+
+    assert.equal(result.text, '/clear [reason] - Delete every message in this channel');
+  });
+});
@@ -0,0 +1,43 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const User = require('../models/User');
+const Role = require('../models/Role');
+const Sanction = require('../models/Sanction');
+const { parseDuration } = require('../utils/duration');
+const { issueSanction } = require('../services/moderation');
+const { useMemoryCollection, createFakeIo } = require('./helpers');
+
+describe('durations', () => {
+  test('parse units into milliseconds', () => {
+    assert.equal(parseDuration('30s'), 30 * 1000);
+    assert.equal(parseDuration(' 2H '), 2 * 60 * 60 * 1000);
+    assert.equal(parseDuration('7d'), 7 * 24 * 60 * 60 * 1000);
+    assert.equal(parseDuration(1500), 1500);
+  });
+
+  test('refuse anything else, including durations no date can hold', () => {
+    for (const value of ['0m', '-5m', '10y', '', null, {}, Infinity, '9999999999w', 1e300]) {
+      assert.equal(parseDuration(value), null, String(value));
+    }
+  });
+
+  test('over the limit are refused when sanctioning', async (t) => {
+    const [moderator, target] = useMemoryCollection(t, User, [
+      { username: 'mod', walletAddress: 'wallet-mod', role: 'moderator' },
+      { username: 'alice', walletAddress: 'wallet-alice', role: 'user' }
+    ]);
+    useMemoryCollection(t, Role, [
+      { name: 'moderator', isActive: true, priority: 50, permissions: [] },
+      { name: 'user', isActive: true, priority: 10, permissions: [] }
+    ]);
+    const sanctions = useMemoryCollection(t, Sanction);
+
+    for (const duration of ['9999999999w', '400d']) {
+      await assert.rejects(
+        issueSanction(createFakeIo(), moderator, { userId: target._id, type: 'mute', duration }),
+        { status: 400, message: 'Duration must be like "30s", "10m", "2h" or "7d", up to a year' }
+      );
+    }
+    assert.equal(sanctions.length, 0);
+  });
+});
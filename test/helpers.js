@@ -0,0 +1,204 @@
+const mongoose = require('mongoose');
+const { Query } = require('mingo');
+const { update } = require('mingo/updater');
+
+// Apply an update the way Mongoose sends it: top-level fields are $set.
+// Fields go one at a time, as mingo refuses two changes to one array in a
+// single update where MongoDB allows them.
+const applyUpdate = (doc, changes, filter, arrayFilters, inserted = false) => {
+  for (const [key, value] of Object.entries(changes)) {
+    if (key === '$setOnInsert' && !inserted) {
+      continue;
+    }
+    const [operator, fields] = key.startsWith('$') ? [key, value] : ['$set', { [key]: value }];
+    for (const [path, fieldValue] of Object.entries(fields)) {
+      // The filter only locates positional `$` paths; earlier fields may already have made it stale
+      update(doc, { [operator === '$setOnInsert' ? '$set' : operator]: { [path]: fieldValue } },
+        arrayFilters, path.includes('.$.') || path.endsWith('.$') ? filter : undefined, { cloneMode: 'none' });
+    }
+  }
+};
+
+// The plain field values of a filter, which an upsert copies into the new document
+const equalityFields = (filter) => Object.fromEntries(Object.entries(filter)
+  .filter(([key, value]) => !key.startsWith('$') && !(value && typeof value === 'object' && !(value instanceof mongoose.Types.ObjectId) &&
+    Object.keys(value).some(field => field.startsWith('$')))));
+
+// Queries hand out copies, as documents read from the database would be
+const copy = (value) => {
+  if (Array.isArray(value)) {
+    return value.map(copy);
+  }
+  if (value instanceof Date) {
+    return new Date(value);
+  }
+  if (value && value.constructor === Object) {
+    return Object.fromEntries(Object.entries(value).map(([key, field]) => [key, copy(field)]));
+  }
+  return value;
+};
+
+// A stand-in for a Mongoose query: chainable, and resolved when awaited
+class MemoryQuery {
+  constructor(run) {
+    this.run = run;
+    this.sortSpec = null;
+    this.skipCount = 0;
+    this.limitCount = null;
+  }
+
+  select() {
+    return this;
+  }
+
+  populate() {
+    return this;
+  }
+
+  lean() {
+    return this;
+  }
+
+  sort(spec) {
+    this.sortSpec = spec;
+    return this;
+  }
+
+  skip(count) {
+    this.skipCount = count;
+    return this;
+  }
+
+  limit(count) {
+    this.limitCount = count;
+    return this;
+  }
+
+  distinct(field) {
+    return new MemoryQuery(async () => {
+      const values = [].concat(await this.exec()).map(doc => doc[field]);
+      return values.filter((value, index) => values.findIndex(other => String(other) === String(value)) === index);
+    });
+  }
+
+  async exec() {
+    let result = await this.run({ sort: this.sortSpec });
+    if (Array.isArray(result)) {
+      result = result.slice(this.skipCount, this.limitCount ? this.skipCount + this.limitCount : undefined);
+    }
+    return copy(result);
+  }
+
+  then(resolve, reject) {
+    return this.exec().then(resolve, reject);
+  }
+}
+
+// Back a Mongoose model with an in-memory collection for one test, with
+// MongoDB query and update semantics from mingo. Returns the documents, which
+// tests can seed and inspect.
+const useMemoryCollection = (t, Model, documents = []) => {
+  const collection = documents.map(doc => ({ _id: new mongoose.Types.ObjectId(), ...doc }));
+
+  const find = (filter = {}, { sort } = {}) => {
+    const cursor = new Query(filter).find(collection);
+    return sort ? cursor.sort(sort).all() : cursor.all();
+  };
+
+  const upsert = (filter, changes, options) => {
+    const doc = { _id: new mongoose.Types.ObjectId(), ...equalityFields(filter) };
+    collection.push(doc);
+    applyUpdate(doc, changes, filter, options.arrayFilters, true);
+    return doc;
+  };
+
+  const findOneAndUpdate = (filter, changes, options = {}) => {
+    const [doc] = find(filter, options);
+    if (!doc) {
+      const inserted = options.upsert ? upsert(filter, changes, options) : null;
+      return options.new ? inserted : null;
+    }
+    const before = copy(doc);
+    applyUpdate(doc, changes, filter, options.arrayFilters);
+    return options.new ? doc : before;
+  };
+
+  const updateDocuments = (docs, filter, changes, options = {}) => {
+    if (docs.length === 0 && options.upsert) {
+      upsert(filter, changes, options);
+      return { matchedCount: 0, modifiedCount: 0, upsertedCount: 1 };
+    }
+    for (const doc of docs) {
+      applyUpdate(doc, changes, filter);
+    }
+    return { matchedCount: docs.length, modifiedCount: docs.length, upsertedCount: 0 };
+  };
+
+  // New documents get the schema's defaults, as they would when saved
+  const insert = (fields) => {
+    const doc = new Model(fields).toObject();
+    collection.push(doc);
+    return doc;
+  };
+
+  t.mock.method(Model, 'find', (filter) => new MemoryQuery(options => find(filter, options)));
+  t.mock.method(Model, 'findOne', (filter) => new MemoryQuery(options => find(filter, options)[0] || null));
+  t.mock.method(Model, 'findById', (id) => new MemoryQuery(() => find({ _id: id })[0] || null));
+  t.mock.method(Model, 'findOneAndUpdate', (filter, changes, options) =>
+    new MemoryQuery(async () => findOneAndUpdate(filter, changes, options)));
+  t.mock.method(Model, 'findByIdAndUpdate', (id, changes, options) =>
+    new MemoryQuery(async () => findOneAndUpdate({ _id: id }, changes, options)));
+  t.mock.method(Model, 'updateOne', (filter, changes, options) =>
+    new MemoryQuery(async () => updateDocuments(find(filter).slice(0, 1), filter, changes, options)));
+  t.mock.method(Model, 'updateMany', (filter, changes, options) =>
+    new MemoryQuery(async () => updateDocuments(find(filter), filter, changes, options)));
+  t.mock.method(Model, 'deleteOne', (filter) => new MemoryQuery(async () => {
+    const [doc] = find(filter);
+    if (doc) {
+      collection.splice(collection.indexOf(doc), 1);
+    }
+    return { deletedCount: doc ? 1 : 0 };
+  }));
+  t.mock.method(Model, 'deleteMany', (filter) => new MemoryQuery(async () => {
+    const docs = find(filter);
+    for (const doc of docs) {
+      collection.splice(collection.indexOf(doc), 1);
+    }
+    return { deletedCount: docs.length };
+  }));
+  t.mock.method(Model, 'create', async (fields) => copy(insert(fields)));
+  t.mock.method(Model, 'insertMany', async (docs) => copy(docs.map(insert)));
+
+  return collection;
+};
+
+// A Socket.IO server stand-in that records what was emitted. `sockets` are
+// this instance's connected sockets.
+const createFakeIo = (sockets = []) => {
+  const emitted = [];
+  const broadcast = (rooms) => ({
+    emit: (event, payload) => emitted.push({ rooms, event, payload })
+  });
+  return {
+    emitted,
+    emit: (event, payload) => emitted.push({ rooms: null, event, payload }),
+    to: rooms => broadcast([].concat(rooms)),
+    in: room => ({ fetchSockets: async () => sockets.filter(socket => socket.rooms.has(room)) }),
+    of: () => ({ sockets: new Map(sockets.map(socket => [socket.id, socket])) })
+  };
+};
+
+// A connected socket as the socket services see it. Like a real socket, it
+// is in the room of its own id.
+const createFakeSocket = (id, data = {}, rooms = []) => ({
+  id,
+  rooms: new Set([id, ...rooms]),
+  handshake: { issued: Date.now() },
+  data
+});
+
+module.exports = {
+  useMemoryCollection,
+  createFakeIo,
+  createFakeSocket
+};
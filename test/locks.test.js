@@ -0,0 +1,55 @@
+const { test, describe, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { MemoryConnectionStore } = require('../utils/connectionStore');
+const { setConnectionStore, withLock } = require('../services/cluster');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('cluster-wide locks', () => {
+  let store;
+
+  beforeEach(() => {
+    store = new MemoryConnectionStore();
+    setConnectionStore(store);
+  });
+
+  test('run holders one at a time', async () => {
+    const order = [];
+    await Promise.all(['first', 'second'].map(name => withLock('blob:abc', async () => {
+      order.push(`${name} start`);
+      await sleep(20);
+      order.push(`${name} end`);
+    })));
+
+    assert.deepEqual(order, ['first start', 'first end', 'second start', 'second end']);
+    assert.ok(await store.acquireLock('mutex:blob:abc', 1000));
+  });
+
+  test('are only released by their holder', async () => {
+    const stale = await store.acquireLock('mutex:blob:abc', 1);
+    await sleep(5);
+    const current = await store.acquireLock('mutex:blob:abc', 1000);
+    assert.ok(current);
+
+    await store.releaseLock('mutex:blob:abc', stale);
+    assert.equal(await store.acquireLock('mutex:blob:abc', 1000), null);
+
+    await store.releaseLock('mutex:blob:abc', current);
+    assert.ok(await store.acquireLock('mutex:blob:abc', 1000));
+  });
+
+  test('outliving the lock does not release the next holder', async () => {
+    let secondHolds = false;
+    const slow = withLock('blob:abc', () => sleep(40), { ttlMs: 10 });
+    await sleep(15);
+    const second = withLock('blob:abc', async () => {
+      secondHolds = true;
+      await sleep(60);
+    });
+
+    await slow;
+    assert.equal(secondHolds, true);
+    assert.equal(await store.acquireLock('mutex:blob:abc', 1000), null);
+    await second;
+  });
+});
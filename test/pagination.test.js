@@ -0,0 +1,47 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const Message = require('../models/Message');
+const { paginateByCursor } = require('../utils/pagination');
+const { useMemoryCollection } = require('./helpers');
+
+// Ten messages in #general, a minute apart, oldest first
+const history = () => Array.from({ length: 10 }, (_, index) => ({
+  channel: 'general',
+  text: `message ${index}`,
+  timestamp: new Date(Date.UTC(2026, 0, 1, 12, index))
+}));
+
+const texts = (page) => page.items.map(message => message.text);
+
+describe('cursor pagination', () => {
+  test('pages back from the newest messages with cursors', async (t) => {
+    useMemoryCollection(t, Message, history());
+
+    const newest = await paginateByCursor(Message, { channel: 'general' }, { limit: 4 });
+    assert.deepEqual(texts(newest), ['message 6', 'message 7', 'message 8', 'message 9']);
+    assert.equal(newest.pagination.hasMoreBefore, true);
+    assert.equal(newest.pagination.hasMoreAfter, false);
+
+    const older = await paginateByCursor(Message, { channel: 'general' }, { limit: 4, before: newest.pagination.prevCursor });
+    assert.deepEqual(texts(older), ['message 2', 'message 3', 'message 4', 'message 5']);
+
+    const newer = await paginateByCursor(Message, { channel: 'general' }, { limit: 4, after: older.pagination.nextCursor });
+    assert.deepEqual(texts(newer), texts(newest));
+  });
+
+  test('still accepts skip from clients that page by offset', async (t) => {
+    useMemoryCollection(t, Message, history());
+
+    const first = await paginateByCursor(Message, { channel: 'general' }, { limit: 4, skip: '0' });
+    assert.deepEqual(texts(first), ['message 6', 'message 7', 'message 8', 'message 9']);
+
+    const second = await paginateByCursor(Message, { channel: 'general' }, { limit: 4, skip: '4' });
+    assert.deepEqual(texts(second), ['message 2', 'message 3', 'message 4', 'message 5']);
+    assert.equal(second.pagination.hasMoreAfter, true);
+
+    // A cursor takes precedence
+    const fromCursor = await paginateByCursor(Message, { channel: 'general' },
+      { limit: 4, skip: '4', before: first.pagination.prevCursor });
+    assert.deepEqual(texts(fromCursor), texts(second));
+  });
+});
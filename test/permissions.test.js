@@ -0,0 +1,34 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const Role = require('../models/Role');
+const { DEFAULT_ROLES, PERMISSIONS } = require('../config/permissions');
+const { seedDefaultRoles } = require('../utils/permissions');
+const { useMemoryCollection } = require('./helpers');
+
+describe('default roles', () => {
+  test('are created when missing', async (t) => {
+    t.mock.method(console, 'log', () => {});
+    const roles = useMemoryCollection(t, Role);
+
+    await seedDefaultRoles();
+
+    assert.deepEqual(roles.map(role => role.name), DEFAULT_ROLES.map(role => role.name));
+    assert.ok(roles.every(role => role.isSystem));
+  });
+
+  test('keep the permissions an admin removed', async (t) => {
+    t.mock.method(console, 'log', () => {});
+    const roles = useMemoryCollection(t, Role);
+    await seedDefaultRoles();
+
+    const moderator = roles.find(role => role.name === 'moderator');
+    moderator.permissions = moderator.permissions.filter(permission => permission !== PERMISSIONS.BROADCAST);
+    moderator.description = 'Keeps the peace';
+
+    await seedDefaultRoles();
+
+    assert.equal(roles.length, DEFAULT_ROLES.length);
+    assert.ok(!moderator.permissions.includes(PERMISSIONS.BROADCAST));
+    assert.equal(moderator.description, 'Keeps the peace');
+  });
+});
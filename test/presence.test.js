@@ -0,0 +1,67 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const User = require('../models/User');
+const { connectSocket, disconnectSocket, recordActivity, setPresence } = require('../services/presence');
+const { useMemoryCollection, createFakeIo, createFakeSocket } = require('./helpers');
+
+const offlineUser = { username: 'alice', status: 'online', presence: 'offline', isOnline: false, connections: [] };
+
+// What other users were told, in order
+const announced = (io) => io.emitted
+  .filter(({ event }) => event === 'presenceUpdated')
+  .map(({ payload }) => payload.presence);
+
+describe('multi-device presence', () => {
+  test('stays online until the last device disconnects', async (t) => {
+    const [user] = useMemoryCollection(t, User, [offlineUser]);
+    const io = createFakeIo();
+    const laptop = createFakeSocket('laptop');
+    const phone = createFakeSocket('phone');
+
+    await connectSocket(io, user, laptop);
+    await connectSocket(io, user, phone);
+    await connectSocket(io, user, phone);
+    assert.equal(user.connections.length, 2);
+    assert.equal(user.presence, 'online');
+
+    await disconnectSocket(io, user._id, laptop.id);
+    assert.equal(user.presence, 'online');
+
+    await disconnectSocket(io, user._id, phone.id);
+    assert.equal(user.presence, 'offline');
+    assert.equal(user.isOnline, false);
+    assert.deepEqual(announced(io), ['online', 'offline']);
+  });
+
+  test('turns away once every device is idle', async (t) => {
+    const [user] = useMemoryCollection(t, User, [offlineUser]);
+    const io = createFakeIo();
+    const laptop = createFakeSocket('laptop');
+    const phone = createFakeSocket('phone');
+    await connectSocket(io, user, laptop);
+    await connectSocket(io, user, phone);
+
+    await recordActivity(io, user._id, laptop, { idle: true });
+    assert.equal(user.presence, 'online');
+
+    await recordActivity(io, user._id, phone, { idle: true });
+    assert.equal(user.presence, 'away');
+    assert.deepEqual(user.connections.map(connection => connection.isIdle), [true, true]);
+  });
+
+  test('shows the picked status, and invisible users as offline', async (t) => {
+    const [user] = useMemoryCollection(t, User, [offlineUser]);
+    const io = createFakeIo();
+    await connectSocket(io, user, createFakeSocket('laptop'));
+
+    const own = await setPresence(io, user, { status: 'dnd', customStatus: 'In a meeting' });
+    assert.equal(own.presence, 'dnd');
+    assert.equal(own.customStatus.text, 'In a meeting');
+
+    await setPresence(io, user, { status: 'invisible' });
+    assert.equal(user.presence, 'offline');
+    assert.deepEqual(announced(io), ['online', 'dnd', 'offline']);
+
+    await assert.rejects(setPresence(io, user, { status: 'busy' }), { status: 400 });
+  });
+});
@@ -0,0 +1,47 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Role = require('../models/Role');
+const Channel = require('../models/Channel');
+const Message = require('../models/Message');
+const Sanction = require('../models/Sanction');
+const { PERMISSIONS } = require('../config/permissions');
+const { addReaction } = require('../services/messages');
+const { useMemoryCollection } = require('./helpers');
+
+const user = { _id: new mongoose.Types.ObjectId(), walletAddress: 'wallet-alice', role: 'user' };
+
+// A message in #general and one in #trading, and a mute in #trading only
+const setUp = (t) => {
+  useMemoryCollection(t, Role, [{ name: 'user', isActive: true, permissions: [PERMISSIONS.ADD_REACTIONS] }]);
+  useMemoryCollection(t, Channel);
+  const messages = useMemoryCollection(t, Message, ['general', 'trading'].map(channel => ({
+    channel,
+    text: 'gm',
+    userId: new mongoose.Types.ObjectId(),
+    timestamp: new Date(),
+    reactions: []
+  })));
+  useMemoryCollection(t, Sanction, [{
+    type: 'mute',
+    user: user._id,
+    walletAddress: user.walletAddress,
+    channel: 'trading',
+    isActive: true,
+    expiresAt: null
+  }]);
+  return messages;
+};
+
+describe('reactions', () => {
+  test('are refused in the channel a user is muted in', async (t) => {
+    const [general, trading] = setUp(t);
+
+    await assert.rejects(addReaction(user, trading._id, '🔥'),
+      { status: 403, message: 'You cannot react to messages in #trading' });
+    assert.deepEqual(trading.reactions, []);
+
+    await addReaction(user, general._id, '🔥');
+    assert.deepEqual(general.reactions.map(reaction => [reaction.emoji, reaction.count]), [['🔥', 1]]);
+  });
+});
@@ -0,0 +1,101 @@
+const { test, describe, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const TokenGateCheck = require('../models/TokenGateCheck');
+const { StaticChainDataProvider } = require('../utils/chainData');
+const {
+  tokenGateEvents,
+  setChainDataProvider,
+  meetsTokenGate,
+  listUnlockedGatedChannelIds,
+  listTokenGateHolderIds
+} = require('../services/tokenGates');
+const { useMemoryCollection } = require('./helpers');
+
+const MINT = 'So11111111111111111111111111111111111111112';
+
+const user = () => ({ _id: new mongoose.Types.ObjectId(), walletAddress: `wallet-${new mongoose.Types.ObjectId()}` });
+
+const gatedChannel = (minBalance = 100) => ({
+  _id: new mongoose.Types.ObjectId(),
+  name: 'holders',
+  tokenGate: { type: 'token', mint: MINT, collectionMint: null, minBalance }
+});
+
+describe('token-gated channels', () => {
+  let chain;
+
+  beforeEach(() => {
+    chain = new StaticChainDataProvider();
+    setChainDataProvider(chain);
+  });
+
+  test('let holders in and keep everyone else out', async (t) => {
+    const checks = useMemoryCollection(t, TokenGateCheck);
+    const holder = user();
+    const outsider = user();
+    const channel = gatedChannel();
+    chain.setTokenBalance(holder.walletAddress, MINT, 150);
+    chain.setTokenBalance(outsider.walletAddress, MINT, 99);
+
+    assert.equal(await meetsTokenGate(holder, channel), true);
+    assert.equal(await meetsTokenGate(outsider, channel), false);
+
+    assert.equal(checks.length, 2);
+    assert.deepEqual((await listTokenGateHolderIds(channel)).map(String), [String(holder._id)]);
+    assert.deepEqual((await listUnlockedGatedChannelIds(holder)).map(String), [String(channel._id)]);
+    assert.deepEqual(await listUnlockedGatedChannelIds(outsider), []);
+  });
+
+  test('take access away once the tokens are gone', async (t) => {
+    const checks = useMemoryCollection(t, TokenGateCheck);
+    const seller = user();
+    const channel = gatedChannel();
+    const lost = t.mock.fn();
+    tokenGateEvents.on('accessLost', lost);
+    t.after(() => tokenGateEvents.off('accessLost', lost));
+
+    chain.setTokenBalance(seller.walletAddress, MINT, 100);
+    assert.equal(await meetsTokenGate(seller, channel), true);
+
+    // The stored check answers until it goes stale
+    chain.setTokenBalance(seller.walletAddress, MINT, 0);
+    assert.equal(await meetsTokenGate(seller, channel), true);
+
+    checks[0].checkedAt = new Date(0);
+    assert.equal(await meetsTokenGate(seller, channel), false);
+    assert.equal(lost.mock.callCount(), 1);
+    assert.deepEqual(lost.mock.calls[0].arguments, [seller._id, channel]);
+    assert.deepEqual(await listUnlockedGatedChannelIds(seller), []);
+  });
+
+  test('keep the last result while the chain cannot be read', async (t) => {
+    const checks = useMemoryCollection(t, TokenGateCheck);
+    const holder = user();
+    const newcomer = user();
+    const channel = gatedChannel();
+    chain.setTokenBalance(holder.walletAddress, MINT, 100);
+    assert.equal(await meetsTokenGate(holder, channel), true);
+
+    const outage = t.mock.method(chain, 'getTokenBalance', async () => {
+      throw new Error('RPC unavailable');
+    });
+    t.mock.method(console, 'error', () => {});
+    checks[0].checkedAt = new Date(0);
+
+    assert.equal(await meetsTokenGate(holder, channel), true);
+    assert.equal(await meetsTokenGate(newcomer, channel), false);
+
+    // A failed read is not retried straight away
+    assert.equal(await meetsTokenGate(holder, channel), true);
+    assert.equal(outage.mock.callCount(), 2);
+  });
+
+  test('never let bots in', async (t) => {
+    useMemoryCollection(t, TokenGateCheck);
+    const bot = { ...user(), isBot: true };
+
+    assert.equal(await meetsTokenGate(bot, gatedChannel(0)), false);
+    assert.deepEqual(await listUnlockedGatedChannelIds(bot), []);
+  });
+});
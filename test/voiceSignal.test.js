@@ -0,0 +1,43 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { relayVoiceSignal } = require('../services/voice');
+const { voiceRoom, userRoom } = require('../utils/rooms');
+const { createFakeIo, createFakeSocket } = require('./helpers');
+
+const VOICE_CHANNEL_ID = 'voice-1';
+
+// Alice and Bob in one voice channel, Carol in another. Bob's socket is also the only one in the lobby room.
+const setUp = () => {
+  const inVoice = (id, userId, voiceChannelId = VOICE_CHANNEL_ID, rooms = []) =>
+    createFakeSocket(id, { userId, voiceChannelId }, [voiceRoom(voiceChannelId), userRoom(userId), ...rooms]);
+  const alice = inVoice('alice-socket', 'alice');
+  const bob = inVoice('bob-socket', 'bob', VOICE_CHANNEL_ID, ['lobby']);
+  const carol = inVoice('carol-socket', 'carol', 'voice-2');
+  return { io: createFakeIo([alice, bob, carol]), alice, bob };
+};
+
+const signal = (to) => ({ to, type: 'offer', payload: { sdp: 'v=0' } });
+
+describe('voice signals', () => {
+  test('reach the peer they are addressed to', async () => {
+    const { io, alice } = setUp();
+
+    await relayVoiceSignal(io, alice, signal('bob-socket'));
+
+    assert.deepEqual(io.emitted.map(({ rooms, event, payload }) => [rooms, event, payload.from]),
+      [[['bob-socket'], 'voiceSignal', 'alice-socket']]);
+  });
+
+  test('are refused unless addressed to a single socket', async () => {
+    const { io, alice } = setUp();
+
+    for (const to of [voiceRoom(VOICE_CHANNEL_ID), userRoom('bob'), 'channel:general', 'thread:abc', '', 42]) {
+      await assert.rejects(relayVoiceSignal(io, alice, signal(to)), { status: 400 }, String(to));
+    }
+    // A room that happens to hold just the peer is still not the peer
+    await assert.rejects(relayVoiceSignal(io, alice, signal('lobby')), { status: 404 });
+    await assert.rejects(relayVoiceSignal(io, alice, signal('carol-socket')), { status: 404 });
+    await assert.rejects(relayVoiceSignal(io, alice, signal('nobody')), { status: 404 });
+    assert.deepEqual(io.emitted, []);
+  });
+});
@@ -0,0 +1,135 @@
+// The receiver listens on 127.0.0.1, which webhooks may only reach when
+// private targets are allowed
+process.env.WEBHOOK_ALLOW_PRIVATE_URLS = 'true';
+
+const { test, describe, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const WebhookSubscription = require('../models/WebhookSubscription');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { LocalWebhookReceiver } = require('../utils/webhookReceiver');
+const { buildSignatureHeader, verifyWebhookSignature } = require('../utils/webhookSignature');
+const { processDueDeliveries } = require('../services/webhooks');
+const { useMemoryCollection } = require('./helpers');
+
+const SECRET = 'whsec_current';
+const PREVIOUS_SECRET = 'whsec_previous';
+
+describe('webhook signatures', () => {
+  const body = JSON.stringify({ event: 'message.created' });
+  const now = () => Math.floor(Date.now() / 1000);
+
+  test('verify against the secret that signed them', () => {
+    const header = buildSignatureHeader([SECRET], now(), body);
+
+    assert.equal(verifyWebhookSignature(SECRET, header, body), true);
+    assert.equal(verifyWebhookSignature('whsec_other', header, body), false);
+    assert.equal(verifyWebhookSignature(SECRET, header, `${body} `), false);
+  });
+
+  test('carry both secrets while a rotation is in its grace period', () => {
+    const header = buildSignatureHeader([SECRET, PREVIOUS_SECRET], now(), body);
+
+    assert.equal(verifyWebhookSignature(SECRET, header, body), true);
+    assert.equal(verifyWebhookSignature(PREVIOUS_SECRET, header, body), true);
+  });
+
+  test('are refused once they are too old', () => {
+    const header = buildSignatureHeader([SECRET], now() - 10 * 60, body);
+
+    assert.equal(verifyWebhookSignature(SECRET, header, body), false);
+    assert.equal(verifyWebhookSignature(SECRET, header, body, { toleranceSeconds: 15 * 60 }), true);
+  });
+});
+
+describe('webhook delivery', () => {
+  const receiver = new LocalWebhookReceiver({ secret: SECRET });
+
+  before(() => receiver.start());
+  after(() => receiver.stop());
+
+  beforeEach(() => {
+    receiver.clear();
+    receiver.responseStatus = 200;
+  });
+
+  // A subscription to the receiver with one delivery due
+  const setUp = (t, { attempts = 0, isActive = true } = {}) => {
+    const [subscription] = useMemoryCollection(t, WebhookSubscription, [{
+      url: receiver.url,
+      secret: SECRET,
+      events: ['message.created'],
+      channels: [],
+      isActive,
+      consecutiveFailures: 0
+    }]);
+    const [delivery] = useMemoryCollection(t, WebhookDelivery, [{
+      subscription: subscription._id,
+      event: 'message.created',
+      payload: { id: 'evt_1', event: 'message.created', data: { text: 'gm' } },
+      status: 'pending',
+      attempts,
+      attemptLog: [],
+      nextAttemptAt: new Date(Date.now() - 1000),
+      lockedUntil: null
+    }]);
+    return { subscription, delivery };
+  };
+
+  test('posts signed payloads to the endpoint', async (t) => {
+    const { subscription, delivery } = setUp(t);
+
+    assert.equal(await processDueDeliveries(), 1);
+
+    const [received] = receiver.received('message.created');
+    assert.equal(received.deliveryId, String(delivery._id));
+    assert.equal(received.signatureValid, true);
+    assert.deepEqual(received.payload, delivery.payload);
+
+    assert.equal(delivery.status, 'succeeded');
+    assert.equal(delivery.attempts, 1);
+    assert.equal(delivery.attemptLog[0].responseStatus, 200);
+    assert.ok(subscription.lastSuccessAt);
+    assert.equal(await processDueDeliveries(), 0);
+  });
+
+  test('retries with backoff when the endpoint fails', async (t) => {
+    receiver.responseStatus = 500;
+    const { subscription, delivery } = setUp(t, { attempts: 2 });
+
+    const startedAt = Date.now();
+    await processDueDeliveries();
+
+    assert.equal(delivery.status, 'pending');
+    assert.equal(delivery.attempts, 3);
+    assert.equal(delivery.attemptLog[0].error, 'Endpoint responded with 500');
+    assert.equal(delivery.lockedUntil, null);
+    // Third failure: 30s doubled twice
+    const delayMs = delivery.nextAttemptAt.getTime() - startedAt;
+    assert.ok(delayMs >= 2 * 60 * 1000 && delayMs < 2 * 60 * 1000 + 5000, `retry in ${delayMs}ms`);
+    assert.equal(subscription.consecutiveFailures, 1);
+
+    // Not due again until then
+    assert.equal(await processDueDeliveries(), 0);
+    assert.equal(receiver.received().length, 1);
+  });
+
+  test('gives up after the last attempt', async (t) => {
+    receiver.responseStatus = 503;
+    const { delivery } = setUp(t, { attempts: 7 });
+
+    await processDueDeliveries();
+
+    assert.equal(delivery.status, 'failed');
+    assert.equal(delivery.attempts, 8);
+    assert.ok(delivery.completedAt);
+  });
+
+  test('fails deliveries of disabled subscriptions without sending them', async (t) => {
+    const { delivery } = setUp(t, { isActive: false });
+
+    await processDueDeliveries();
+
+    assert.equal(receiver.received().length, 0);
+    assert.equal(delivery.status, 'failed');
+  });
+});
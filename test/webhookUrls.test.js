@@ -0,0 +1,84 @@
+delete process.env.WEBHOOK_ALLOW_PRIVATE_URLS;
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const dns = require('dns');
+const mongoose = require('mongoose');
+const WebhookSubscription = require('../models/WebhookSubscription');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { LocalWebhookReceiver } = require('../utils/webhookReceiver');
+const { createWebhookSubscription, processDueDeliveries } = require('../services/webhooks');
+const { useMemoryCollection } = require('./helpers');
+
+const actor = { _id: new mongoose.Types.ObjectId() };
+
+const subscribe = (url) => createWebhookSubscription(actor, { url, events: ['message.created'] });
+
+describe('webhook URLs', () => {
+  for (const url of [
+    'http://127.0.0.1:8080/hook',
+    'http://localhost/hook',
+    'http://10.1.2.3/hook',
+    'http://172.16.0.1/hook',
+    'http://192.168.1.10/hook',
+    'http://169.254.169.254/latest/meta-data/',
+    'http://100.64.0.1/hook',
+    'http://0.0.0.0/hook',
+    'http://[::1]/hook',
+    'http://[fd00::1]/hook',
+    'http://[fe80::1]/hook',
+    'http://[::ffff:127.0.0.1]/hook',
+    'http://[::ffff:7f00:1]/hook',
+    'http://[64:ff9b::a9fe:a9fe]/hook'
+  ]) {
+    test(`refuses ${url}`, async (t) => {
+      const subscriptions = useMemoryCollection(t, WebhookSubscription);
+
+      await assert.rejects(subscribe(url), { status: 400, message: 'url must point to a public address' });
+      assert.equal(subscriptions.length, 0);
+    });
+  }
+
+  test('accepts public addresses', async (t) => {
+    const subscriptions = useMemoryCollection(t, WebhookSubscription);
+
+    await subscribe('https://93.184.215.14/hooks/solhub');
+
+    assert.deepEqual(subscriptions.map(subscription => subscription.url), ['https://93.184.215.14/hooks/solhub']);
+  });
+
+  test('refuses URLs that are not http or https', async () => {
+    await assert.rejects(subscribe('ftp://93.184.215.14/hook'), { message: 'url must use http or https' });
+    await assert.rejects(subscribe('not a url'), { message: 'url must be a valid URL' });
+  });
+
+  test('are not delivered to a host that has since resolved to a private address', async (t) => {
+    const receiver = new LocalWebhookReceiver();
+    await receiver.start();
+    t.after(() => receiver.stop());
+    const url = receiver.url.replace('127.0.0.1', 'rebind.example.test');
+
+    // Public when checked, loopback by the time the connection is made
+    const answers = [[{ address: '93.184.215.14', family: 4 }], [{ address: '93.184.215.14', family: 4 }]];
+    t.mock.method(dns.promises, 'lookup', async () => answers.shift() || [{ address: '127.0.0.1', family: 4 }]);
+
+    const subscriptions = useMemoryCollection(t, WebhookSubscription);
+    const { subscription } = await subscribe(url);
+    assert.equal(subscriptions.length, 1);
+
+    const [delivery] = useMemoryCollection(t, WebhookDelivery, [{
+      subscription: subscription._id,
+      event: 'message.created',
+      payload: { event: 'message.created' },
+      status: 'pending',
+      attempts: 0,
+      attemptLog: [],
+      nextAttemptAt: new Date(0),
+      lockedUntil: null
+    }]);
+    await processDueDeliveries();
+
+    assert.equal(receiver.received().length, 0);
+    assert.equal(delivery.attemptLog[0].error, 'url must point to a public address');
+  });
+});
@@ -0,0 +1,101 @@
+// Chain data providers answer how much of a token or NFT collection a wallet
+// holds. A provider needs only getTokenBalance(wallet, mint), returning the
+// amount in whole tokens, and getCollectionBalance(wallet, collection),
+// returning the number of NFTs held. Both throw when the chain cannot be read.
+
+const DEFAULT_RPC_URL = 'https://api.mainnet-beta.solana.com';
+
+// Reads holdings from a Solana JSON-RPC endpoint. Collection lookups use the
+// Digital Asset Standard `searchAssets` method, which not every RPC provider
+// offers.
+class SolanaRpcChainDataProvider {
+  constructor({ rpcUrl = DEFAULT_RPC_URL, timeoutMs = 5000 } = {}) {
+    this.rpcUrl = rpcUrl;
+    this.timeoutMs = timeoutMs;
+  }
+
+  async call(method, params) {
+    const response = await fetch(this.rpcUrl, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify({ jsonrpc: '2.0', id: 1, method, params }),
+      signal: AbortSignal.timeout(this.timeoutMs)
+    });
+    if (!response.ok) {
+      throw new Error(`RPC ${method} failed with HTTP ${response.status}`);
+    }
+
+    const body = await response.json();
+    if (body.error) {
+      throw new Error(`RPC ${method} failed: ${body.error.message}`);
+    }
+    return body.result;
+  }
+
+  async getTokenBalance(walletAddress, mint) {
+    const result = await this.call('getTokenAccountsByOwner', [
+      walletAddress,
+      { mint },
+      { encoding: 'jsonParsed' }
+    ]);
+
+    // A wallet can hold the same mint in several token accounts
+    return result.value.reduce((total, account) => {
+      const amount = account.account.data.parsed?.info?.tokenAmount?.uiAmountString;
+      return total + (parseFloat(amount) || 0);
+    }, 0);
+  }
+
+  async getCollectionBalance(walletAddress, collection) {
+    const result = await this.call('searchAssets', {
+      ownerAddress: walletAddress,
+      grouping: ['collection', collection],
+      burnt: false,
+      page: 1,
+      limit: 1000
+    });
+    return result.total ?? result.items.length;
+  }
+}
+
+// Answers from holdings set in memory. Works offline, so it can stand in for
+// the chain in development and tests.
+class StaticChainDataProvider {
+  constructor({ tokenBalances = {}, collectionBalances = {} } = {}) {
+    this.tokenBalances = new Map();
+    this.collectionBalances = new Map();
+
+    for (const [walletAddress, balances] of Object.entries(tokenBalances)) {
+      for (const [mint, amount] of Object.entries(balances)) {
+        this.setTokenBalance(walletAddress, mint, amount);
+      }
+    }
+    for (const [walletAddress, balances] of Object.entries(collectionBalances)) {
+      for (const [collection, count] of Object.entries(balances)) {
+        this.setCollectionBalance(walletAddress, collection, count);
+      }
+    }
+  }
+
+  setTokenBalance(walletAddress, mint, amount) {
+    this.tokenBalances.set(`${walletAddress}:${mint}`, amount);
+  }
+
+  setCollectionBalance(walletAddress, collection, count) {
+    this.collectionBalances.set(`${walletAddress}:${collection}`, count);
+  }
+
+  async getTokenBalance(walletAddress, mint) {
+    return this.tokenBalances.get(`${walletAddress}:${mint}`) || 0;
+  }
+
+  async getCollectionBalance(walletAddress, collection) {
+    return this.collectionBalances.get(`${walletAddress}:${collection}`) || 0;
+  }
+}
+
+module.exports = {
+  DEFAULT_RPC_URL,
+  SolanaRpcChainDataProvider,
+  StaticChainDataProvider
+};
@@ -0,0 +1,180 @@
+const crypto = require('crypto');
+
+// Where server instances record their heartbeats and connected sockets, so
+// any instance can count connections across the cluster and notice when
+// another one has crashed. Each socket maps to its user's ID, or to null
+// until it joins.
+
+// Identifies who holds a lock, so only the holder can release it
+const lockToken = () => crypto.randomBytes(16).toString('hex');
+
+// Delete a lock key only while it still holds the caller's token
+const RELEASE_LOCK_SCRIPT = `
+if redis.call('get', KEYS[1]) == ARGV[1] then
+  return redis.call('del', KEYS[1])
+end
+return 0
+`;
+
+// In-process store. Only sees this instance, so it suits a single server.
+class MemoryConnectionStore {
+  constructor() {
+    this.instances = new Map();
+    this.locks = new Map();
+  }
+
+  instance(instanceId) {
+    if (!this.instances.has(instanceId)) {
+      this.instances.set(instanceId, { expiresAt: 0, sockets: new Map() });
+    }
+    return this.instances.get(instanceId);
+  }
+
+  // Resolves to true when the instance was not registered, e.g. because it
+  // was removed as dead after missing heartbeats
+  async heartbeat(instanceId, ttlMs) {
+    const added = !this.instances.has(instanceId);
+    this.instance(instanceId).expiresAt = Date.now() + ttlMs;
+    return added;
+  }
+
+  async listLiveInstances() {
+    const now = Date.now();
+    return [...this.instances].filter(([, entry]) => entry.expiresAt > now).map(([instanceId]) => instanceId);
+  }
+
+  async listExpiredInstances() {
+    const now = Date.now();
+    return [...this.instances].filter(([, entry]) => entry.expiresAt <= now).map(([instanceId]) => instanceId);
+  }
+
+  async removeInstance(instanceId) {
+    this.instances.delete(instanceId);
+  }
+
+  async setConnection(instanceId, socketId, userId) {
+    this.instance(instanceId).sockets.set(socketId, userId ? String(userId) : null);
+  }
+
+  async removeConnection(instanceId, socketId) {
+    this.instances.get(instanceId)?.sockets.delete(socketId);
+  }
+
+  // { connections, users } across live instances
+  async countConnections() {
+    const live = await this.listLiveInstances();
+    const userIds = new Set();
+    let connections = 0;
+    for (const instanceId of live) {
+      for (const userId of this.instances.get(instanceId).sockets.values()) {
+        connections += 1;
+        if (userId) {
+          userIds.add(userId);
+        }
+      }
+    }
+    return { connections, users: userIds.size };
+  }
+
+  // Take a named lock for ttlMs. Resolves to a token that releases it, or
+  // null if someone else holds it.
+  async acquireLock(name, ttlMs) {
+    const now = Date.now();
+    if ((this.locks.get(name)?.expiresAt || 0) > now) {
+      return null;
+    }
+    const token = lockToken();
+    this.locks.set(name, { token, expiresAt: now + ttlMs });
+    return token;
+  }
+
+  // Release a lock only if it is still ours: once it expires, someone else
+  // may have taken it
+  async releaseLock(name, token) {
+    if (this.locks.get(name)?.token === token) {
+      this.locks.delete(name);
+    }
+  }
+}
+
+// Redis-backed store shared by every server instance.
+// `getClient` resolves to a connected node-redis client.
+class RedisConnectionStore {
+  constructor(getClient, { prefix = 'cluster:' } = {}) {
+    this.getClient = getClient;
+    this.prefix = prefix;
+  }
+
+  // Sorted set of instance IDs, scored by when their heartbeat expires
+  get instancesKey() {
+    return `${this.prefix}instances`;
+  }
+
+  // Hash of socket ID -> user ID ('' before join) for one instance
+  socketsKey(instanceId) {
+    return `${this.prefix}sockets:${instanceId}`;
+  }
+
+  async heartbeat(instanceId, ttlMs) {
+    const client = await this.getClient();
+    const added = await client.zAdd(this.instancesKey, { score: Date.now() + ttlMs, value: instanceId });
+    return added > 0;
+  }
+
+  async listLiveInstances() {
+    const client = await this.getClient();
+    return client.zRangeByScore(this.instancesKey, `(${Date.now()}`, '+inf');
+  }
+
+  async listExpiredInstances() {
+    const client = await this.getClient();
+    return client.zRangeByScore(this.instancesKey, '-inf', Date.now());
+  }
+
+  async removeInstance(instanceId) {
+    const client = await this.getClient();
+    await client.multi()
+      .del(this.socketsKey(instanceId))
+      .zRem(this.instancesKey, instanceId)
+      .exec();
+  }
+
+  async setConnection(instanceId, socketId, userId) {
+    const client = await this.getClient();
+    await client.hSet(this.socketsKey(instanceId), socketId, userId ? String(userId) : '');
+  }
+
+  async removeConnection(instanceId, socketId) {
+    const client = await this.getClient();
+    await client.hDel(this.socketsKey(instanceId), socketId);
+  }
+
+  async countConnections() {
+    const client = await this.getClient();
+    const live = await this.listLiveInstances();
+    const userIds = new Set();
+    let connections = 0;
+    for (const instanceId of live) {
+      const values = await client.hVals(this.socketsKey(instanceId));
+      connections += values.length;
+      values.filter(Boolean).forEach(userId => userIds.add(userId));
+    }
+    return { connections, users: userIds.size };
+  }
+
+  async acquireLock(name, ttlMs) {
+    const client = await this.getClient();
+    const token = lockToken();
+    return (await client.set(`${this.prefix}lock:${name}`, token, { PX: ttlMs, NX: true })) === 'OK' ? token : null;
+  }
+
+  async releaseLock(name, token) {
+    const client = await this.getClient();
+    await client.eval(RELEASE_LOCK_SCRIPT, { keys: [`${this.prefix}lock:${name}`], arguments: [token] });
+  }
+}
+
+module.exports = {
+  MemoryConnectionStore,
+  RedisConnectionStore
+};
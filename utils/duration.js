@@ -0,0 +1,34 @@
+const UNITS = {
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000
+};
+
+// Longer durations are refused outright; callers set their own, lower limits
+const MAX_DURATION_MS = 10 * 365 * UNITS.d;
+
+// Parse a duration such as "30s", "10m", "2h" or "7d" into milliseconds.
+// Plain numbers are taken as milliseconds. Returns null for anything else,
+// including durations over ten years.
+const parseDuration = (value) => {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) && value > 0 && value <= MAX_DURATION_MS ? value : null;
+  }
+  if (typeof value !== 'string') {
+    return null;
+  }
+
+  const match = value.trim().toLowerCase().match(/^(\d+)\s*([smhdw])$/);
+  if (!match) {
+    return null;
+  }
+
+  const durationMs = Number(match[1]) * UNITS[match[2]];
+  return durationMs > 0 && durationMs <= MAX_DURATION_MS ? durationMs : null;
+};
+
+module.exports = {
+  parseDuration
+};
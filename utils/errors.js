@@ -0,0 +1,28 @@
+// An expected failure that can be reported to the client as-is.
+// `status` doubles as the HTTP status code when raised from a REST route.
+class ServiceError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'ServiceError';
+    this.status = status;
+  }
+}
+
+// Raised when a caller exceeds a rate limit, slow mode or duplicate check
+class RateLimitError extends ServiceError {
+  constructor(message, retryAfterMs) {
+    super(message, 429);
+    this.name = 'RateLimitError';
+    this.retryAfterMs = Math.max(0, Math.ceil(retryAfterMs));
+  }
+
+  // Seconds until the caller may retry, as used by the Retry-After header
+  get retryAfter() {
+    return Math.ceil(this.retryAfterMs / 1000);
+  }
+}
+
+module.exports = {
+  ServiceError,
+  RateLimitError
+};
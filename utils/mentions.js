@@ -0,0 +1,32 @@
+// `@name` tokens in message text. A mention starts a word and runs until
+// whitespace; trailing punctuation such as "@alice," is not part of the name.
+const MENTION_PATTERN = /(^|[^\w@])@([^\s@]{1,50})/g;
+const TRAILING_PUNCTUATION = /[.,!?:;)\]}'"]+$/;
+
+const EVERYONE = 'everyone';
+
+// Returns [{ name, offset, length }] where offset/length cover the "@name" text
+const extractMentions = (text) => {
+  const mentions = [];
+  if (typeof text !== 'string') {
+    return mentions;
+  }
+
+  for (const match of text.matchAll(MENTION_PATTERN)) {
+    const name = match[2].replace(TRAILING_PUNCTUATION, '');
+    if (!name) {
+      continue;
+    }
+    mentions.push({
+      name,
+      offset: match.index + match[1].length,
+      length: name.length + 1
+    });
+  }
+  return mentions;
+};
+
+module.exports = {
+  EVERYONE,
+  extractMentions
+};
@@ -0,0 +1,190 @@
+// Shapes sent to clients for a Message document. Every socket event and
+// history endpoint goes through these so new fields show up everywhere.
+
+// Fields loaded by the history endpoints
+const MESSAGE_FIELDS = 'username text timestamp avatar channel isBroadcast isBot userId createdAt editedAt ' +
+  'parentId showInChannel threadReplyCount threadLastReplyAt reactions mentions entities attachments embeds ' +
+  'deletedAt deleteReason';
+
+// Parent fields needed to quote it inline next to a reply
+const PARENT_FIELDS = 'username text timestamp deletedAt';
+
+// Shown in place of the text of a deleted message
+const DELETED_MESSAGE_TEXT = 'message deleted';
+
+// Tombstones keep their place in history but never reveal the original text
+const visibleText = (msg) => (msg.deletedAt ? DELETED_MESSAGE_TEXT : msg.text);
+
+const formatDeleteState = (msg) => ({
+  isDeleted: !!msg.deletedAt,
+  deletedAt: msg.deletedAt || null,
+  deleteReason: msg.deletedAt ? msg.deleteReason || null : null
+});
+
+const formatEditState = (msg) => ({
+  isEdited: !!msg.editedAt,
+  editedAt: msg.editedAt || null
+});
+
+// Thread metadata. Replies shown in the channel quote their parent when it is populated.
+const formatThreadState = (msg) => {
+  const parent = msg.parentId;
+  const parentIsPopulated = !!parent && parent.text !== undefined;
+
+  return {
+    parentId: parentIsPopulated ? parent._id : parent || null,
+    showInChannel: !!msg.showInChannel,
+    quotedParent: msg.showInChannel && parentIsPopulated ? {
+      id: parent._id,
+      username: parent.username,
+      text: visibleText(parent),
+      timestamp: parent.timestamp
+    } : null,
+    threadReplyCount: msg.threadReplyCount || 0,
+    threadLastReplyAt: msg.threadLastReplyAt || null
+  };
+};
+
+// Aggregated reaction counts, flagging the ones the viewer added
+const formatReactions = (msg, viewerId) => (msg.reactions || []).map(reaction => ({
+  emoji: reaction.emoji,
+  count: reaction.count,
+  reacted: !!viewerId && reaction.users.some(userId => userId.equals(viewerId))
+}));
+
+// Resolved @mentions with where they sit in the text, so clients can highlight them
+const formatMentions = (msg) => (msg.deletedAt ? [] : (msg.mentions || []).map(mention => ({
+  type: mention.type,
+  userId: mention.user || null,
+  role: mention.role || null,
+  offset: mention.offset,
+  length: mention.length
+})));
+
+// Solana entities with where they sit in the text, so every client renders them alike
+const formatEntities = (msg) => (msg.deletedAt ? [] : (msg.entities || []).map(entity => ({
+  type: entity.type,
+  value: entity.value,
+  offset: entity.offset,
+  length: entity.length,
+  url: entity.url || null,
+  explorer: entity.explorer || null,
+  cluster: entity.cluster || null,
+  targetType: entity.targetType || null,
+  token: entity.token?.symbol || entity.token?.name ? {
+    symbol: entity.token.symbol || null,
+    name: entity.token.name || null,
+    decimals: entity.token.decimals ?? null,
+    logoUrl: entity.token.logoUrl || null
+  } : null
+})));
+
+// Attachments with the URLs to download them and their thumbnails
+const formatAttachments = (msg) => (msg.deletedAt ? [] : (msg.attachments || []).map(attachment => ({
+  id: attachment.attachment,
+  filename: attachment.filename,
+  contentType: attachment.contentType,
+  size: attachment.size,
+  kind: attachment.kind,
+  width: attachment.width ?? null,
+  height: attachment.height ?? null,
+  url: `/api/attachments/${attachment.attachment}`,
+  thumbnailUrl: attachment.hasThumbnail ? `/api/attachments/${attachment.attachment}/thumbnail` : null
+})));
+
+// Rich cards posted by bots
+const formatEmbeds = (msg) => (msg.deletedAt ? [] : (msg.embeds || []).map(embed => ({
+  title: embed.title || null,
+  description: embed.description || null,
+  url: embed.url || null,
+  color: embed.color ?? null,
+  fields: (embed.fields || []).map(field => ({ name: field.name, value: field.value, inline: !!field.inline })),
+  links: (embed.links || []).map(link => ({ label: link.label, url: link.url })),
+  imageUrl: embed.imageUrl || null,
+  footer: embed.footer || null
+})));
+
+// Format used by `newMessage`, `/api/messages` and `/api/messages/all`.
+// `author` defaults to the populated userId of the message; `viewerId` is
+// the user the message is being sent to, if known.
+const formatMessage = (msg, { author = msg.userId, viewerId = null } = {}) => ({
+  id: msg._id,
+  username: msg.username,
+  walletAddress: msg.isBot ? null : author?.walletAddress || msg.username,
+  role: author?.role || 'user',
+  text: visibleText(msg),
+  timestamp: msg.timestamp,
+  avatar: msg.avatar,
+  channel: msg.channel,
+  isBroadcast: msg.isBroadcast,
+  isBot: !!msg.isBot,
+  ...formatEditState(msg),
+  ...formatDeleteState(msg),
+  ...formatThreadState(msg),
+  reactions: msg.deletedAt ? [] : formatReactions(msg, viewerId),
+  mentions: formatMentions(msg),
+  entities: formatEntities(msg),
+  attachments: formatAttachments(msg),
+  embeds: formatEmbeds(msg)
+});
+
+// Format used by `/api/channels/:id/messages`
+const formatChannelMessage = (msg, { viewerId = null } = {}) => ({
+  _id: msg._id,
+  content: visibleText(msg),
+  username: msg.username,
+  timestamp: msg.timestamp,
+  avatar: msg.avatar,
+  channel: msg.channel,
+  isBroadcast: msg.isBroadcast,
+  isBot: !!msg.isBot,
+  createdAt: msg.createdAt || msg.timestamp,
+  ...formatEditState(msg),
+  ...formatDeleteState(msg),
+  ...formatThreadState(msg),
+  reactions: msg.deletedAt ? [] : formatReactions(msg, viewerId),
+  mentions: formatMentions(msg),
+  entities: formatEntities(msg),
+  attachments: formatAttachments(msg),
+  embeds: formatEmbeds(msg),
+  user: {
+    _id: msg.userId?._id,
+    username: msg.userId?.username || msg.username,
+    avatar: msg.userId?.avatar || msg.avatar
+  }
+});
+
+// Format used for direct and group conversation messages
+const formatDirectMessage = (msg) => ({
+  id: msg._id,
+  conversationId: msg.conversation,
+  senderId: msg.sender,
+  username: msg.username,
+  avatar: msg.avatar,
+  text: msg.text,
+  timestamp: msg.timestamp
+});
+
+// Entry in a user's conversation list
+const formatConversation = (conversation, unreadCount = 0) => ({
+  id: conversation._id,
+  isGroup: conversation.isGroup,
+  name: conversation.name,
+  participants: conversation.participants,
+  lastMessage: conversation.lastMessage?.text !== undefined
+    ? formatDirectMessage(conversation.lastMessage)
+    : null,
+  lastMessageAt: conversation.lastMessageAt,
+  unreadCount
+});
+
+module.exports = {
+  MESSAGE_FIELDS,
+  PARENT_FIELDS,
+  DELETED_MESSAGE_TEXT,
+  formatReactions,
+  formatMessage,
+  formatChannelMessage,
+  formatDirectMessage,
+  formatConversation
+};
@@ -0,0 +1,141 @@
+const mongoose = require('mongoose');
+const { ServiceError } = require('./errors');
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 100;
+
+const CURSOR_PATTERN = /^(\d+)\.([0-9a-f]{24})$/;
+
+const parsePageSize = (limit) =>
+  Math.min(Math.max(parseInt(limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+// Cursors are opaque to clients: the timestamp and id of a document, so
+// paging keeps working even if the document itself is removed later
+const encodeCursor = (doc) =>
+  Buffer.from(`${doc.timestamp.getTime()}.${doc._id}`).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  if (typeof cursor !== 'string') {
+    return null;
+  }
+  const match = Buffer.from(cursor, 'base64url').toString().match(CURSOR_PATTERN);
+  if (!match) {
+    return null;
+  }
+  return {
+    timestamp: new Date(Number(match[1])),
+    id: new mongoose.Types.ObjectId(match[2])
+  };
+};
+
+// Accept either an encoded cursor or a plain document id within the base filter
+const resolveCursor = async (Model, baseFilter, cursor) => {
+  const decoded = decodeCursor(cursor);
+  if (decoded) {
+    return decoded;
+  }
+
+  if (mongoose.isValidObjectId(cursor)) {
+    const doc = await Model.findOne({ $and: [baseFilter, { _id: cursor }] }).select('timestamp');
+    if (doc) {
+      return { timestamp: doc.timestamp, id: doc._id };
+    }
+  }
+
+  throw new ServiceError('Invalid pagination cursor');
+};
+
+// Documents strictly older/newer than a cursor, ordered by (timestamp, _id)
+const olderThan = ({ timestamp, id }) => ({
+  $or: [{ timestamp: { $lt: timestamp } }, { timestamp, _id: { $lt: id } }]
+});
+
+const newerThan = ({ timestamp, id }) => ({
+  $or: [{ timestamp: { $gt: timestamp } }, { timestamp, _id: { $gt: id } }]
+});
+
+// Page through a timestamped collection with `before`, `after` or `around` cursors.
+// Without a cursor the newest page is returned. Items are always oldest first.
+// `buildQuery` can add populate/select calls to each underlying query.
+// `skip` is still honoured without a cursor, counting back from the newest
+// item, for clients that page by offset.
+const paginateByCursor = async (Model, baseFilter, { before, after, around, limit, skip } = {}, buildQuery = query => query) => {
+  const pageSize = parsePageSize(limit);
+  const offset = Math.max(parseInt(skip) || 0, 0);
+
+  const fetchPage = (filter, direction, count, skipCount = 0) => buildQuery(
+    Model.find({ $and: [baseFilter, filter] })
+      .sort({ timestamp: direction, _id: direction })
+      .skip(skipCount)
+      .limit(count)
+  );
+
+  let items;
+  let hasMoreBefore;
+  let hasMoreAfter;
+  let hasMore;
+
+  if (around) {
+    // A window centered on one document, used to deep-link into history
+    if (!mongoose.isValidObjectId(around)) {
+      throw new ServiceError('Message not found', 404);
+    }
+    const [anchor] = await fetchPage({ _id: around }, 1, 1);
+    if (!anchor) {
+      throw new ServiceError('Message not found', 404);
+    }
+
+    const cursor = { timestamp: anchor.timestamp, id: anchor._id };
+    const beforeCount = Math.floor((pageSize - 1) / 2);
+    const afterCount = pageSize - 1 - beforeCount;
+
+    const [older, newer] = await Promise.all([
+      fetchPage(olderThan(cursor), -1, beforeCount + 1),
+      fetchPage(newerThan(cursor), 1, afterCount + 1)
+    ]);
+
+    hasMoreBefore = older.length > beforeCount;
+    hasMoreAfter = newer.length > afterCount;
+    hasMore = hasMoreBefore || hasMoreAfter;
+    items = [...older.slice(0, beforeCount).reverse(), anchor, ...newer.slice(0, afterCount)];
+  } else if (after) {
+    const cursor = await resolveCursor(Model, baseFilter, after);
+    const newer = await fetchPage(newerThan(cursor), 1, pageSize + 1);
+
+    hasMoreAfter = newer.length > pageSize;
+    hasMoreBefore = true;
+    hasMore = hasMoreAfter;
+    items = newer.slice(0, pageSize);
+  } else {
+    const cursor = before ? await resolveCursor(Model, baseFilter, before) : null;
+    const skipped = cursor ? 0 : offset;
+    const older = await fetchPage(cursor ? olderThan(cursor) : {}, -1, pageSize + 1, skipped);
+
+    hasMoreBefore = older.length > pageSize;
+    hasMoreAfter = !!cursor || skipped > 0;
+    hasMore = hasMoreBefore;
+    items = older.slice(0, pageSize).reverse();
+  }
+
+  return {
+    items,
+    pagination: {
+      limit: pageSize,
+      hasMore,
+      hasMoreBefore,
+      hasMoreAfter,
+      // Pass prevCursor as `before` for older items and nextCursor as `after` for newer ones
+      prevCursor: items.length > 0 ? encodeCursor(items[0]) : null,
+      nextCursor: items.length > 0 ? encodeCursor(items[items.length - 1]) : null
+    }
+  };
+};
+
+module.exports = {
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  parsePageSize,
+  encodeCursor,
+  decodeCursor,
+  paginateByCursor
+};
@@ -0,0 +1,77 @@
+const Role = require('../models/Role');
+const { ALL_PERMISSIONS, DEFAULT_ROLES } = require('../config/permissions');
+
+// Load the active role document for a user (null if the role is unknown or disabled)
+const getUserRole = async (user) => {
+  if (!user || !user.role) {
+    return null;
+  }
+  return Role.findOne({ name: user.role, isActive: true });
+};
+
+const roleHasPermission = (role, permission) =>
+  !!role && role.permissions.includes(permission);
+
+// Check whether a user's role grants a named permission
+const hasPermission = async (user, permission) => {
+  const role = await getUserRole(user);
+  return roleHasPermission(role, permission);
+};
+
+const getRolePriority = (role) => (role ? role.priority : 0);
+
+// Priority of the role a user currently holds
+const getUserPriority = async (user) => getRolePriority(await getUserRole(user));
+
+// True when the actor's role strictly outranks the target user's role
+const outranksUser = async (actor, target) =>
+  (await getUserPriority(actor)) > (await getUserPriority(target));
+
+const isValidPermission = (permission) => ALL_PERMISSIONS.includes(permission);
+
+// Check that an actor may create or edit a role with these settings.
+// Returns an error message, or null when the change is allowed.
+const validateRoleGrant = (actorRole, { permissions = [], priority = 0 }) => {
+  const unknownPermissions = permissions.filter(permission => !isValidPermission(permission));
+  if (unknownPermissions.length > 0) {
+    return `Unknown permissions: ${unknownPermissions.join(', ')}`;
+  }
+
+  if (priority >= getRolePriority(actorRole)) {
+    return 'Role priority must be lower than your own';
+  }
+
+  const ungrantable = permissions.filter(permission => !roleHasPermission(actorRole, permission));
+  if (ungrantable.length > 0) {
+    return `You cannot grant permissions you do not have: ${ungrantable.join(', ')}`;
+  }
+
+  return null;
+};
+
+// Create the built-in roles that don't exist yet. Existing roles are left
+// alone so permissions an admin removed aren't granted back on every restart.
+const seedDefaultRoles = async () => {
+  for (const { name, ...roleData } of DEFAULT_ROLES) {
+    const result = await Role.updateOne(
+      { name },
+      { $set: { isSystem: true }, $setOnInsert: roleData },
+      { upsert: true }
+    );
+    if (result.upsertedCount > 0) {
+      console.log(`Initialized role: ${name}`);
+    }
+  }
+};
+
+module.exports = {
+  getUserRole,
+  roleHasPermission,
+  hasPermission,
+  getRolePriority,
+  getUserPriority,
+  outranksUser,
+  isValidPermission,
+  validateRoleGrant,
+  seedDefaultRoles
+};
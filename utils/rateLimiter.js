@@ -0,0 +1,139 @@
+// Sliding-window rate limiting over a pluggable counter store. Stores only
+// need counters with expiry, so state can live in memory (single instance)
+// or in Redis (shared between instances).
+
+// In-process store. Counters are lost on restart and not shared between instances.
+class MemoryStore {
+  constructor({ cleanupIntervalMs = 60 * 1000 } = {}) {
+    this.entries = new Map();
+
+    // Drop expired counters now and then so idle keys do not pile up
+    this.cleanupTimer = setInterval(() => this.cleanup(), cleanupIntervalMs);
+    this.cleanupTimer.unref();
+  }
+
+  getEntry(key) {
+    const entry = this.entries.get(key);
+    if (entry && entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+    return entry || null;
+  }
+
+  // Increment a counter, starting it with the given lifetime. Returns the new count.
+  async increment(key, ttlMs) {
+    const entry = this.getEntry(key);
+    if (entry) {
+      entry.value += 1;
+      return entry.value;
+    }
+    this.entries.set(key, { value: 1, expiresAt: Date.now() + ttlMs });
+    return 1;
+  }
+
+  async get(key) {
+    const entry = this.getEntry(key);
+    return entry ? entry.value : 0;
+  }
+
+  // Set a key only if it does not exist. Returns the remaining lifetime of an existing key, or 0.
+  async setIfAbsent(key, ttlMs) {
+    const entry = this.getEntry(key);
+    if (entry) {
+      return entry.expiresAt - Date.now();
+    }
+    this.entries.set(key, { value: 1, expiresAt: Date.now() + ttlMs });
+    return 0;
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+
+  cleanup() {
+    const now = Date.now();
+    for (const [key, entry] of this.entries) {
+      if (entry.expiresAt <= now) {
+        this.entries.delete(key);
+      }
+    }
+  }
+}
+
+// Redis-backed store shared by every server instance.
+// `getClient` resolves to a connected node-redis client.
+class RedisStore {
+  constructor(getClient, { prefix = 'ratelimit:' } = {}) {
+    this.getClient = getClient;
+    this.prefix = prefix;
+  }
+
+  async increment(key, ttlMs) {
+    const client = await this.getClient();
+    const value = await client.incr(this.prefix + key);
+    if (value === 1) {
+      await client.pExpire(this.prefix + key, ttlMs);
+    }
+    return value;
+  }
+
+  async get(key) {
+    const client = await this.getClient();
+    return Number(await client.get(this.prefix + key)) || 0;
+  }
+
+  async setIfAbsent(key, ttlMs) {
+    const client = await this.getClient();
+    const result = await client.set(this.prefix + key, '1', { PX: ttlMs, NX: true });
+    if (result === 'OK') {
+      return 0;
+    }
+    return Math.max(await client.pTTL(this.prefix + key), 0);
+  }
+
+  async delete(key) {
+    const client = await this.getClient();
+    await client.del(this.prefix + key);
+  }
+}
+
+// Sliding-window counter: the previous fixed window's count is weighted by how
+// much of it still overlaps the sliding window. Denied attempts still count,
+// so a client that keeps flooding stays limited.
+class SlidingWindowLimiter {
+  constructor(store) {
+    this.store = store;
+  }
+
+  // Returns { allowed, remaining, retryAfterMs } for one attempt against `key`
+  async consume(key, { points, windowMs }) {
+    const now = Date.now();
+    const windowStart = Math.floor(now / windowMs) * windowMs;
+    const elapsed = now - windowStart;
+
+    const [current, previous] = await Promise.all([
+      this.store.increment(`${key}:${windowStart}`, windowMs * 2),
+      this.store.get(`${key}:${windowStart - windowMs}`)
+    ]);
+
+    const weighted = previous * (1 - elapsed / windowMs) + current;
+    if (weighted <= points) {
+      return { allowed: true, remaining: Math.floor(points - weighted), retryAfterMs: 0 };
+    }
+
+    // Over the limit within this window alone: wait for the next window.
+    // Otherwise wait until enough of the previous window has slid out.
+    const retryAfterMs = current > points
+      ? windowStart + windowMs - now
+      : windowMs * (1 - (points - current) / previous) - elapsed;
+
+    return { allowed: false, remaining: 0, retryAfterMs: Math.max(retryAfterMs, 1) };
+  }
+}
+
+module.exports = {
+  MemoryStore,
+  RedisStore,
+  SlidingWindowLimiter
+};
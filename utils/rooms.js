@@ -0,0 +1,43 @@
+// Socket.io room names, kept in one place so every emitter agrees on them
+
+const CHANNEL_ROOM_PREFIX = 'channel:';
+
+const channelRoom = (channelName) => `${CHANNEL_ROOM_PREFIX}${channelName}`;
+
+const voiceRoom = (voiceChannelId) => `voice:${voiceChannelId}`;
+
+// Every socket of a signed-in user, for events addressed to that user
+const userRoom = (userId) => `user:${userId}`;
+
+const threadRoom = (messageId) => `thread:${messageId}`;
+
+// Whether a name is one of the rooms above rather than a single socket's id
+const isNamedRoom = (room) => ['channel:', 'voice:', 'user:', 'thread:'].some(prefix => room.startsWith(prefix));
+
+// Rooms that should hear about changes to a message: its channel when it shows
+// in the channel timeline, plus its thread for replies
+const messageRooms = (message) => {
+  const rooms = [];
+  if (!message.parentId || message.showInChannel) {
+    rooms.push(channelRoom(message.channel));
+  }
+  if (message.parentId) {
+    rooms.push(threadRoom(message.parentId._id || message.parentId));
+  }
+  return rooms;
+};
+
+// Names of the text channels a socket is currently subscribed to
+const subscribedChannels = (socket) => [...socket.rooms]
+  .filter(room => room.startsWith(CHANNEL_ROOM_PREFIX))
+  .map(room => room.slice(CHANNEL_ROOM_PREFIX.length));
+
+module.exports = {
+  channelRoom,
+  voiceRoom,
+  userRoom,
+  threadRoom,
+  isNamedRoom,
+  messageRooms,
+  subscribedChannels
+};
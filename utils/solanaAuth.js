@@ -0,0 +1,64 @@
+const crypto = require('crypto');
+const nacl = require('tweetnacl');
+const bs58 = require('bs58').default;
+
+// How long a sign-in challenge stays valid
+const NONCE_TTL_MS = 5 * 60 * 1000;
+
+// Decode a base58 string, returning null instead of throwing on bad input
+const decodeBase58 = (value) => {
+  if (typeof value !== 'string' || value.length === 0) {
+    return null;
+  }
+  try {
+    return bs58.decode(value);
+  } catch (error) {
+    return null;
+  }
+};
+
+// A Solana wallet address is a base58-encoded 32 byte ed25519 public key
+const isValidWalletAddress = (walletAddress) => {
+  const decoded = decodeBase58(walletAddress);
+  return decoded !== null && decoded.length === nacl.sign.publicKeyLength;
+};
+
+const generateNonce = () => crypto.randomBytes(16).toString('hex');
+
+// The exact text the wallet is asked to sign. The client must sign this
+// string byte-for-byte, so it is rebuilt from the stored nonce on verify.
+const buildSignInMessage = (walletAddress, nonce, issuedAt) => [
+  'Sign in to SolHub',
+  '',
+  `Wallet: ${walletAddress}`,
+  `Nonce: ${nonce}`,
+  `Issued At: ${new Date(issuedAt).toISOString()}`
+].join('\n');
+
+// Check a base58 ed25519 signature of `message` against a base58 wallet address
+const verifyWalletSignature = (message, signature, walletAddress) => {
+  const publicKey = decodeBase58(walletAddress);
+  const signatureBytes = decodeBase58(signature);
+
+  if (!publicKey || publicKey.length !== nacl.sign.publicKeyLength) {
+    return false;
+  }
+  if (!signatureBytes || signatureBytes.length !== nacl.sign.signatureLength) {
+    return false;
+  }
+
+  return nacl.sign.detached.verify(
+    new TextEncoder().encode(message),
+    signatureBytes,
+    publicKey
+  );
+};
+
+module.exports = {
+  NONCE_TTL_MS,
+  decodeBase58,
+  isValidWalletAddress,
+  generateNonce,
+  buildSignInMessage,
+  verifyWalletSignature
+};
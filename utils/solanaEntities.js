@@ -0,0 +1,110 @@
+const { decodeBase58 } = require('./solanaAuth');
+
+// Solana addresses and transaction signatures pasted into message text,
+// either bare or as links to a block explorer.
+
+// Public keys are 32 bytes and signatures 64 bytes, base58-encoded
+const ADDRESS_BYTES = 32;
+const SIGNATURE_BYTES = 64;
+
+const BASE58_CHARS = '1-9A-HJ-NP-Za-km-z';
+
+// A base58 run long enough to be a key or signature, not inside a longer word
+const BASE58_PATTERN = new RegExp(`(?<![${BASE58_CHARS}])[${BASE58_CHARS}]{32,88}(?![${BASE58_CHARS}])`, 'g');
+
+// Explorer links, by host. Each path segment names what the link points at.
+const EXPLORERS = {
+  'solscan.io': { name: 'solscan', paths: { account: 'address', address: 'address', token: 'address', tx: 'transaction' } },
+  'explorer.solana.com': { name: 'solana_explorer', paths: { address: 'address', tx: 'transaction' } },
+  'solana.fm': { name: 'solanafm', paths: { address: 'address', tx: 'transaction' } }
+};
+
+const URL_PATTERN = /https?:\/\/[^\s<>]+/gi;
+const TRAILING_PUNCTUATION = /[.,!?:;)\]}'"]+$/;
+
+const DEFAULT_CLUSTER = 'mainnet-beta';
+
+// 'address', 'transaction' or null for a base58 string
+const classifyBase58 = (value) => {
+  const decoded = decodeBase58(value);
+  if (!decoded) {
+    return null;
+  }
+  if (decoded.length === ADDRESS_BYTES) {
+    return 'address';
+  }
+  if (decoded.length === SIGNATURE_BYTES) {
+    return 'transaction';
+  }
+  return null;
+};
+
+// The address or transaction a known explorer URL points at, or null
+const parseExplorerUrl = (rawUrl) => {
+  let url;
+  try {
+    url = new URL(rawUrl);
+  } catch {
+    return null;
+  }
+
+  const explorer = EXPLORERS[url.hostname.replace(/^www\./, '')];
+  if (!explorer) {
+    return null;
+  }
+
+  const [section, value] = url.pathname.split('/').filter(Boolean);
+  const targetType = explorer.paths[section];
+  if (!targetType || !value || classifyBase58(value) !== targetType) {
+    return null;
+  }
+
+  return {
+    explorer: explorer.name,
+    targetType,
+    value,
+    cluster: url.searchParams.get('cluster') || DEFAULT_CLUSTER
+  };
+};
+
+// Returns entities ordered by offset:
+//   { type: 'explorer_url', value, targetType, explorer, cluster, url, offset, length }
+//   { type: 'address' | 'transaction', value, offset, length }
+// Offsets and lengths are in UTF-16 code units, like String#slice.
+const extractSolanaEntities = (text) => {
+  const entities = [];
+  if (typeof text !== 'string') {
+    return entities;
+  }
+
+  // Text inside URLs is never matched again as a bare address
+  const urlRanges = [];
+  for (const match of text.matchAll(URL_PATTERN)) {
+    const url = match[0].replace(TRAILING_PUNCTUATION, '');
+    urlRanges.push([match.index, match.index + url.length]);
+
+    const link = parseExplorerUrl(url);
+    if (link) {
+      entities.push({ type: 'explorer_url', ...link, url, offset: match.index, length: url.length });
+    }
+  }
+
+  for (const match of text.matchAll(BASE58_PATTERN)) {
+    if (urlRanges.some(([start, end]) => match.index >= start && match.index < end)) {
+      continue;
+    }
+    const type = classifyBase58(match[0]);
+    if (type) {
+      entities.push({ type, value: match[0], offset: match.index, length: match[0].length });
+    }
+  }
+
+  return entities.sort((a, b) => a.offset - b.offset);
+};
+
+module.exports = {
+  DEFAULT_CLUSTER,
+  classifyBase58,
+  parseExplorerUrl,
+  extractSolanaEntities
+};
@@ -0,0 +1,54 @@
+const fs = require('fs');
+const fsPromises = require('fs/promises');
+const path = require('path');
+
+// File storage backends. A backend stores opaque blobs under string keys and
+// needs only put, createReadStream, exists and delete, so files can live on
+// local disk (the default) or anywhere else, e.g. an object store.
+
+// Stores files under a directory on the local disk
+class LocalDiskStorage {
+  constructor({ root }) {
+    this.root = root;
+  }
+
+  // Keys are generated by the server, but never let one escape the root
+  resolve(key) {
+    const filePath = path.resolve(this.root, key);
+    if (!filePath.startsWith(this.root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  }
+
+  async put(key, buffer) {
+    const filePath = this.resolve(key);
+    await fsPromises.mkdir(path.dirname(filePath), { recursive: true });
+
+    // Write to a temporary file first so readers never see a partial file
+    const tempPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+    await fsPromises.writeFile(tempPath, buffer);
+    await fsPromises.rename(tempPath, filePath);
+  }
+
+  createReadStream(key) {
+    return fs.createReadStream(this.resolve(key));
+  }
+
+  async exists(key) {
+    try {
+      await fsPromises.access(this.resolve(key));
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  async delete(key) {
+    await fsPromises.rm(this.resolve(key), { force: true });
+  }
+}
+
+module.exports = {
+  LocalDiskStorage
+};
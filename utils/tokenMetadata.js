@@ -0,0 +1,76 @@
+// Token metadata resolvers. A resolver needs only resolve(mints), returning
+// a Map from mint address to { symbol, name, decimals, logoUrl } for the
+// mints it knows; unknown mints are simply left out.
+
+// Well-known mainnet mints, used when no metadata service is configured
+const KNOWN_TOKENS = {
+  So11111111111111111111111111111111111111112: { symbol: 'SOL', name: 'Wrapped SOL', decimals: 9 },
+  EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v: { symbol: 'USDC', name: 'USD Coin', decimals: 6 },
+  Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB: { symbol: 'USDT', name: 'USDT', decimals: 6 },
+  DezXAZ8z7PnrnRJjz3wXBoRgixCa6xjnB7YaB1pPB263: { symbol: 'Bonk', name: 'Bonk', decimals: 5 },
+  JUPyiwrYJFskUPiHa7hkeR8VUtAeFoSYbKedZNsDvCN: { symbol: 'JUP', name: 'Jupiter', decimals: 6 }
+};
+
+const normalizeMetadata = (metadata) => ({
+  symbol: metadata.symbol || null,
+  name: metadata.name || null,
+  decimals: Number.isInteger(metadata.decimals) ? metadata.decimals : null,
+  logoUrl: metadata.logoUrl || metadata.logoURI || null
+});
+
+// Answers from a fixed table. Works offline, so it also serves as a stand-in
+// for a metadata service in development.
+class StaticTokenMetadataResolver {
+  constructor({ tokens = KNOWN_TOKENS } = {}) {
+    this.tokens = tokens;
+  }
+
+  async resolve(mints) {
+    const resolved = new Map();
+    for (const mint of mints) {
+      if (this.tokens[mint]) {
+        resolved.set(mint, normalizeMetadata(this.tokens[mint]));
+      }
+    }
+    return resolved;
+  }
+}
+
+// Looks mints up one by one at `${baseUrl}/${mint}`, which must answer with
+// JSON holding at least a symbol or a name. Misses and errors are skipped.
+class HttpTokenMetadataResolver {
+  constructor({ baseUrl, timeoutMs = 2000 }) {
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.timeoutMs = timeoutMs;
+  }
+
+  async lookup(mint) {
+    const response = await fetch(`${this.baseUrl}/${encodeURIComponent(mint)}`, {
+      headers: { accept: 'application/json' },
+      signal: AbortSignal.timeout(this.timeoutMs)
+    });
+    if (!response.ok) {
+      return null;
+    }
+    const body = await response.json();
+    return body && (body.symbol || body.name) ? normalizeMetadata(body) : null;
+  }
+
+  async resolve(mints) {
+    const results = await Promise.allSettled(mints.map(mint => this.lookup(mint)));
+
+    const resolved = new Map();
+    results.forEach((result, index) => {
+      if (result.status === 'fulfilled' && result.value) {
+        resolved.set(mints[index], result.value);
+      }
+    });
+    return resolved;
+  }
+}
+
+module.exports = {
+  KNOWN_TOKENS,
+  StaticTokenMetadataResolver,
+  HttpTokenMetadataResolver
+};
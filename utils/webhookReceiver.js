@@ -0,0 +1,78 @@
+const http = require('http');
+const { SIGNATURE_HEADER, verifyWebhookSignature } = require('./webhookSignature');
+
+// A local HTTP endpoint that records the webhook deliveries it receives.
+// Point a subscription at its `url` to exercise delivery, signing and retries
+// without a real receiver; set `responseStatus` to make it fail on purpose.
+// It listens on 127.0.0.1, so the server needs WEBHOOK_ALLOW_PRIVATE_URLS=true
+// to deliver to it.
+class LocalWebhookReceiver {
+  constructor({ secret = null, responseStatus = 200, path = '/webhooks' } = {}) {
+    this.secret = secret;
+    this.responseStatus = responseStatus;
+    this.path = path;
+    this.deliveries = [];
+    this.server = null;
+    this.url = null;
+  }
+
+  async start(port = 0) {
+    this.server = http.createServer((req, res) => this.handle(req, res));
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, '127.0.0.1', resolve);
+    });
+    this.url = `http://127.0.0.1:${this.server.address().port}${this.path}`;
+    return this.url;
+  }
+
+  async stop() {
+    if (!this.server) {
+      return;
+    }
+    await new Promise(resolve => this.server.close(resolve));
+    this.server = null;
+    this.url = null;
+  }
+
+  handle(req, res) {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const body = Buffer.concat(chunks).toString('utf8');
+      let payload = null;
+      try {
+        payload = JSON.parse(body);
+      } catch {
+        // Recorded as received; the payload is left null
+      }
+
+      const signature = req.headers[SIGNATURE_HEADER] || null;
+      this.deliveries.push({
+        receivedAt: new Date(),
+        event: req.headers['x-solhub-event'] || null,
+        deliveryId: req.headers['x-solhub-delivery'] || null,
+        signature,
+        signatureValid: this.secret ? verifyWebhookSignature(this.secret, signature, body) : null,
+        payload,
+        body
+      });
+
+      res.writeHead(this.responseStatus, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ received: true }));
+    });
+  }
+
+  // Deliveries received so far, optionally only those for one event type
+  received(event = null) {
+    return event ? this.deliveries.filter(delivery => delivery.event === event) : [...this.deliveries];
+  }
+
+  clear() {
+    this.deliveries = [];
+  }
+}
+
+module.exports = {
+  LocalWebhookReceiver
+};
@@ -0,0 +1,51 @@
+const crypto = require('crypto');
+
+// Webhook deliveries carry a header such as
+//   X-SolHub-Signature: t=1700000000,v1=5257a8...
+// where v1 is the hex HMAC-SHA256 of "<t>.<raw request body>" keyed with the
+// subscription secret. Right after a secret is rotated there is one v1 per
+// valid secret. Receivers should also reject timestamps that are too old.
+
+const SIGNATURE_HEADER = 'x-solhub-signature';
+
+// Reject signatures older than this by default, to stop replays
+const DEFAULT_TOLERANCE_SECONDS = 5 * 60;
+
+const computeSignature = (secret, timestamp, body) =>
+  crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+
+const buildSignatureHeader = (secrets, timestamp, body) =>
+  [`t=${timestamp}`, ...secrets.map(secret => `v1=${computeSignature(secret, timestamp, body)}`)].join(',');
+
+const parseSignatureHeader = (header) => {
+  const parsed = { timestamp: null, signatures: [] };
+  for (const part of String(header || '').split(',')) {
+    const [key, value] = part.trim().split('=');
+    if (key === 't') {
+      parsed.timestamp = Number(value);
+    } else if (key === 'v1' && value) {
+      parsed.signatures.push(value);
+    }
+  }
+  return parsed;
+};
+
+// Check a delivery's signature header against the raw body it came with
+const verifyWebhookSignature = (secret, header, body, { toleranceSeconds = DEFAULT_TOLERANCE_SECONDS } = {}) => {
+  const { timestamp, signatures } = parseSignatureHeader(header);
+  if (!Number.isFinite(timestamp) || Math.abs(Date.now() / 1000 - timestamp) > toleranceSeconds) {
+    return false;
+  }
+
+  const expected = Buffer.from(computeSignature(secret, timestamp, body));
+  return signatures.some(signature => {
+    const candidate = Buffer.from(signature);
+    return candidate.length === expected.length && crypto.timingSafeEqual(candidate, expected);
+  });
+};
+
+module.exports = {
+  SIGNATURE_HEADER,
+  buildSignatureHeader,
+  verifyWebhookSignature
+};